@@ -0,0 +1,63 @@
+// baseLayers.js - Build Leaflet base layers from plain definitions sent by .NET
+//
+// Definition fields:
+//   type         'xyz' (default), 'tms' or 'wms'
+//   url          tile URL template, or the WMS endpoint
+//   name         label shown in the layer switcher
+//   attribution, minZoom, maxZoom, maxNativeZoom, subdomains, opacity
+//   bounds       [[south, west], [north, east]]; no tiles are requested outside it
+//   cache        XYZ/TMS only, keep tiles in IndexedDB (default true)
+//   seedable     XYZ/TMS only, the source allows bulk download for seeding
+//                (default false; only for local directories or licensed services)
+//   layers, styles, format, transparent, version   WMS parameters
+
+import { createCachedTileLayer } from './tileCache.js';
+
+const commonOptionNames = ['attribution', 'minZoom', 'maxZoom', 'maxNativeZoom', 'subdomains', 'opacity', 'maxAge'];
+
+function pickOptions(definition) {
+    const options = {};
+    commonOptionNames.forEach(name => {
+        if (definition[name] !== undefined && definition[name] !== null) {
+            options[name] = definition[name];
+        }
+    });
+
+    if (definition.bounds) {
+        options.bounds = L.latLngBounds(definition.bounds);
+    }
+    return options;
+}
+
+// Create the Leaflet layer for a base layer definition
+export function createBaseLayer(definition) {
+    if (!definition || !definition.url) {
+        throw new Error('Base layer definition needs a url');
+    }
+
+    const type = (definition.type || 'xyz').toLowerCase();
+    const options = pickOptions(definition);
+
+    switch (type) {
+        case 'xyz':
+        case 'tms':
+            return createCachedTileLayer(definition.url, {
+                ...options,
+                tms: type === 'tms',
+                cache: definition.cache !== false,
+                seedable: definition.seedable === true
+            });
+        case 'wms':
+            // WMS tiles are not cached: the same endpoint serves many layer/style combinations
+            return L.tileLayer.wms(definition.url, {
+                ...options,
+                layers: definition.layers || '',
+                styles: definition.styles || '',
+                format: definition.format || 'image/png',
+                transparent: definition.transparent === true,
+                version: definition.version || '1.1.1'
+            });
+        default:
+            throw new Error(`Unknown base layer type '${definition.type}'`);
+    }
+}
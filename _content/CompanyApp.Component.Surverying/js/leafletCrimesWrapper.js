@@ -1,12 +1,33 @@
 /// <reference path="leafletwrapper.js" />
+import { getMap } from './leafletWrapper.js';
+
 // Crime Investigation Functions
 
-// Store investigation markers and arrows
-let investigationMarkers = L.featureGroup();
-let directionArrows = L.featureGroup();
+// Investigation markers and arrows, stored per map handle
+const investigations = new Map();
+
+// Get (or create) the investigation layers of one map. A map recreated under the
+// same element id starts with fresh layers.
+function getInvestigation(mapId) {
+    const map = getMap(mapId);
+    let investigation = investigations.get(mapId);
+    if (!investigation || investigation.map !== map) {
+        investigation = {
+            map: map,
+            investigationMarkers: L.featureGroup(),
+            directionArrows: L.featureGroup()
+        };
+        investigations.set(mapId, investigation);
+    }
+    return investigation;
+}
 
 // Add investigation location with custom icon and metadata
-export function addInvestigationLocation(lat, lng, title, description, type = 'crime-scene', options = {}) {
+export function addInvestigationLocation(mapId, lat, lng, title, description, type = 'crime-scene', options = {}) {
+    const map = getMap(mapId);
+    if (!map) return;
+    const { investigationMarkers } = getInvestigation(mapId);
+
     // Custom icons for different investigation types
     const iconTypes = {
         'crime-scene': L.icon({
@@ -73,7 +94,11 @@ export function addInvestigationLocation(lat, lng, title, description, type = 'c
 }
 
 // Create directional arrow between two points
-export function addDirectionArrow(fromLat, fromLng, toLat, toLng, label = '', color = '#ff0000', options = {}) {
+export function addDirectionArrow(mapId, fromLat, fromLng, toLat, toLng, label = '', color = '#ff0000', options = {}) {
+    const map = getMap(mapId);
+    if (!map) return;
+    const { directionArrows } = getInvestigation(mapId);
+
     const fromPoint = L.latLng(fromLat, fromLng);
     const toPoint = L.latLng(toLat, toLng);
 
@@ -113,15 +138,15 @@ export function addDirectionArrow(fromLat, fromLng, toLat, toLng, label = '', co
 
 // Calculate bearing between two points
 function calculateBearing(fromLat, fromLng, toLat, toLng) {
-    const ?1 = fromLat * Math.PI / 180;
-    const ?2 = toLat * Math.PI / 180;
-    const ?? = (toLng - fromLng) * Math.PI / 180;
+    const phi1 = fromLat * Math.PI / 180;
+    const phi2 = toLat * Math.PI / 180;
+    const deltaLambda = (toLng - fromLng) * Math.PI / 180;
 
-    const y = Math.sin(??) * Math.cos(?2);
-    const x = Math.cos(?1) * Math.sin(?2) - Math.sin(?1) * Math.cos(?2) * Math.cos(??);
-    const ? = Math.atan2(y, x);
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+    const theta = Math.atan2(y, x);
 
-    return (? * 180 / Math.PI + 360) % 360;
+    return (theta * 180 / Math.PI + 360) % 360;
 }
 
 // Create arrowhead marker
@@ -155,7 +180,11 @@ function calculateMidpoint(point1, point2) {
 }
 
 // Add multiple directional arrows (for paths/routes)
-export function addInvestigationPath(points, label = 'Investigation Path', color = '#ff6b00', options = {}) {
+export function addInvestigationPath(mapId, points, label = 'Investigation Path', color = '#ff6b00', options = {}) {
+    const map = getMap(mapId);
+    if (!map) return;
+    const { directionArrows } = getInvestigation(mapId);
+
     const path = L.polyline(points, {
         color: color,
         weight: options.weight || 4,
@@ -166,6 +195,7 @@ export function addInvestigationPath(points, label = 'Investigation Path', color
     // Add arrows along the path
     for (let i = 0; i < points.length - 1; i++) {
         addDirectionArrow(
+            mapId,
             points[i].lat, points[i].lng,
             points[i + 1].lat, points[i + 1].lng,
             i === 0 ? label : '',
@@ -179,7 +209,11 @@ export function addInvestigationPath(points, label = 'Investigation Path', color
 }
 
 // Create investigation zone (radius around point)
-export function addInvestigationZone(lat, lng, radius, label = 'Investigation Zone', color = '#ff0000', options = {}) {
+export function addInvestigationZone(mapId, lat, lng, radius, label = 'Investigation Zone', color = '#ff0000', options = {}) {
+    const map = getMap(mapId);
+    if (!map) return;
+    const { investigationMarkers } = getInvestigation(mapId);
+
     const zone = L.circle([lat, lng], {
         radius: radius,
         color: color,
@@ -203,15 +237,21 @@ export function addInvestigationZone(lat, lng, radius, label = 'Investigation Zo
 }
 
 // Clear all investigation markers and arrows
-export function clearInvestigationData() {
-    map.removeLayer(investigationMarkers);
-    map.removeLayer(directionArrows);
-    investigationMarkers = L.featureGroup();
-    directionArrows = L.featureGroup();
+export function clearInvestigationData(mapId) {
+    const investigation = investigations.get(mapId);
+    if (!investigation) return;
+
+    const map = getMap(mapId);
+    if (map) {
+        map.removeLayer(investigation.investigationMarkers);
+        map.removeLayer(investigation.directionArrows);
+    }
+    investigations.delete(mapId);
 }
 
 // Get investigation data as GeoJSON
-export function getInvestigationGeoJson() {
+export function getInvestigationGeoJson(mapId) {
+    const { investigationMarkers, directionArrows } = getInvestigation(mapId);
     return {
         markers: investigationMarkers.toGeoJSON(),
         arrows: directionArrows.toGeoJSON()
@@ -219,7 +259,11 @@ export function getInvestigationGeoJson() {
 }
 
 // Load investigation data from GeoJSON
-export function loadInvestigationGeoJson(geoJsonData) {
+export function loadInvestigationGeoJson(mapId, geoJsonData) {
+    const map = getMap(mapId);
+    if (!map) return;
+    const { investigationMarkers, directionArrows } = getInvestigation(mapId);
+
     if (geoJsonData.markers) {
         L.geoJSON(geoJsonData.markers, {
             pointToLayer: function (feature, latlng) {
@@ -248,12 +292,15 @@ export function loadInvestigationGeoJson(geoJsonData) {
 }
 
 // Add time-based animation for investigation sequence
-export function addTimelineAnimation(points, interval = 2000) {
+export function addTimelineAnimation(mapId, points, interval = 2000) {
+    if (!getMap(mapId)) return;
+
     let currentIndex = 0;
     const timelineMarkers = [];
 
     points.forEach((point, index) => {
         const marker = addInvestigationLocation(
+            mapId,
             point.lat, point.lng,
             `Timeline Point ${index + 1}`,
             point.description || `Event at ${new Date(point.timestamp).toLocaleString()}`,
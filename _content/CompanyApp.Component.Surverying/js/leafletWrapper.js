@@ -1,53 +1,156 @@
 // leafletWrapper.js - Extended Leaflet wrapper for Blazor
+import { createCachedTileLayer } from './tileCache.js';
+import { createBaseLayer } from './baseLayers.js';
+
+// Map instances keyed by element id
+const maps = new Map();
+
+// Layers handed to .NET are referred to by string IDs, since Leaflet objects
+// cannot be marshalled
+let nextLayerId = 1;
+let nextMarkerZIndexOffset = 1000;
+
+// Resolve a map handle by element id
+function getHandle(mapId) {
+    const handle = maps.get(mapId);
+    if (!handle) {
+        console.warn(`Map '${mapId}' not found or already disposed`);
+        return null;
+    }
+    return handle;
+}
+
+// Track a layer on its map and return the ID .NET uses for it
+function registerLayer(handle, kind, layer) {
+    const layerId = `${kind}-${nextLayerId++}`;
+    handle.layers.set(layerId, { kind: kind, layer: layer });
+    return layerId;
+}
+
+// Resolve a layer ID on a map, warning when it is unknown
+function getLayerEntry(handle, layerId) {
+    const entry = handle.layers.get(layerId);
+    if (!entry) {
+        console.warn(`Layer '${layerId}' not found on map '${handle.id}'`);
+        return null;
+    }
+    return entry;
+}
 
-// Initialize the map
-let map; // Global map
-let baseLayers = {};
-let currentBaseLayer = 'osm';
-let miniMapControl = null;
+// Get the Leaflet map behind a handle (used by leafletCrimesWrapper.js)
+export function getMap(mapId) {
+    const handle = getHandle(mapId);
+    return handle ? handle.map : null;
+}
 
+// Initialize the map and return its handle
 export function createMap(elementId, lat, lng, zoom) {
-    map = L.map(elementId).setView([lat, lng], zoom);
+    if (maps.has(elementId)) {
+        dispose(elementId);
+    }
 
-    // Create base layers
-    baseLayers.osm = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '� OpenStreetMap contributors'
+    const map = L.map(elementId).setView([lat, lng], zoom);
+    const handle = {
+        id: elementId,
+        map: map,
+        baseLayers: {},
+        currentBaseLayer: 'osm',
+        layerControl: null,
+        miniMapControl: null,
+        drawControl: null,
+        drawEnabled: false,
+        drawnItems: L.featureGroup(),
+        layers: new Map()
+    };
+
+    // Create base layers (cached in IndexedDB for offline use)
+    handle.baseLayers.osm = createCachedTileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '&copy; OpenStreetMap contributors'
     }).addTo(map);
 
-    baseLayers.satellite = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-        attribution: '� Esri, Maxar, Earthstar Geographics, and the GIS User Community'
+    handle.baseLayers.satellite = createCachedTileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
+        attribution: '&copy; Esri, Maxar, Earthstar Geographics, and the GIS User Community'
     });
 
     // Add layer control
-    L.control.layers({
-        "OpenStreetMap": baseLayers.osm,
-        "Satellite": baseLayers.satellite
+    handle.layerControl = L.control.layers({
+        "OpenStreetMap": handle.baseLayers.osm,
+        "Satellite": handle.baseLayers.satellite
     }).addTo(map);
 
-    return map;
+    // Keep the current map type in sync when the user switches layers
+    map.on('baselayerchange', function (e) {
+        for (const key in handle.baseLayers) {
+            if (handle.baseLayers[key] === e.layer) {
+                handle.currentBaseLayer = key;
+            }
+        }
+    });
+
+    maps.set(elementId, handle);
+    return elementId;
 }
 
 // Switch between map types
-export function setMapType(mapType) {
-    if (baseLayers[currentBaseLayer]) {
-        map.removeLayer(baseLayers[currentBaseLayer]);
+export function setMapType(mapId, mapType) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    if (handle.baseLayers[handle.currentBaseLayer]) {
+        handle.map.removeLayer(handle.baseLayers[handle.currentBaseLayer]);
+    }
+
+    if (handle.baseLayers[mapType]) {
+        handle.map.addLayer(handle.baseLayers[mapType]);
+        handle.currentBaseLayer = mapType;
+    }
+}
+
+// Register an XYZ, TMS or WMS base layer (see baseLayers.js for the definition
+// fields) and add it to the layer switcher. Re-registering a key replaces it.
+export function registerBaseLayer(mapId, key, definition) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    let layer;
+    try {
+        layer = createBaseLayer(definition);
+    } catch (e) {
+        console.error(`Error creating base layer '${key}':`, e);
+        return false;
     }
 
-    if (baseLayers[mapType]) {
-        map.addLayer(baseLayers[mapType]);
-        currentBaseLayer = mapType;
+    const previous = handle.baseLayers[key];
+    const isCurrent = handle.currentBaseLayer === key && previous && handle.map.hasLayer(previous);
+    if (previous) {
+        handle.layerControl.removeLayer(previous);
+        handle.map.removeLayer(previous);
+    }
+
+    handle.baseLayers[key] = layer;
+    handle.layerControl.addBaseLayer(layer, definition.name || key);
+
+    if (isCurrent) {
+        handle.map.addLayer(layer);
     }
+    return true;
 }
 
 // Add a marker
-export function addMarker(lat, lng, popupText) {
-    const marker = L.marker([lat, lng]).addTo(map); // Uses global `map`
+export function addMarker(mapId, lat, lng, popupText) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    const marker = L.marker([lat, lng]).addTo(handle.map);
     if (popupText) marker.bindPopup(popupText).openPopup();
-    return marker;
+    return registerLayer(handle, 'marker', marker);
 }
 
 // Add a circle (with customizable options)
-export function addCircle(lat, lng, radius, options = {}) {
+export function addCircle(mapId, lat, lng, radius, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     const circle = L.circle([lat, lng], {
         radius: radius,
         color: options.color || 'red',
@@ -55,34 +158,43 @@ export function addCircle(lat, lng, radius, options = {}) {
         fillOpacity: options.fillOpacity || 0.5,
         weight: options.weight || 2,
         ...options
-    }).addTo(map);
-    return circle;
+    }).addTo(handle.map);
+    return registerLayer(handle, 'circle', circle);
 }
 
 // Add a polygon (accepts array of LatLng points)
-export function addPolygon(latLngs, options = {}) {
+export function addPolygon(mapId, latLngs, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     const polygon = L.polygon(latLngs, {
         color: options.color || 'blue',
         fillColor: options.fillColor || options.color || 'blue',
         fillOpacity: options.fillOpacity || 0.5,
         weight: options.weight || 2,
         ...options
-    }).addTo(map);
-    return polygon;
+    }).addTo(handle.map);
+    return registerLayer(handle, 'polygon', polygon);
 }
 
 // Add a polyline (accepts array of LatLng points)
-export function addPolyline(latLngs, options = {}) {
+export function addPolyline(mapId, latLngs, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     const polyline = L.polyline(latLngs, {
         color: options.color || 'green',
         weight: options.weight || 3,
         ...options
-    }).addTo(map);
-    return polyline;
+    }).addTo(handle.map);
+    return registerLayer(handle, 'polyline', polyline);
 }
 
 // Add a structure with customizable color and border width
-export function addStructure(latLngs, color = 'blue', borderWidth = 2, options = {}) {
+export function addStructure(mapId, latLngs, color = 'blue', borderWidth = 2, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     const structure = L.polygon(latLngs, {
         color: color,
         weight: borderWidth,
@@ -90,13 +202,16 @@ export function addStructure(latLngs, color = 'blue', borderWidth = 2, options =
         fillOpacity: options.fillOpacity || 0.5,
         opacity: options.opacity || 1.0,
         ...options
-    }).addTo(map);
+    }).addTo(handle.map);
 
-    return structure;
+    return registerLayer(handle, 'polygon', structure);
 }
 
 // Add a rectangle structure with customizable color and border width
-export function addRectangleStructure(bounds, color = 'blue', borderWidth = 2, options = {}) {
+export function addRectangleStructure(mapId, bounds, color = 'blue', borderWidth = 2, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     const rectangle = L.rectangle(bounds, {
         color: color,
         weight: borderWidth,
@@ -104,23 +219,29 @@ export function addRectangleStructure(bounds, color = 'blue', borderWidth = 2, o
         fillOpacity: options.fillOpacity || 0.5,
         opacity: options.opacity || 1.0,
         ...options
-    }).addTo(map);
+    }).addTo(handle.map);
 
-    return rectangle;
+    return registerLayer(handle, 'polygon', rectangle);
 }
 
 // Render GeoJSON data
-export function addGeoJson(geoJsonData, options = {}) {
+export function addGeoJson(mapId, geoJsonData, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     const geoJsonLayer = L.geoJSON(geoJsonData, {
         style: options.style || { color: 'purple' },
         onEachFeature: options.onEachFeature,
         ...options
-    }).addTo(map);
-    return geoJsonLayer;
+    }).addTo(handle.map);
+    return registerLayer(handle, 'geojson', geoJsonLayer);
 }
 
-export function addGeoJsonWithPopup(geoJsonData, popupTemplate) {
-    return L.geoJSON(geoJsonData, {
+export function addGeoJsonWithPopup(mapId, geoJsonData, popupTemplate) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    const layer = L.geoJSON(geoJsonData, {
         onEachFeature: function (feature, layer) {
             if (feature.properties && popupTemplate) {
                 let popupContent = popupTemplate;
@@ -130,42 +251,151 @@ export function addGeoJsonWithPopup(geoJsonData, popupTemplate) {
                 layer.bindPopup(popupContent);
             }
         }
-    }).addTo(map);
+    }).addTo(handle.map);
+    return registerLayer(handle, 'geojson', layer);
+}
+
+// Remove a single layer by ID
+export function removeLayerById(mapId, layerId) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    handle.map.removeLayer(entry.layer);
+    handle.layers.delete(layerId);
+    return true;
 }
 
-// Remove a layer (marker, circle, polygon, etc.)
-export function removeLayer(layer) {
-    map.removeLayer(layer);
+// Remove a layer (marker, circle, polygon, etc.) by the ID its add* call returned
+export function removeLayer(mapId, layerId) {
+    return removeLayerById(mapId, layerId);
 }
 
-// Clear all layers except base tiles
-export function clearMap() {
-    map.eachLayer(layer => {
-        if (!layer._url && !baseLayers.osm && !baseLayers.satellite) {
-            map.removeLayer(layer);
+// Move or reshape a layer in place.
+// Markers and circles take [lat, lng] (circles optionally a new radius),
+// polygons and polylines take an array of [lat, lng], GeoJSON layers take GeoJSON.
+export function updateLayerGeometry(mapId, layerId, geometry, radius = null) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    try {
+        switch (entry.kind) {
+            case 'marker':
+                entry.layer.setLatLng(geometry);
+                break;
+            case 'circle':
+                entry.layer.setLatLng(geometry);
+                if (radius !== null) {
+                    entry.layer.setRadius(radius);
+                }
+                break;
+            case 'polygon':
+            case 'polyline':
+                entry.layer.setLatLngs(geometry);
+                break;
+            case 'geojson':
+                entry.layer.clearLayers();
+                entry.layer.addData(geometry);
+                break;
+            default:
+                console.warn(`Layer '${layerId}' cannot be reshaped`);
+                return false;
         }
-    });
+        return true;
+    } catch (e) {
+        console.error(`Error updating geometry of layer '${layerId}':`, e);
+        return false;
+    }
+}
+
+// Restyle a layer (path options such as color, weight, fillColor, fillOpacity).
+// Markers only honour opacity.
+export function setLayerStyle(mapId, layerId, style = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    if (entry.kind === 'marker') {
+        if (style.opacity !== undefined) {
+            entry.layer.setOpacity(style.opacity);
+        }
+    } else {
+        entry.layer.setStyle(style);
+    }
+    return true;
+}
+
+// Set, replace or (with null) remove the popup of a layer
+export function setLayerPopup(mapId, layerId, popupText, openPopup = false) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    if (!popupText) {
+        entry.layer.unbindPopup();
+        return true;
+    }
+
+    entry.layer.bindPopup(popupText);
+    if (openPopup) {
+        entry.layer.openPopup();
+    }
+    return true;
+}
+
+// Draw a layer above the others of its kind
+export function bringLayerToFront(mapId, layerId) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    if (entry.kind === 'marker') {
+        entry.layer.setZIndexOffset(nextMarkerZIndexOffset++);
+    } else {
+        entry.layer.bringToFront();
+    }
+    return true;
+}
+
+// Clear all layers added through the wrapper (base tiles and drawings stay)
+export function clearMap(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    handle.layers.forEach(entry => handle.map.removeLayer(entry.layer));
+    handle.layers.clear();
 }
 
 // Drawing Tools with parameter support
-let drawControl;
-let drawEnabled;
-let drawnItems = L.featureGroup();
+export function initDrawTools(mapId, lineColor = '#3388ff', fillColor = '#3388ff', lineWeight = 2) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+    const map = handle.map;
 
-export function initDrawTools(lineColor = '#3388ff', fillColor = '#3388ff', lineWeight = 2) {
     // Clear existing drawn items if any
-    if (drawnItems) {
-        map.removeLayer(drawnItems);
+    if (handle.drawnItems) {
+        map.removeLayer(handle.drawnItems);
     }
 
-    drawnItems = L.featureGroup().addTo(map);
+    handle.drawnItems = L.featureGroup().addTo(map);
 
     // Remove existing draw control if any
-    if (drawControl) {
-        map.removeControl(drawControl);
+    if (handle.drawControl) {
+        map.removeControl(handle.drawControl);
     }
 
-    drawControl = new L.Control.Draw({
+    handle.drawControl = new L.Control.Draw({
         position: 'topright',
         draw: {
             polygon: {
@@ -207,23 +437,27 @@ export function initDrawTools(lineColor = '#3388ff', fillColor = '#3388ff', line
             }
         },
         edit: {
-            featureGroup: drawnItems
+            featureGroup: handle.drawnItems
         }
     }).addTo(map);
 
-    drawEnabled = true;
+    handle.drawEnabled = true;
 
     // Clear previous event listeners
     map.off(L.Draw.Event.CREATED);
 
     map.on(L.Draw.Event.CREATED, function (e) {
         const layer = e.layer;
-        drawnItems.addLayer(layer);
+        handle.drawnItems.addLayer(layer);
     });
 }
 
 // Advanced configuration function
-export function initDrawToolsAdvanced(options) {
+export function initDrawToolsAdvanced(mapId, options) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+    const map = handle.map;
+
     const defaultOptions = {
         lineColor: '#3388ff',
         fillColor: '#3388ff',
@@ -240,20 +474,20 @@ export function initDrawToolsAdvanced(options) {
     const config = { ...defaultOptions, ...options };
 
     // Clear existing
-    if (drawnItems) {
-        map.removeLayer(drawnItems);
+    if (handle.drawnItems) {
+        map.removeLayer(handle.drawnItems);
     }
-    drawnItems = L.featureGroup().addTo(map);
+    handle.drawnItems = L.featureGroup().addTo(map);
 
-    if (drawControl) {
-        map.removeControl(drawControl);
+    if (handle.drawControl) {
+        map.removeControl(handle.drawControl);
     }
 
     const drawConfig = {
         position: config.position,
         draw: {},
         edit: {
-            featureGroup: drawnItems
+            featureGroup: handle.drawnItems
         }
     };
 
@@ -309,58 +543,70 @@ export function initDrawToolsAdvanced(options) {
         };
     }
 
-    drawControl = new L.Control.Draw(drawConfig).addTo(map);
+    handle.drawControl = new L.Control.Draw(drawConfig).addTo(map);
 
-    drawEnabled = true;
+    handle.drawEnabled = true;
 
     map.off(L.Draw.Event.CREATED);
     map.on(L.Draw.Event.CREATED, function (e) {
         const layer = e.layer;
-        drawnItems.addLayer(layer);
+        handle.drawnItems.addLayer(layer);
     });
 }
 
-export function updateDrawToolsStyle(lineColor, fillColor, lineWeight, fillOpacity = 0.2) {
+export function updateDrawToolsStyle(mapId, lineColor, fillColor, lineWeight, fillOpacity = 0.2) {
     // Reinitialize with new styles
-    initDrawTools(lineColor, fillColor, lineWeight);
+    initDrawTools(mapId, lineColor, fillColor, lineWeight);
 }
 
-export function enableDrawing() {
-    if (!drawControl) return;
-    if (!drawEnabled) {
-        drawControl.addTo(map);
-        drawEnabled = true;
+export function enableDrawing(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.drawControl) return;
+    if (!handle.drawEnabled) {
+        handle.drawControl.addTo(handle.map);
+        handle.drawEnabled = true;
     }
 }
 
-export function disableDrawing() {
-    if (!drawControl) return;
-    if (drawEnabled) {
-        drawControl.remove();
-        drawEnabled = false;
+export function disableDrawing(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.drawControl) return;
+    if (handle.drawEnabled) {
+        handle.drawControl.remove();
+        handle.drawEnabled = false;
     }
 }
 
-export function clearAllDrawn() {
-    drawnItems.clearLayers();
+export function clearAllDrawn(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+    handle.drawnItems.clearLayers();
 }
 
-export function getDrawnGeoJson() {
-    return JSON.stringify(drawnItems.toGeoJSON());
+export function getDrawnGeoJson(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+    return JSON.stringify(handle.drawnItems.toGeoJSON());
 }
 
-export function addDrawnFromGeoJson(geoJson) {
+export function addDrawnFromGeoJson(mapId, geoJson) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     L.geoJSON(geoJson, {
         onEachFeature: function (feature, layer) {
-            drawnItems.addLayer(layer);
+            handle.drawnItems.addLayer(layer);
         }
     });
 }
 // Add MiniMap control
-export function addMiniMap(miniMapLayerUrl = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', options = {}) {
+export function addMiniMap(mapId, miniMapLayerUrl = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
     // Remove existing miniMap if any
-    if (miniMapControl) {
-        map.removeControl(miniMapControl);
+    if (handle.miniMapControl) {
+        handle.map.removeControl(handle.miniMapControl);
     }
 
     const defaultOptions = {
@@ -381,34 +627,41 @@ export function addMiniMap(miniMapLayerUrl = 'https://{s}.tile.openstreetmap.org
 
     const config = { ...defaultOptions, ...options };
 
-    const mbAttr = '� OpenStreetMap contributors';
+    const mbAttr = '&copy; OpenStreetMap contributors';
     const miniMapLayer = new L.TileLayer(miniMapLayerUrl, {
         minZoom: 0,
         maxZoom: 13,
         attribution: mbAttr
     });
 
-    miniMapControl = new L.Control.MiniMap(miniMapLayer, config).addTo(map);
-    return miniMapControl;
+    handle.miniMapControl = new L.Control.MiniMap(miniMapLayer, config).addTo(handle.map);
+    return handle.miniMapControl;
 }
 
 // Remove MiniMap control
-export function removeMiniMap() {
-    if (miniMapControl) {
-        map.removeControl(miniMapControl);
-        miniMapControl = null;
+export function removeMiniMap(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.miniMapControl) {
+        handle.map.removeControl(handle.miniMapControl);
+        handle.miniMapControl = null;
     }
 }
 
 // Toggle MiniMap visibility
-export function toggleMiniMap() {
-    if (miniMapControl) {
-        miniMapControl._toggleDisplay();
+export function toggleMiniMap(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.miniMapControl) {
+        handle.miniMapControl._toggleDisplay();
     }
 }
 // Keep the setupMapClick function
-export function setupMapClick(dotNetReference) {
-    map.on('click', function (e) {
+// The component only reports clicks; the full event bridge (subscribeMapEvents)
+// lives in js/leafletWrapper.js and is not part of this package.
+export function setupMapClick(mapId, dotNetReference) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    handle.map.on('click', function (e) {
         const lat = e.latlng.lat;
         const lng = e.latlng.lng;
         dotNetReference.invokeMethodAsync('OnMapClick', lat, lng);
@@ -416,15 +669,37 @@ export function setupMapClick(dotNetReference) {
 }
 
 // Set map view to specific coordinates and zoom
-export function setView(lat, lng, zoom) {
-    if (map) {
-        map.setView([lat, lng], zoom);
+export function setView(mapId, lat, lng, zoom) {
+    const handle = getHandle(mapId);
+    if (handle) {
+        handle.map.setView([lat, lng], zoom);
     }
 }
 
 // Fit map to bounds
-export function fitBounds(bounds) {
-    if (map) {
-        map.fitBounds(bounds);
+export function fitBounds(mapId, bounds) {
+    const handle = getHandle(mapId);
+    if (handle) {
+        handle.map.fitBounds(bounds);
     }
-}
\ No newline at end of file
+}
+
+// Dispose one map without touching the others
+export function dispose(mapId) {
+    const handle = maps.get(mapId);
+    if (!handle) return;
+
+    maps.delete(mapId);
+    try {
+        handle.map.remove();
+    } catch (e) {
+        console.warn('Error removing map:', e);
+    }
+    handle.map = null;
+    handle.baseLayers = {};
+    handle.layerControl = null;
+    handle.drawnItems = null;
+    handle.drawControl = null;
+    handle.miniMapControl = null;
+    handle.layers.clear();
+}
@@ -0,0 +1,329 @@
+// tileCache.js - Tile layer that keeps viewed tiles in IndexedDB for offline field use
+//
+// Tiles are stored under "<url template>|z/x/y", so the same source is shared by
+// every map and subdomains ({s}) do not produce duplicate entries. Works equally
+// for remote XYZ services and for a locally hosted {z}/{x}/{y} directory.
+// The store holds at most 30000 tiles; past that the least recently used go first.
+// Bulk seeding is only allowed for layers flagged seedable: public services such
+// as tile.openstreetmap.org forbid bulk downloads in their usage policies.
+
+const DB_NAME = 'survey-tile-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'tiles';
+const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_CACHED_TILES = 30000;
+const EVICTION_INTERVAL = 100; // stores between cache size checks
+const TOUCH_INTERVAL = 60 * 60 * 1000; // ms before a read refreshes the last-used time
+const DEFAULT_MAX_SEED_TILES = 10000;
+const MAX_SEED_TILES = 20000;
+const SEED_CONCURRENCY = 4;
+const SEED_PROGRESS_INTERVAL = 250; // ms between progress reports
+
+let dbPromise = null;
+let storesSinceEviction = 0;
+
+// Open (once) the tile database
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = event => {
+                const store = event.oldVersion < 1
+                    ? request.result.createObjectStore(STORE_NAME)
+                    : request.transaction.objectStore(STORE_NAME);
+                store.createIndex('used', 'used');
+                // Tiles cached before eviction existed were last used when stored
+                if (event.oldVersion >= 1) {
+                    store.openCursor().onsuccess = e => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        cursor.update({ ...cursor.value, used: cursor.value.time });
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// Run one request against the tile store
+function withStore(mode, action) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = action(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+function readTile(key) {
+    return withStore('readonly', store => store.get(key));
+}
+
+function storeTile(key, blob) {
+    const now = Date.now();
+    return withStore('readwrite', store => store.put({ blob: blob, time: now, used: now }, key))
+        .then(result => {
+            if (++storesSinceEviction >= EVICTION_INTERVAL) {
+                storesSinceEviction = 0;
+                evictTiles().catch(e => console.warn('Error evicting cached tiles:', e));
+            }
+            return result;
+        });
+}
+
+// Record that a cached tile was used, at most once per TOUCH_INTERVAL
+function touchTile(key, entry) {
+    const now = Date.now();
+    if (now - (entry.used || entry.time) < TOUCH_INTERVAL) return Promise.resolve();
+    return withStore('readwrite', store => store.put({ ...entry, used: now }, key));
+}
+
+// Delete the least recently used tiles beyond MAX_CACHED_TILES
+function evictTiles() {
+    return withStore('readwrite', store => {
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - MAX_CACHED_TILES;
+            if (excess <= 0) return;
+            store.index('used').openCursor().onsuccess = e => {
+                const cursor = e.target.result;
+                if (!cursor || excess-- <= 0) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        };
+        return countRequest;
+    });
+}
+
+function tileKey(urlTemplate, x, y, z) {
+    return `${urlTemplate}|${z}/${x}/${y}`;
+}
+
+function fetchTile(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Tile request failed with status ${response.status}: ${url}`);
+        }
+        return response.blob();
+    });
+}
+
+// Cache first; refresh entries older than maxAge when online and fall back to
+// the stale copy if the network is unavailable
+async function loadTile(key, url, maxAge) {
+    const cached = await readTile(key).catch(() => null);
+    if (cached && (Date.now() - cached.time < maxAge || !navigator.onLine)) {
+        touchTile(key, cached).catch(() => {});
+        return cached.blob;
+    }
+
+    try {
+        const blob = await fetchTile(url);
+        await storeTile(key, blob).catch(e => console.warn('Error caching tile:', e));
+        return blob;
+    } catch (e) {
+        if (cached) return cached.blob;
+        throw e;
+    }
+}
+
+// Leaflet tile layer backed by the cache. Extra options:
+//   cache    - set to false to bypass IndexedDB (e.g. for a local tile directory)
+//   maxAge   - milliseconds before a cached tile is refreshed when online
+//   seedable - set to true for sources that allow bulk download (a local tile
+//              directory or a licensed service); seedTiles refuses the rest
+const CachedTileLayer = L.TileLayer.extend({
+    options: {
+        cache: true,
+        maxAge: DEFAULT_MAX_AGE,
+        seedable: false
+    },
+
+    initialize: function (url, options) {
+        L.TileLayer.prototype.initialize.call(this, url, options);
+
+        this.on('tileunload', function (e) {
+            if (e.tile && e.tile.src && e.tile.src.startsWith('blob:')) {
+                URL.revokeObjectURL(e.tile.src);
+            }
+        });
+    },
+
+    createTile: function (coords, done) {
+        if (!this.options.cache) {
+            return L.TileLayer.prototype.createTile.call(this, coords, done);
+        }
+
+        const tile = document.createElement('img');
+        L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+        L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+
+        if (this.options.crossOrigin || this.options.crossOrigin === '') {
+            tile.crossOrigin = this.options.crossOrigin === true ? '' : this.options.crossOrigin;
+        }
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+
+        const url = this.getTileUrl(coords);
+        const key = tileKey(this._url, coords.x, coords.y, this._getZoomForUrl());
+        // The tile may be unloaded before the cache answers; a blob URL made for
+        // it then would never be revoked
+        const isCurrent = () => {
+            const current = this._tiles[this._tileCoordsToKey(coords)];
+            return current !== undefined && current.el === tile;
+        };
+
+        loadTile(key, url, this.options.maxAge)
+            .then(blob => { if (isCurrent()) tile.src = URL.createObjectURL(blob); })
+            .catch(() => { if (isCurrent()) tile.src = url; });
+
+        return tile;
+    }
+});
+
+// Create a cached tile layer (drop-in replacement for L.tileLayer)
+export function createCachedTileLayer(urlTemplate, options = {}) {
+    return new CachedTileLayer(urlTemplate, options);
+}
+
+// Tile range covering lat/lng bounds at one zoom level
+function tileRange(bounds, zoom) {
+    const [[south, west], [north, east]] = bounds;
+    const n = Math.pow(2, zoom);
+    const clampLat = lat => Math.max(Math.min(lat, 85.0511), -85.0511);
+    const toX = lng => Math.floor((lng + 180) / 360 * n);
+    const toY = lat => {
+        const rad = clampLat(lat) * Math.PI / 180;
+        return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+    };
+
+    return {
+        minX: Math.max(0, toX(west)),
+        maxX: Math.min(n - 1, toX(east)),
+        minY: Math.max(0, toY(north)),
+        maxY: Math.min(n - 1, toY(south))
+    };
+}
+
+// Resolve the URL of one tile without a map, honouring {s} subdomains and tms
+function tileUrl(urlTemplate, options, x, y, z) {
+    const subdomains = typeof options.subdomains === 'string'
+        ? options.subdomains.split('')
+        : (options.subdomains || ['a', 'b', 'c']);
+
+    return L.Util.template(urlTemplate, L.extend({}, options, {
+        s: subdomains[Math.abs(x + y) % subdomains.length],
+        r: '',
+        x: x,
+        y: options.tms ? Math.pow(2, z) - 1 - y : y,
+        z: z
+    }));
+}
+
+// Download every tile of a bounding box [[south, west], [north, east]] for a zoom
+// range into the cache. Tiles already cached are skipped. onProgress(done, total)
+// is called at most every 250 ms as tiles complete, and once more at the end.
+// options.seedable must be true; options.maxTiles caps the download (default
+// 10000, never more than 20000).
+export async function seedTiles(urlTemplate, bounds, minZoom, maxZoom, options = {}, onProgress = null) {
+    if (options.seedable !== true) {
+        throw new Error('The tile source is not flagged as seedable; bulk download is refused');
+    }
+
+    const ranges = [];
+    let tileCount = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const range = tileRange(bounds, z);
+        ranges.push({ z, ...range });
+        tileCount += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+    }
+
+    const maxTiles = Math.min(options.maxTiles || DEFAULT_MAX_SEED_TILES, MAX_SEED_TILES);
+    if (tileCount > maxTiles) {
+        throw new Error(`Seeding would download ${tileCount} tiles (limit ${maxTiles}); reduce the area or zoom range`);
+    }
+
+    const jobs = [];
+    for (const range of ranges) {
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                jobs.push({ x, y, z: range.z });
+            }
+        }
+    }
+
+    await openDb();
+
+    const result = { total: jobs.length, stored: 0, skipped: 0, failed: 0 };
+    let next = 0;
+    let lastReport = 0;
+
+    function reportProgress() {
+        const done = result.stored + result.skipped + result.failed;
+        const now = Date.now();
+        if (done < result.total && now - lastReport < SEED_PROGRESS_INTERVAL) return;
+        lastReport = now;
+        Promise.resolve()
+            .then(() => onProgress(done, result.total))
+            .catch(e => console.warn('Error reporting seed progress:', e));
+    }
+
+    async function worker() {
+        while (next < jobs.length) {
+            const { x, y, z } = jobs[next++];
+            const key = tileKey(urlTemplate, x, y, z);
+            try {
+                const cached = await readTile(key);
+                if (cached) {
+                    await touchTile(key, cached);
+                    result.skipped++;
+                } else {
+                    await storeTile(key, await fetchTile(tileUrl(urlTemplate, options, x, y, z)));
+                    result.stored++;
+                }
+            } catch (e) {
+                result.failed++;
+            }
+
+            if (onProgress) reportProgress();
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < SEED_CONCURRENCY; i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    await evictTiles().catch(e => console.warn('Error evicting cached tiles:', e));
+
+    return result;
+}
+
+// Number of cached tiles
+export function getCachedTileCount() {
+    return withStore('readonly', store => store.count());
+}
+
+// Remove every cached tile, or only those of one URL template
+export async function clearTileCache(urlTemplate = null) {
+    if (!urlTemplate) {
+        await withStore('readwrite', store => store.clear());
+        return;
+    }
+
+    const prefix = `${urlTemplate}|`;
+    await withStore('readwrite', store => store.delete(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+}
@@ -0,0 +1,567 @@
+// canvasParcels.js - High-volume parcel layer drawn to a single canvas
+//
+// A cadastral fabric of tens of thousands of polygons is too much for one SVG path
+// (or one Leaflet layer) per parcel. This layer keeps the rings as plain arrays in
+// zoom 0 pixel space, finds the parcels in view through a uniform grid, and draws
+// them in one path per style. Parcels smaller than a pixel become single dots and
+// vertices closer than a pixel are skipped. The grid also serves hit-testing, so
+// the layer fires click, mouseover and mouseout with the parcel under the cursor.
+
+const DEFAULT_STYLE = {
+    color: '#3388ff',
+    weight: 1,
+    opacity: 1,
+    fillColor: '#3388ff',
+    fillOpacity: 0.2
+};
+
+const DEFAULT_HOVER_STYLE = {
+    color: '#ff7800',
+    weight: 3,
+    opacity: 1,
+    fillColor: '#ff7800',
+    fillOpacity: 0.1
+};
+
+// Fill colour of a feature from a style-by-property rule:
+//   {property, categories: {value: color}, default}  - one colour per value
+//   {property, breaks: [b1, b2, ...], colors: [c0, c1, ...], default}
+//       - colors[i] for values below breaks[i], the last colour above every break
+function styleByColor(styleBy, properties) {
+    const value = properties ? properties[styleBy.property] : undefined;
+    if (value === undefined || value === null || value === '') {
+        return styleBy.default || null;
+    }
+
+    if (styleBy.categories) {
+        const color = styleBy.categories[value];
+        return color !== undefined ? color : (styleBy.default || null);
+    }
+
+    if (styleBy.breaks && styleBy.colors) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return styleBy.default || null;
+        const index = styleBy.breaks.findIndex(b => number < b);
+        return styleBy.colors[index === -1 ? styleBy.breaks.length : index] || styleBy.default || null;
+    }
+    return styleBy.default || null;
+}
+
+// Rings of a polygon feature, or null for other geometries
+function featureRings(feature) {
+    const geometry = feature && feature.geometry;
+    if (!geometry) return null;
+    if (geometry.type === 'Polygon') return geometry.coordinates;
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+    return null;
+}
+
+// Even-odd point in polygon over all rings, so holes and multi-part parcels work
+function containsPoint(parcel, x, y) {
+    let inside = false;
+    parcel.rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+            const xi = ring[i], yi = ring[i + 1];
+            const xj = ring[j], yj = ring[j + 1];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    });
+    return inside;
+}
+
+// Extra options: style (path options), styleBy (see styleByColor), hoverStyle
+// (null for no highlight), padding (fraction of the view drawn beyond each edge).
+const CanvasParcelLayer = L.Layer.extend({
+    options: {
+        pane: 'overlayPane',
+        padding: 0.1,
+        style: null,
+        styleBy: null,
+        hoverStyle: DEFAULT_HOVER_STYLE
+    },
+
+    initialize: function (geoJson, options) {
+        L.Util.setOptions(this, options);
+        this._features = [];
+        this._parcels = null;
+        this._hovered = null;
+        this._skipped = 0;
+        if (geoJson) {
+            this.addData(geoJson);
+        }
+    },
+
+    // Add polygon features (GeoJSON object or string); other geometries are skipped
+    addData: function (geoJson) {
+        const parsed = typeof geoJson === 'string' ? JSON.parse(geoJson) : geoJson;
+        const features = Array.isArray(parsed) ? parsed
+            : parsed.type === 'FeatureCollection' ? parsed.features
+                : parsed.type === 'Feature' ? [parsed]
+                    : [{ type: 'Feature', geometry: parsed, properties: {} }];
+
+        features.forEach(feature => {
+            if (featureRings(feature)) {
+                this._features.push(feature);
+            } else {
+                this._skipped++;
+            }
+        });
+        this._parcels = null;
+        this._redraw();
+        return this;
+    },
+
+    clearLayers: function () {
+        this._features = [];
+        this._parcels = null;
+        this._hovered = null;
+        this._skipped = 0;
+        this._redraw();
+        return this;
+    },
+
+    getFeatureCount: function () {
+        return this._features.length;
+    },
+
+    getSkippedCount: function () {
+        return this._skipped;
+    },
+
+    // Restyle every parcel (merged into the current style)
+    setStyle: function (style) {
+        this.options.style = { ...(this.options.style || {}), ...style };
+        this._restyle();
+        return this;
+    },
+
+    // Colour parcels by a property (null to return to the plain style)
+    setStyleBy: function (styleBy) {
+        this.options.styleBy = styleBy || null;
+        this._restyle();
+        return this;
+    },
+
+    bringToFront: function () {
+        if (this._container) {
+            L.DomUtil.toFront(this._container);
+        }
+        return this;
+    },
+
+    bringToBack: function () {
+        if (this._container) {
+            L.DomUtil.toBack(this._container);
+        }
+        return this;
+    },
+
+    getBounds: function () {
+        const bounds = L.latLngBounds([]);
+        this._features.forEach(feature => {
+            featureRings(feature).forEach(ring => ring.forEach(([lng, lat]) => bounds.extend([lat, lng])));
+        });
+        return bounds;
+    },
+
+    toGeoJSON: function () {
+        return { type: 'FeatureCollection', features: this._features.slice() };
+    },
+
+    // Path options a parcel is drawn with, including its style-by colour
+    featureStyle: function (feature) {
+        const base = { ...DEFAULT_STYLE, ...(this.options.style || {}) };
+        const fillColor = this.options.styleBy ? styleByColor(this.options.styleBy, feature.properties) : null;
+        return fillColor ? { ...base, fillColor } : base;
+    },
+
+    // Parcel feature at a map position, or null
+    featureAt: function (latLng) {
+        const parcel = this._hitTest(latLng);
+        return parcel ? parcel.feature : null;
+    },
+
+    getEvents: function () {
+        // A view reset always ends with moveend, which redraws
+        const events = {
+            zoom: this._onZoom,
+            moveend: this._reset,
+            resize: this._reset,
+            click: this._onClick,
+            mousemove: this._onMouseMove,
+            mouseout: this._onMouseOut
+        };
+        if (this._zoomAnimated) {
+            events.zoomanim = this._onZoomAnim;
+        }
+        return events;
+    },
+
+    onAdd: function (map) {
+        this._container = L.DomUtil.create('div', 'leaflet-canvas-parcels');
+        this._container.style.pointerEvents = 'none';
+        this._canvas = L.DomUtil.create('canvas', '', this._container);
+        this._hoverCanvas = L.DomUtil.create('canvas', '', this._container);
+        [this._canvas, this._hoverCanvas].forEach(canvas => {
+            canvas.style.position = 'absolute';
+            canvas.style.left = '0';
+            canvas.style.top = '0';
+        });
+
+        if (this._zoomAnimated) {
+            L.DomUtil.addClass(this._container, 'leaflet-zoom-animated');
+        }
+        this.getPane().appendChild(this._container);
+        this._reset();
+    },
+
+    onRemove: function () {
+        this._setHovered(null, null);
+        L.DomUtil.remove(this._container);
+        this._container = this._canvas = this._hoverCanvas = null;
+    },
+
+    // Project the features to zoom 0 pixels and build the grid (once per data change)
+    _prepare: function () {
+        if (this._parcels || !this._map) return;
+        const crs = this._map.options.crs;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this._parcels = this._features.map((feature, index) => {
+            let bMinX = Infinity, bMinY = Infinity, bMaxX = -Infinity, bMaxY = -Infinity;
+            const rings = featureRings(feature).map(ring => {
+                const points = new Float64Array(ring.length * 2);
+                ring.forEach(([lng, lat], i) => {
+                    const p = crs.latLngToPoint(L.latLng(lat, lng), 0);
+                    points[i * 2] = p.x;
+                    points[i * 2 + 1] = p.y;
+                    if (p.x < bMinX) bMinX = p.x;
+                    if (p.x > bMaxX) bMaxX = p.x;
+                    if (p.y < bMinY) bMinY = p.y;
+                    if (p.y > bMaxY) bMaxY = p.y;
+                });
+                return points;
+            });
+            minX = Math.min(minX, bMinX);
+            minY = Math.min(minY, bMinY);
+            maxX = Math.max(maxX, bMaxX);
+            maxY = Math.max(maxY, bMaxY);
+            return { index, feature, rings, bounds: [bMinX, bMinY, bMaxX, bMaxY], style: null };
+        });
+
+        // About four parcels per cell
+        const side = Math.max(1, Math.ceil(Math.sqrt(this._parcels.length / 4)));
+        this._grid = {
+            minX, minY,
+            cellWidth: Math.max((maxX - minX) / side, 1e-12),
+            cellHeight: Math.max((maxY - minY) / side, 1e-12),
+            side,
+            cells: new Map()
+        };
+        this._parcels.forEach(parcel => {
+            this._gridCells(parcel.bounds).forEach(key => {
+                const cell = this._grid.cells.get(key);
+                if (cell) cell.push(parcel.index);
+                else this._grid.cells.set(key, [parcel.index]);
+            });
+        });
+        this._seen = new Uint32Array(this._parcels.length);
+        this._query = 0;
+        this._restyle(false);
+    },
+
+    _gridCells: function ([minX, minY, maxX, maxY]) {
+        const grid = this._grid;
+        const clamp = v => Math.max(0, Math.min(grid.side - 1, v));
+        const x0 = clamp(Math.floor((minX - grid.minX) / grid.cellWidth));
+        const x1 = clamp(Math.floor((maxX - grid.minX) / grid.cellWidth));
+        const y0 = clamp(Math.floor((minY - grid.minY) / grid.cellHeight));
+        const y1 = clamp(Math.floor((maxY - grid.minY) / grid.cellHeight));
+        const keys = [];
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                keys.push(y * grid.side + x);
+            }
+        }
+        return keys;
+    },
+
+    // Parcels whose bounds meet a zoom 0 rectangle
+    _search: function (bounds) {
+        if (!this._parcels || this._parcels.length === 0) return [];
+        const [minX, minY, maxX, maxY] = bounds;
+        const grid = this._grid;
+        if (maxX < grid.minX || maxY < grid.minY ||
+            minX > grid.minX + grid.cellWidth * grid.side || minY > grid.minY + grid.cellHeight * grid.side) {
+            return [];
+        }
+
+        const query = ++this._query;
+        const result = [];
+        this._gridCells(bounds).forEach(key => {
+            const cell = this._grid.cells.get(key);
+            if (!cell) return;
+            cell.forEach(index => {
+                if (this._seen[index] === query) return;
+                this._seen[index] = query;
+                const b = this._parcels[index].bounds;
+                if (b[0] <= maxX && b[2] >= minX && b[1] <= maxY && b[3] >= minY) {
+                    result.push(index);
+                }
+            });
+        });
+        return result.sort((a, b) => a - b);
+    },
+
+    // Resolve the style of every parcel and group parcels that share one
+    _restyle: function (redraw = true) {
+        if (!this._parcels) {
+            if (redraw) this._redraw();
+            return;
+        }
+        const styles = new Map();
+        this._parcels.forEach(parcel => {
+            const style = this.featureStyle(parcel.feature);
+            const key = `${style.color}|${style.weight}|${style.opacity}|${style.fillColor}|${style.fillOpacity}`;
+            if (!styles.has(key)) styles.set(key, style);
+            parcel.style = styles.get(key);
+        });
+        if (redraw) this._redraw();
+    },
+
+    _redraw: function () {
+        if (this._map && this._container) {
+            this._reset();
+        }
+    },
+
+    // Size and place the canvases over the padded view, then draw
+    _reset: function () {
+        const map = this._map;
+        if (!map || !this._container) return;
+        this._prepare();
+
+        const padding = this.options.padding;
+        const size = map.getSize();
+        const min = map.containerPointToLayerPoint(size.multiplyBy(-padding)).round();
+        const canvasSize = size.multiplyBy(1 + padding * 2).round();
+        const ratio = window.devicePixelRatio || 1;
+
+        this._center = map.getCenter();
+        this._zoom = map.getZoom();
+        this._origin = min;
+        L.DomUtil.setPosition(this._container, min);
+
+        [this._canvas, this._hoverCanvas].forEach(canvas => {
+            canvas.width = ratio * canvasSize.x;
+            canvas.height = ratio * canvasSize.y;
+            canvas.style.width = canvasSize.x + 'px';
+            canvas.style.height = canvasSize.y + 'px';
+        });
+
+        this._draw(ratio, canvasSize);
+        this._drawHover();
+    },
+
+    // Transform from zoom 0 pixels to canvas pixels at the current zoom
+    _transform: function () {
+        const map = this._map;
+        const scale = map.options.crs.scale(this._zoom) / map.options.crs.scale(0);
+        const pixelOrigin = map.getPixelOrigin();
+        return {
+            scale,
+            offsetX: -pixelOrigin.x - this._origin.x,
+            offsetY: -pixelOrigin.y - this._origin.y
+        };
+    },
+
+    _draw: function (ratio, canvasSize) {
+        const ctx = this._canvas.getContext('2d');
+        if (!ctx || !this._parcels) return;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, canvasSize.x, canvasSize.y);
+
+        const { scale, offsetX, offsetY } = this._transform();
+        const visible = this._search([
+            -offsetX / scale, -offsetY / scale,
+            (canvasSize.x - offsetX) / scale, (canvasSize.y - offsetY) / scale
+        ]);
+
+        // One path per style, in the order the styles first appear
+        const batches = new Map();
+        visible.forEach(index => {
+            const parcel = this._parcels[index];
+            if (!batches.has(parcel.style)) batches.set(parcel.style, []);
+            batches.get(parcel.style).push(parcel);
+        });
+
+        batches.forEach((parcels, style) => {
+            const dots = [];
+            ctx.beginPath();
+            parcels.forEach(parcel => {
+                const b = parcel.bounds;
+                if ((b[2] - b[0]) * scale < 1 && (b[3] - b[1]) * scale < 1) {
+                    dots.push(parcel);
+                    return;
+                }
+                this._tracePath(ctx, parcel, scale, offsetX, offsetY);
+            });
+
+            if (style.fillOpacity > 0) {
+                ctx.globalAlpha = style.fillOpacity;
+                ctx.fillStyle = style.fillColor;
+                ctx.fill('evenodd');
+            }
+            if (style.weight > 0 && style.opacity > 0) {
+                ctx.globalAlpha = style.opacity;
+                ctx.strokeStyle = style.color;
+                ctx.lineWidth = style.weight;
+                ctx.lineJoin = 'round';
+                ctx.stroke();
+            }
+
+            // Sub-pixel parcels as dots in the outline colour, so the fabric stays visible
+            if (dots.length > 0) {
+                ctx.globalAlpha = Math.max(style.opacity, style.fillOpacity);
+                ctx.fillStyle = style.weight > 0 ? style.color : style.fillColor;
+                dots.forEach(parcel => {
+                    const b = parcel.bounds;
+                    ctx.fillRect(Math.floor((b[0] + b[2]) / 2 * scale + offsetX), Math.floor((b[1] + b[3]) / 2 * scale + offsetY), 1, 1);
+                });
+            }
+        });
+        ctx.globalAlpha = 1;
+    },
+
+    // Add a parcel's rings to the current path, skipping sub-pixel vertices
+    _tracePath: function (ctx, parcel, scale, offsetX, offsetY) {
+        parcel.rings.forEach(ring => {
+            let lastX = ring[0] * scale + offsetX;
+            let lastY = ring[1] * scale + offsetY;
+            ctx.moveTo(lastX, lastY);
+            for (let i = 2; i < ring.length; i += 2) {
+                const x = ring[i] * scale + offsetX;
+                const y = ring[i + 1] * scale + offsetY;
+                if (i < ring.length - 2 && Math.abs(x - lastX) < 1 && Math.abs(y - lastY) < 1) continue;
+                ctx.lineTo(x, y);
+                lastX = x;
+                lastY = y;
+            }
+            ctx.closePath();
+        });
+    },
+
+    _drawHover: function () {
+        if (!this._hoverCanvas) return;
+        const ctx = this._hoverCanvas.getContext('2d');
+        if (!ctx) return;
+        const ratio = window.devicePixelRatio || 1;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, this._hoverCanvas.width / ratio, this._hoverCanvas.height / ratio);
+
+        const style = this.options.hoverStyle;
+        if (!this._hovered || !style) return;
+        const { scale, offsetX, offsetY } = this._transform();
+        ctx.beginPath();
+        this._tracePath(ctx, this._hovered, scale, offsetX, offsetY);
+        const hover = { ...DEFAULT_HOVER_STYLE, ...style };
+        if (hover.fillOpacity > 0) {
+            ctx.globalAlpha = hover.fillOpacity;
+            ctx.fillStyle = hover.fillColor;
+            ctx.fill('evenodd');
+        }
+        ctx.globalAlpha = hover.opacity;
+        ctx.strokeStyle = hover.color;
+        ctx.lineWidth = hover.weight;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    },
+
+    // Topmost parcel containing a map position
+    _hitTest: function (latLng) {
+        if (!this._map) return null;
+        this._prepare();
+        if (!this._parcels) return null;
+        const p = this._map.options.crs.latLngToPoint(L.latLng(latLng), 0);
+        const candidates = this._search([p.x, p.y, p.x, p.y]);
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const parcel = this._parcels[candidates[i]];
+            if (containsPoint(parcel, p.x, p.y)) return parcel;
+        }
+        return null;
+    },
+
+    _eventData: function (parcel, e) {
+        return {
+            latlng: e.latlng,
+            originalEvent: e.originalEvent,
+            propagatedFrom: { feature: parcel.feature },
+            feature: parcel.feature
+        };
+    },
+
+    _setHovered: function (parcel, e) {
+        if (parcel === this._hovered) return;
+        if (this._hovered && e) {
+            this.fire('mouseout', this._eventData(this._hovered, e));
+        }
+        this._hovered = parcel;
+        if (this._map) {
+            const container = this._map.getContainer();
+            if (parcel) L.DomUtil.addClass(container, 'leaflet-interactive');
+            else L.DomUtil.removeClass(container, 'leaflet-interactive');
+        }
+        if (parcel && e) {
+            this.fire('mouseover', this._eventData(parcel, e));
+        }
+        this._drawHover();
+    },
+
+    _onClick: function (e) {
+        const parcel = this._hitTest(e.latlng);
+        if (parcel) {
+            this.fire('click', this._eventData(parcel, e));
+        }
+    },
+
+    _onMouseMove: function (e) {
+        this._setHovered(this._hitTest(e.latlng), e);
+    },
+
+    _onMouseOut: function (e) {
+        this._setHovered(null, e);
+    },
+
+    // Keep the drawn canvas in place while the map zooms (as L.Renderer does)
+    _onZoom: function () {
+        this._updateTransform(this._map.getCenter(), this._map.getZoom());
+    },
+
+    _onZoomAnim: function (e) {
+        this._updateTransform(e.center, e.zoom);
+    },
+
+    _updateTransform: function (center, zoom) {
+        if (!this._container || this._zoom === undefined) return;
+        const map = this._map;
+        const scale = map.getZoomScale(zoom, this._zoom);
+        const viewHalf = map.getSize().multiplyBy(0.5 + this.options.padding);
+        const currentCenterPoint = map.project(this._center, zoom);
+        const topLeftOffset = viewHalf.multiplyBy(-scale).add(currentCenterPoint)
+            .subtract(map._getNewPixelOrigin(center, zoom));
+
+        if (L.Browser.any3d) {
+            L.DomUtil.setTransform(this._container, topLeftOffset, scale);
+        } else {
+            L.DomUtil.setPosition(this._container, topLeftOffset);
+        }
+    }
+});
+
+// Create a canvas parcel layer from polygon GeoJSON (object or string)
+export function createCanvasParcelLayer(geoJson, options = {}) {
+    return new CanvasParcelLayer(geoJson, options);
+}
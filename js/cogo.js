@@ -0,0 +1,136 @@
+// Coordinate geometry (COGO) for bearing-and-distance entry
+// Bearings are whole-circle grid bearings, clockwise from grid north, and the
+// coordinates they are applied to are projected eastings/northings in metres.
+
+const ANGLE_UNITS = ['degrees', 'dms'];
+
+// Parse a bearing into decimal degrees.
+// Strings are read as degrees, minutes and seconds split by any of ° ' " : - or
+// spaces (e.g. 123°45'30", "123 45 30"). Plain numbers, and strings with no
+// separators, are read in angleUnit as in totalStationParsers.js: 'degrees'
+// (default) for decimal degrees, or 'dms' for packed DDD.MMSS (123.4530 is 123°45'30").
+export function parseBearing(value, angleUnit = 'degrees') {
+    if (!ANGLE_UNITS.includes(angleUnit)) {
+        throw new Error(`Unknown angle unit '${angleUnit}'`);
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return null;
+        return angleUnit === 'dms' ? fromPackedDms(value) : normaliseBearing(value);
+    }
+    if (typeof value !== 'string') return null;
+
+    const parts = value.trim().split(/[°'"′″:\s-]+/).filter(part => part !== '');
+    if (parts.length === 0 || parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+        return null;
+    }
+    if (parts.length === 1 && angleUnit === 'dms') {
+        return fromPackedDms(Number(parts[0]));
+    }
+
+    const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+    if (parts.length > 1 && (minutes >= 60 || seconds >= 60)) return null;
+
+    return normaliseBearing(degrees + minutes / 60 + seconds / 3600);
+}
+
+function normaliseBearing(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// Packed DDD.MMSS to decimal degrees (123.453012 is 123°45'30.12"), or null when
+// the minutes or seconds are 60 or more
+function fromPackedDms(value) {
+    const sign = value < 0 ? -1 : 1;
+    const packed = Math.abs(value);
+    const degrees = Math.floor(packed);
+    const minutesPart = Math.round((packed - degrees) * 1000000) / 10000;
+    const minutes = Math.floor(minutesPart);
+    const seconds = (minutesPart - minutes) * 100;
+    if (minutes >= 60 || seconds >= 60) return null;
+    return normaliseBearing(sign * (degrees + minutes / 60 + seconds / 3600));
+}
+
+// Format decimal degrees as DMS, e.g. 123°45'30"
+export function formatBearing(degrees, secondDecimals = 0) {
+    const factor = Math.pow(10, secondDecimals);
+    let totalSeconds = Math.round(normaliseBearing(degrees) * 3600 * factor) / factor;
+    if (totalSeconds >= 360 * 3600) totalSeconds -= 360 * 3600;
+
+    const d = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds - d * 3600) / 60);
+    const s = totalSeconds - d * 3600 - m * 60;
+    const pad = n => String(n).padStart(2, '0');
+    const secondsText = secondDecimals > 0 ? s.toFixed(secondDecimals).padStart(3 + secondDecimals, '0') : pad(Math.round(s));
+
+    return `${d}°${pad(m)}'${secondsText}"`;
+}
+
+// Grid bearing (decimal degrees) and distance between two [easting, northing] points
+export function inverse(from, to) {
+    const deltaEasting = to[0] - from[0];
+    const deltaNorthing = to[1] - from[1];
+    return {
+        bearing: normaliseBearing(Math.atan2(deltaEasting, deltaNorthing) * 180 / Math.PI),
+        distance: Math.hypot(deltaEasting, deltaNorthing)
+    };
+}
+
+// Read a leg given as {bearing, distance} or [bearing, distance]
+function parseLeg(leg, index, angleUnit) {
+    const bearingValue = Array.isArray(leg) ? leg[0] : leg && leg.bearing;
+    const distanceValue = Array.isArray(leg) ? leg[1] : leg && leg.distance;
+
+    const bearing = parseBearing(bearingValue, angleUnit);
+    if (bearing === null) {
+        throw new Error(`Leg ${index + 1}: invalid bearing '${bearingValue}'`);
+    }
+
+    const distance = Number(distanceValue);
+    if (!Number.isFinite(distance) || distance <= 0) {
+        throw new Error(`Leg ${index + 1}: invalid distance '${distanceValue}'`);
+    }
+    return { bearing, distance };
+}
+
+// Run a traverse of legs from a start [easting, northing].
+// closeTo is the point the traverse should end on: the start point for a parcel,
+// a known control point for an open traverse, or null to skip the misclosure.
+// angleUnit is how plain-number bearings are read (see parseBearing).
+// Returns the legs, the computed points (start first) and the misclosure.
+export function computeTraverse(start, legs, closeTo = null, angleUnit = 'degrees') {
+    if (!Array.isArray(legs) || legs.length === 0) {
+        throw new Error('At least one leg is required');
+    }
+
+    const parsedLegs = legs.map((leg, index) => parseLeg(leg, index, angleUnit));
+    const points = [[Number(start[0]), Number(start[1])]];
+    let totalDistance = 0;
+
+    parsedLegs.forEach(leg => {
+        const previous = points[points.length - 1];
+        const radians = leg.bearing * Math.PI / 180;
+        points.push([
+            previous[0] + leg.distance * Math.sin(radians),
+            previous[1] + leg.distance * Math.cos(radians)
+        ]);
+        totalDistance += leg.distance;
+    });
+
+    let misclosure = null;
+    if (closeTo) {
+        const end = points[points.length - 1];
+        const deltaEasting = end[0] - closeTo[0];
+        const deltaNorthing = end[1] - closeTo[1];
+        const linear = Math.hypot(deltaEasting, deltaNorthing);
+        misclosure = {
+            deltaEasting: deltaEasting,
+            deltaNorthing: deltaNorthing,
+            linear: linear,
+            bearing: linear > 0 ? inverse(closeTo, end).bearing : null,
+            // Precision as 1 : N; null for a perfect closure
+            precision: linear > 0 ? totalDistance / linear : null
+        };
+    }
+
+    return { legs: parsedLegs, points, totalDistance, misclosure };
+}
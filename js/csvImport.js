@@ -0,0 +1,286 @@
+// CSV import for survey points with column mapping and row-level validation
+// Any delimited layout can be mapped onto the survey point model
+// (PointNumber, Easting, Northing, Elevation, HorizontalAccuracy, VerticalAccuracy,
+// PointType, Description). Bad rows are reported one by one and left out, so a
+// single typo does not reject the whole file.
+import { DEFAULT_CRS } from './projection.js';
+import { POINT_FIELDS, createPoint, pointsToGeoJson } from './surveyPoints.js';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+const NUMERIC_FIELDS = ['Easting', 'Northing', 'Elevation', 'HorizontalAccuracy', 'VerticalAccuracy'];
+
+// Accepted values per field; UTM southern hemisphere grid by default
+const DEFAULT_RANGES = {
+    Easting: [100000, 900000],
+    Northing: [0, 10000000],
+    Elevation: [-500, 9000],
+    HorizontalAccuracy: [0, 100],
+    VerticalAccuracy: [0, 100]
+};
+
+// Header names recognised for each field (compared lowercase without punctuation)
+const HEADER_ALIASES = {
+    PointNumber: ['pointnumber', 'pointno', 'pointid', 'point', 'pt', 'ptno', 'id', 'name', 'number', 'no', 'station', 'stn'],
+    Easting: ['easting', 'east', 'e', 'x'],
+    Northing: ['northing', 'north', 'n', 'y'],
+    Elevation: ['elevation', 'elev', 'height', 'z', 'h', 'rl', 'altitude'],
+    HorizontalAccuracy: ['horizontalaccuracy', 'hacc', 'hzacc', 'hrms', 'hprec', 'horizontalprecision'],
+    VerticalAccuracy: ['verticalaccuracy', 'vacc', 'vrms', 'vprec', 'verticalprecision'],
+    PointType: ['pointtype', 'type', 'class', 'category'],
+    Description: ['description', 'desc', 'code', 'remarks', 'remark', 'note', 'notes', 'comment']
+};
+
+function normaliseHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Split CSV text into rows of fields. Quoted fields may contain the delimiter,
+// line breaks and doubled quotes (""). Each row records the line it starts on.
+function parseRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (inQuotes) {
+            if (c === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (c !== '\r' || text[i + 1] !== '\n') {
+                if (c === '\n') line++;
+                field += c;
+            }
+            continue;
+        }
+
+        if (c === '"' && field.trim() === '') {
+            inQuotes = true;
+            field = '';
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ fields: row, line: rowLine });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += c;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ fields: row, line: rowLine });
+    }
+
+    // Blank lines carry no data
+    return rows
+        .map(r => ({ fields: r.fields.map(f => f.trim()), line: r.line }))
+        .filter(r => r.fields.some(f => f !== ''));
+}
+
+// Pick the delimiter that splits the first lines into the same, largest number of fields
+export function detectDelimiter(text) {
+    const sample = String(text || '').split(/\r?\n/).filter(l => l.trim() !== '').slice(0, 20).join('\n');
+    let best = ',';
+    let bestScore = 0;
+
+    DELIMITERS.forEach(delimiter => {
+        const counts = parseRows(sample, delimiter).map(r => r.fields.length);
+        if (counts.length === 0 || counts[0] < 2) return;
+
+        const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+        const score = consistent * counts[0];
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// A first row with no numeric field is taken as a header
+function looksLikeHeader(fields) {
+    return fields.filter(f => f !== '' && Number.isFinite(Number(f))).length === 0;
+}
+
+// Map known header names onto point fields: {PointNumber: 0, Easting: 1, ...}
+function suggestMapping(headers) {
+    const mapping = {};
+    const normalised = headers.map(normaliseHeader);
+    POINT_FIELDS.forEach(field => {
+        const index = normalised.findIndex(h => HEADER_ALIASES[field].includes(h));
+        if (index !== -1 && !Object.values(mapping).includes(index)) {
+            mapping[field] = index;
+        }
+    });
+    return mapping;
+}
+
+// Read the layout of a CSV file so the user can map its columns.
+// Returns {delimiter, hasHeader, headers, mapping (suggested, field -> column index),
+// sampleRows (first 5 data rows)}.
+export function readCsvLayout(text, options = {}) {
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const rows = parseRows(String(text || ''), delimiter);
+    if (rows.length === 0) {
+        return { delimiter: delimiter, hasHeader: false, headers: [], mapping: {}, sampleRows: [] };
+    }
+
+    const hasHeader = options.hasHeader !== undefined && options.hasHeader !== null
+        ? options.hasHeader
+        : looksLikeHeader(rows[0].fields);
+    const headers = hasHeader
+        ? rows[0].fields
+        : rows[0].fields.map((_, i) => `Column ${i + 1}`);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    // Without a header, assume the standard column order
+    const mapping = hasHeader
+        ? suggestMapping(headers)
+        : Object.fromEntries(POINT_FIELDS.slice(0, headers.length).map((field, i) => [field, i]));
+
+    return {
+        delimiter: delimiter,
+        hasHeader: hasHeader,
+        headers: headers,
+        mapping: mapping,
+        sampleRows: dataRows.slice(0, 5).map(r => r.fields)
+    };
+}
+
+// Resolve a mapping of field -> header name or column index to column indices
+function resolveMapping(mapping, headers) {
+    const resolved = {};
+    const errors = [];
+    Object.entries(mapping || {}).forEach(([field, column]) => {
+        if (!POINT_FIELDS.includes(field) || column === null || column === undefined || column === '') return;
+
+        const index = typeof column === 'number'
+            ? column
+            : headers.findIndex(h => normaliseHeader(h) === normaliseHeader(column));
+        if (index < 0 || index >= headers.length) {
+            errors.push(`Column '${column}' for ${field} not found`);
+        } else {
+            resolved[field] = index;
+        }
+    });
+    return { resolved, errors };
+}
+
+// Import survey points from CSV text.
+// Options:
+//   delimiter   default: detected
+//   hasHeader   default: detected from the first row
+//   mapping     {field: header name or column index}; default: suggested from the
+//               header, or the standard column order without one
+//   ranges      {field: [min, max]} overriding the accepted ranges; null skips a check
+//   pointType   PointType for rows that leave it empty
+//   crs         CRS of the coordinates, for the GeoJSON (default UTM 35S)
+// Returns {points, errors, summary, delimiter, mapping, geoJson}. Each error is
+// {row, line, field, message}; rejected rows are not in points.
+export function importCsv(text, options = {}) {
+    const layout = readCsvLayout(text, options);
+    const rows = parseRows(String(text || ''), layout.delimiter);
+    const dataRows = layout.hasHeader ? rows.slice(1) : rows;
+    const ranges = { ...DEFAULT_RANGES, ...(options.ranges || {}) };
+
+    const { resolved: mapping, errors: mappingErrors } = resolveMapping(options.mapping || layout.mapping, layout.headers);
+    ['PointNumber', 'Easting', 'Northing'].forEach(field => {
+        if (mapping[field] === undefined) {
+            mappingErrors.push(`No column mapped to ${field}`);
+        }
+    });
+
+    const result = {
+        points: [],
+        errors: [],
+        summary: { totalRows: dataRows.length, importedRows: 0, rejectedRows: 0 },
+        delimiter: layout.delimiter,
+        mapping: mapping,
+        geoJson: null
+    };
+
+    if (mappingErrors.length > 0) {
+        mappingErrors.forEach(message => result.errors.push({ row: null, line: null, field: null, message: message }));
+        result.summary.rejectedRows = dataRows.length;
+        result.geoJson = pointsToGeoJson([]);
+        return result;
+    }
+
+    const seen = new Map();
+    dataRows.forEach((dataRow, index) => {
+        const rowNumber = index + 1;
+        const rowErrors = [];
+        const fail = (field, message) => rowErrors.push({ row: rowNumber, line: dataRow.line, field: field, message: message });
+        const values = {};
+
+        Object.entries(mapping).forEach(([field, column]) => {
+            const raw = dataRow.fields[column] !== undefined ? dataRow.fields[column] : '';
+
+            if (!NUMERIC_FIELDS.includes(field)) {
+                values[field] = raw === '' ? null : raw;
+                return;
+            }
+            if (raw === '') {
+                values[field] = null;
+                return;
+            }
+
+            // Semicolon-separated files often use decimal commas
+            const number = layout.delimiter === ',' ? raw : raw.replace(',', '.');
+            const value = Number(number.replace(/\s/g, ''));
+            if (!Number.isFinite(value)) {
+                fail(field, `${field} '${raw}' is not a number`);
+                return;
+            }
+            const range = ranges[field];
+            if (range && (value < range[0] || value > range[1])) {
+                fail(field, `${field} ${value} is outside ${range[0]} to ${range[1]}`);
+                return;
+            }
+            values[field] = value;
+        });
+
+        if (!values.PointNumber) {
+            fail('PointNumber', 'Missing point number');
+        } else if (seen.has(values.PointNumber)) {
+            fail('PointNumber', `Duplicate point number '${values.PointNumber}' (first on row ${seen.get(values.PointNumber)})`);
+        }
+        ['Easting', 'Northing'].forEach(field => {
+            if (values[field] === null && !rowErrors.some(e => e.field === field)) {
+                fail(field, `Missing ${field}`);
+            }
+        });
+
+        if (rowErrors.length > 0) {
+            result.errors.push(...rowErrors);
+            result.summary.rejectedRows++;
+            return;
+        }
+
+        seen.set(values.PointNumber, rowNumber);
+        if (!values.PointType && options.pointType) {
+            values.PointType = options.pointType;
+        }
+        result.points.push(createPoint(values));
+    });
+
+    result.summary.importedRows = result.points.length;
+    result.geoJson = pointsToGeoJson(result.points, options.crs || DEFAULT_CRS);
+    return result;
+}
@@ -0,0 +1,18 @@
+// Save generated files from the browser
+
+// Offer data (string, Uint8Array or Blob) as a file download
+export function downloadFile(data, fileName, mimeType = 'application/octet-stream') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,165 @@
+// Undo/redo history for drawn items
+// Each step records layers created, deleted or reshaped on the drawn items group.
+// Reshapes keep the geometry before and after, so undo and redo simply put it back.
+// Leaflet.draw edits and deletes happen in sessions the user can cancel: steps
+// made during a session can be undone within it, a cancel drops them again, and
+// history from before the session is out of reach until it ends.
+
+const DEFAULT_LIMIT = 100;
+
+function cloneLatLngs(latLngs) {
+    return Array.isArray(latLngs) ? latLngs.map(cloneLatLngs) : L.latLng(latLngs.lat, latLngs.lng);
+}
+
+// Geometry of a drawn layer as plain values
+function snapshot(layer) {
+    if (layer instanceof L.Circle) {
+        return { latLng: L.latLng(layer.getLatLng()), radius: layer.getRadius() };
+    }
+    if (typeof layer.getLatLngs === 'function') {
+        return { latLngs: cloneLatLngs(layer.getLatLngs()) };
+    }
+    if (typeof layer.getLatLng === 'function') {
+        return { latLng: L.latLng(layer.getLatLng()) };
+    }
+    return null;
+}
+
+// Put a snapshot back. Layers being edited get their edit handles rebuilt.
+function restore(layer, state) {
+    if (!state) return;
+    const editing = layer.editing && layer.editing.enabled && layer.editing.enabled();
+    if (editing) layer.editing.disable();
+
+    if (state.latLngs) {
+        layer.setLatLngs(cloneLatLngs(state.latLngs));
+    } else {
+        layer.setLatLng(state.latLng);
+        if (state.radius !== undefined) layer.setRadius(state.radius);
+    }
+
+    if (editing) layer.editing.enable();
+}
+
+// Create the history of a drawn items group.
+// Options: limit (steps kept, default 100).
+// undo and redo return {action: 'created' | 'deleted' | 'edited', layers} for what
+// they did to the map, or null when there is nothing to do.
+export function createDrawHistory(drawnItems, options = {}) {
+    const limit = options.limit || DEFAULT_LIMIT;
+    let undoStack = [];
+    let redoStack = [];
+    // Open edit or delete session: undo depth and redo stack when it started,
+    // and the last recorded geometry of each layer
+    let session = null;
+
+    const push = step => {
+        undoStack.push(step);
+        redoStack = [];
+        // Trim the oldest steps, but never the ones of an open session
+        const excess = undoStack.length - limit;
+        if (excess > 0 && (!session || session.floor >= excess)) {
+            undoStack = undoStack.slice(excess);
+            if (session) session.floor -= excess;
+        }
+    };
+
+    const floor = () => (session ? session.floor : 0);
+
+    const apply = (step, reverse) => {
+        switch (step.type) {
+            case 'create':
+            case 'delete': {
+                const remove = (step.type === 'create') === reverse;
+                step.layers.forEach(layer => {
+                    if (remove) drawnItems.removeLayer(layer);
+                    else drawnItems.addLayer(layer);
+                });
+                return { action: remove ? 'deleted' : 'created', layers: step.layers };
+            }
+            case 'edit':
+                step.changes.forEach(change => {
+                    const state = reverse ? change.before : change.after;
+                    restore(change.layer, state);
+                    if (session) session.states.set(change.layer, state);
+                });
+                return { action: 'edited', layers: step.changes.map(change => change.layer) };
+            default:
+                return null;
+        }
+    };
+
+    return {
+        recordCreate(layer) {
+            push({ type: 'create', layers: [layer] });
+        },
+
+        recordDelete(layers) {
+            if (layers.length > 0) push({ type: 'delete', layers: layers.slice() });
+        },
+
+        // A layer was reshaped in the open edit session
+        recordEdit(layer) {
+            if (!session) return;
+            const before = session.states.has(layer) ? session.states.get(layer) : null;
+            const after = snapshot(layer);
+            if (!before || !after) return;
+            session.states.set(layer, after);
+            push({ type: 'edit', changes: [{ layer, before, after }] });
+        },
+
+        startSession() {
+            const states = new Map();
+            drawnItems.eachLayer(layer => states.set(layer, snapshot(layer)));
+            session = { floor: undoStack.length, redo: redoStack, states };
+            redoStack = [];
+        },
+
+        // Keep the session's steps; an empty session leaves redo as it was
+        commitSession() {
+            if (!session) return;
+            if (undoStack.length === session.floor && redoStack.length === 0) {
+                redoStack = session.redo;
+            }
+            session = null;
+        },
+
+        // Leaflet.draw has already reverted the layers, so drop the session's steps
+        cancelSession() {
+            if (!session) return;
+            undoStack = undoStack.slice(0, session.floor);
+            redoStack = session.redo;
+            session = null;
+        },
+
+        undo() {
+            if (undoStack.length <= floor()) return null;
+            const step = undoStack.pop();
+            redoStack.push(step);
+            return apply(step, true);
+        },
+
+        redo() {
+            if (redoStack.length === 0) return null;
+            const step = redoStack.pop();
+            undoStack.push(step);
+            return apply(step, false);
+        },
+
+        clear() {
+            undoStack = [];
+            redoStack = [];
+            session = null;
+        },
+
+        state() {
+            return {
+                canUndo: undoStack.length > floor(),
+                canRedo: redoStack.length > 0,
+                undoCount: undoStack.length - floor(),
+                redoCount: redoStack.length,
+                inSession: session !== null
+            };
+        }
+    };
+}
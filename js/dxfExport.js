@@ -0,0 +1,330 @@
+// DXF writer for survey diagrams
+// Writes AutoCAD R12 (AC1009) ASCII DXF, the version every CAD and GIS package
+// reads (AutoCAD, QGIS, LibreCAD). Coordinates are grid metres in UTM 35S unless
+// another projected CRS is given. Layers:
+//   PARCELS   parcel boundaries (closed polylines) and parcel numbers
+//   BEACONS   boundary beacons with their point numbers
+//   CONTROL   control points with their point numbers
+//   LABELS    bearing and distance of every parcel boundary leg
+import { DEFAULT_CRS, fromLatLng } from './projection.js';
+import { inverse, formatBearing } from './cogo.js';
+
+// Layer name and AutoCAD colour index
+const LAYERS = {
+    PARCELS: 7,
+    BEACONS: 1,
+    CONTROL: 5,
+    LABELS: 3
+};
+
+const parcelIdProperties = ['parcelNumber', 'ParcelNumber', 'parcelNo', 'parcel_no', 'name', 'id'];
+const pointNumberProperties = ['pointNumber', 'PointNumber', 'name', 'id'];
+
+function formatNumber(value) {
+    return Number(value).toFixed(4).replace(/\.?0+$/, '') || '0';
+}
+
+// DXF text is written as ASCII: the degree sign uses the %%d control code and
+// other non-ASCII characters the \U+XXXX escape
+function dxfText(text) {
+    return String(text)
+        .replace(/°/g, '%%d')
+        .replace(/[^\x20-\x7E]/g, c => `\\U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+}
+
+function firstProperty(properties, names) {
+    if (!properties) return null;
+    for (const name of names) {
+        if (properties[name] !== undefined && properties[name] !== null && properties[name] !== '') {
+            return String(properties[name]);
+        }
+    }
+    return null;
+}
+
+// Collects group code/value pairs and the drawing extents
+function createWriter() {
+    const lines = [];
+    const extents = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    function pair(code, value) {
+        lines.push(String(code), typeof value === 'number' ? formatNumber(value) : String(value));
+    }
+
+    function point(x, y, z = 0, codeOffset = 0) {
+        pair(10 + codeOffset, x);
+        pair(20 + codeOffset, y);
+        pair(30 + codeOffset, z);
+        extents.minX = Math.min(extents.minX, x);
+        extents.minY = Math.min(extents.minY, y);
+        extents.maxX = Math.max(extents.maxX, x);
+        extents.maxY = Math.max(extents.maxY, y);
+    }
+
+    return { lines, extents, pair, point };
+}
+
+function writePolyline(writer, layer, points, closed) {
+    writer.pair(0, 'POLYLINE');
+    writer.pair(8, layer);
+    writer.pair(66, 1);
+    // Dummy polyline location, not part of the extents
+    writer.pair(10, 0);
+    writer.pair(20, 0);
+    writer.pair(30, 0);
+    writer.pair(70, closed ? 1 : 0);
+    points.forEach(([x, y]) => {
+        writer.pair(0, 'VERTEX');
+        writer.pair(8, layer);
+        writer.point(x, y, 0);
+    });
+    writer.pair(0, 'SEQEND');
+    writer.pair(8, layer);
+}
+
+// Text centred horizontally on (x, y), sitting on it (or hanging below it)
+function writeText(writer, layer, x, y, height, text, rotation = 0, below = false) {
+    writer.pair(0, 'TEXT');
+    writer.pair(8, layer);
+    writer.point(x, y, 0);
+    writer.pair(40, height);
+    writer.pair(1, dxfText(text));
+    if (rotation) writer.pair(50, rotation);
+    writer.pair(72, 1);
+    writer.point(x, y, 0, 1);
+    writer.pair(73, below ? 3 : 1);
+}
+
+function writePointSymbol(writer, layer, point, size, textHeight) {
+    const [x, y, z] = point.coordinates;
+
+    writer.pair(0, 'POINT');
+    writer.pair(8, layer);
+    writer.point(x, y, z || 0);
+
+    if (layer === 'CONTROL') {
+        // Control: triangle around the point
+        const r = size;
+        writePolyline(writer, layer, [
+            [x, y + r],
+            [x - r * Math.sin(Math.PI / 3), y - r / 2],
+            [x + r * Math.sin(Math.PI / 3), y - r / 2]
+        ], true);
+    } else {
+        writer.pair(0, 'CIRCLE');
+        writer.pair(8, layer);
+        writer.point(x, y, 0);
+        writer.pair(40, size / 2);
+    }
+
+    if (point.number) {
+        writer.pair(0, 'TEXT');
+        writer.pair(8, layer);
+        writer.point(x + size, y + size, 0);
+        writer.pair(40, textHeight);
+        writer.pair(1, dxfText(point.number));
+    }
+}
+
+// Label each leg of a ring with its grid bearing and distance, above and below the line
+function writeLegLabels(writer, ring, textHeight) {
+    for (let i = 0; i < ring.length - 1; i++) {
+        const from = ring[i];
+        const to = ring[i + 1];
+        const { bearing, distance } = inverse(from, to);
+        if (distance === 0) continue;
+
+        let rotation = Math.atan2(to[1] - from[1], to[0] - from[0]) * 180 / Math.PI;
+        if (rotation > 90) rotation -= 180;
+        if (rotation <= -90) rotation += 180;
+
+        const midX = (from[0] + to[0]) / 2;
+        const midY = (from[1] + to[1]) / 2;
+        const gap = textHeight * 0.3;
+        const normal = (rotation + 90) * Math.PI / 180;
+        const offsetX = Math.cos(normal) * gap;
+        const offsetY = Math.sin(normal) * gap;
+
+        writeText(writer, 'LABELS', midX + offsetX, midY + offsetY, textHeight, formatBearing(bearing), rotation);
+        writeText(writer, 'LABELS', midX - offsetX, midY - offsetY, textHeight, `${distance.toFixed(2)}m`, rotation, true);
+    }
+}
+
+function closeRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+function toFeatures(data) {
+    if (!data) return [];
+    const geoJson = typeof data === 'string' ? JSON.parse(data) : data;
+    if (geoJson.type === 'FeatureCollection') return geoJson.features || [];
+    if (geoJson.type === 'Feature') return [geoJson];
+    return [{ type: 'Feature', properties: {}, geometry: geoJson }];
+}
+
+// Parcels from GeoJSON as rings of grid coordinates with an optional parcel number
+function collectParcels(data, crs) {
+    const parcels = [];
+    toFeatures(data).forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+
+        const toGrid = ring => ring.map(([lng, lat]) => fromLatLng(lat, lng, crs));
+        let polygons = [];
+        let lines = [];
+        if (geometry.type === 'Polygon') polygons = [geometry.coordinates];
+        else if (geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+        else if (geometry.type === 'LineString') lines = [geometry.coordinates];
+        else if (geometry.type === 'MultiLineString') lines = geometry.coordinates;
+
+        parcels.push({
+            id: firstProperty(feature.properties, parcelIdProperties),
+            rings: polygons.flatMap(polygon => polygon.map(ring => closeRing(toGrid(ring)))),
+            lines: lines.map(toGrid)
+        });
+    });
+    return parcels;
+}
+
+// Points from GeoJSON, or from survey point model records (PointNumber, Easting, ...)
+function collectPoints(data, crs) {
+    if (!data) return [];
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (Array.isArray(parsed)) {
+        return parsed
+            .filter(p => p.Easting !== null && p.Easting !== undefined && p.Northing !== null && p.Northing !== undefined)
+            .map(p => ({
+                number: p.PointNumber !== undefined && p.PointNumber !== null ? String(p.PointNumber) : null,
+                coordinates: [Number(p.Easting), Number(p.Northing), p.Elevation !== null && p.Elevation !== undefined ? Number(p.Elevation) : 0]
+            }));
+    }
+
+    const points = [];
+    toFeatures(parsed).forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+        const positions = geometry.type === 'Point' ? [geometry.coordinates]
+            : geometry.type === 'MultiPoint' ? geometry.coordinates : [];
+
+        positions.forEach(([lng, lat, elevation]) => {
+            const [x, y] = fromLatLng(lat, lng, crs);
+            points.push({
+                number: firstProperty(feature.properties, pointNumberProperties),
+                coordinates: [x, y, elevation || 0]
+            });
+        });
+    });
+    return points;
+}
+
+function tablesSection() {
+    const writer = createWriter();
+    const { pair } = writer;
+
+    pair(0, 'SECTION');
+    pair(2, 'TABLES');
+
+    pair(0, 'TABLE');
+    pair(2, 'LTYPE');
+    pair(70, 1);
+    pair(0, 'LTYPE');
+    pair(2, 'CONTINUOUS');
+    pair(70, 0);
+    pair(3, 'Solid line');
+    pair(72, 65);
+    pair(73, 0);
+    pair(40, 0);
+    pair(0, 'ENDTAB');
+
+    pair(0, 'TABLE');
+    pair(2, 'LAYER');
+    pair(70, Object.keys(LAYERS).length + 1);
+    [['0', 7], ...Object.entries(LAYERS)].forEach(([name, color]) => {
+        pair(0, 'LAYER');
+        pair(2, name);
+        pair(70, 0);
+        pair(62, color);
+        pair(6, 'CONTINUOUS');
+    });
+    pair(0, 'ENDTAB');
+
+    pair(0, 'TABLE');
+    pair(2, 'STYLE');
+    pair(70, 1);
+    pair(0, 'STYLE');
+    pair(2, 'STANDARD');
+    pair(70, 0);
+    pair(40, 0);
+    pair(41, 1);
+    pair(50, 0);
+    pair(71, 0);
+    pair(42, 1);
+    pair(3, 'txt');
+    pair(4, '');
+    pair(0, 'ENDTAB');
+
+    pair(0, 'ENDSEC');
+    return writer.lines;
+}
+
+// Build a DXF drawing.
+// data: {parcels, beacons, controlPoints}; parcels are GeoJSON polygons (lines are
+// drawn without labels), points are GeoJSON points or survey point records.
+// Options: crs (default UTM 35S), textHeight (ground metres, default 1),
+// symbolSize (ground metres, default 1), labels (bearing/distance, default true).
+// Returns the DXF text.
+export function createDxf(data, options = {}) {
+    const crs = options.crs || DEFAULT_CRS;
+    const textHeight = options.textHeight || 1;
+    const symbolSize = options.symbolSize || 1;
+
+    const entities = createWriter();
+    entities.pair(0, 'SECTION');
+    entities.pair(2, 'ENTITIES');
+
+    collectParcels(data.parcels, crs).forEach(parcel => {
+        parcel.rings.forEach(ring => {
+            writePolyline(entities, 'PARCELS', ring.slice(0, -1), true);
+            if (options.labels !== false) {
+                writeLegLabels(entities, ring, textHeight);
+            }
+        });
+        parcel.lines.forEach(line => writePolyline(entities, 'PARCELS', line, false));
+
+        // Parcel number at the centre of the outer ring's vertices
+        if (parcel.id && parcel.rings.length > 0) {
+            const outer = parcel.rings[0].slice(0, -1);
+            const x = outer.reduce((sum, p) => sum + p[0], 0) / outer.length;
+            const y = outer.reduce((sum, p) => sum + p[1], 0) / outer.length;
+            writeText(entities, 'PARCELS', x, y, textHeight * 2, parcel.id);
+        }
+    });
+
+    collectPoints(data.beacons, crs).forEach(point => writePointSymbol(entities, 'BEACONS', point, symbolSize, textHeight));
+    collectPoints(data.controlPoints, crs).forEach(point => writePointSymbol(entities, 'CONTROL', point, symbolSize, textHeight));
+
+    entities.pair(0, 'ENDSEC');
+
+    const { extents } = entities;
+    if (!Number.isFinite(extents.minX)) {
+        throw new Error('Nothing to export');
+    }
+
+    const header = createWriter();
+    header.pair(0, 'SECTION');
+    header.pair(2, 'HEADER');
+    header.pair(9, '$ACADVER');
+    header.pair(1, 'AC1009');
+    header.pair(9, '$INSBASE');
+    header.point(0, 0, 0);
+    header.pair(9, '$EXTMIN');
+    header.point(extents.minX, extents.minY, 0);
+    header.pair(9, '$EXTMAX');
+    header.point(extents.maxX, extents.maxY, 0);
+    header.pair(0, 'ENDSEC');
+
+    return [...header.lines, ...tablesSection(), ...entities.lines, '0', 'EOF'].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,312 @@
+// GNSS log import: NMEA 0183 (GGA, RMC, GSA) and GPX tracks, routes and waypoints
+// Positions are WGS84; each point also gets projected coordinates and a rough
+// one-sigma horizontal accuracy (HDOP times a range error for the fix type) in the
+// survey point model, so imported logs go through the same quality checks.
+import { DEFAULT_CRS, fromLatLng } from './projection.js';
+import { createPoint } from './surveyPoints.js';
+
+// Approximate user range error in metres by GGA fix quality
+const rangeErrorByFixQuality = {
+    1: 5.0,     // autonomous GPS
+    2: 1.0,     // differential (SBAS/DGPS)
+    3: 3.0,     // PPS
+    4: 0.01,    // RTK fixed
+    5: 0.3,     // RTK float
+    6: 10.0     // dead reckoning
+};
+
+const fixQualityNames = {
+    0: 'Invalid', 1: 'GPS', 2: 'DGPS', 3: 'PPS', 4: 'RTK Fixed',
+    5: 'RTK Float', 6: 'Estimated', 7: 'Manual', 8: 'Simulation'
+};
+
+// GPX <fix> values mapped onto GGA fix qualities
+const gpxFixQualities = { none: 0, '2d': 1, '3d': 1, dgps: 2, pps: 3 };
+
+// Accuracy estimate in metres from a dilution of precision (HDOP for horizontal,
+// VDOP for vertical); null when it cannot be estimated
+export function estimateAccuracy(dop, fixQuality = 1) {
+    const rangeError = rangeErrorByFixQuality[fixQuality];
+    if (dop === null || dop === undefined || !rangeError) return null;
+    return dop * rangeError;
+}
+
+function toNumber(text) {
+    if (text === undefined || text === null || String(text).trim() === '') return null;
+    const value = Number(text);
+    return Number.isFinite(value) ? value : null;
+}
+
+// NMEA ddmm.mmmm / dddmm.mmmm with hemisphere to decimal degrees
+function nmeaCoordinate(value, hemisphere) {
+    const number = toNumber(value);
+    if (number === null) return null;
+    const degrees = Math.floor(number / 100);
+    const decimal = degrees + (number - degrees * 100) / 60;
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+function validChecksum(sentence) {
+    const star = sentence.lastIndexOf('*');
+    if (star === -1) return true; // checksum is optional
+    let checksum = 0;
+    for (let i = 1; i < star; i++) {
+        checksum ^= sentence.charCodeAt(i);
+    }
+    return checksum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+// hhmmss.ss and ddmmyy to an ISO timestamp (time only when the date is unknown)
+function nmeaTimestamp(time, date) {
+    if (!time || time.length < 6) return null;
+    const clock = `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}`;
+    if (!date || date.length !== 6) return clock;
+    return `20${date.slice(4, 6)}-${date.slice(2, 4)}-${date.slice(0, 2)}T${clock}Z`;
+}
+
+// Turn a GNSS position into a survey point with the GNSS attributes alongside
+function toSurveyPoint(position, pointNumber, pointType, crs) {
+    let easting = null, northing = null;
+    try {
+        [easting, northing] = fromLatLng(position.lat, position.lng, crs);
+    } catch (e) {
+        // Leave the grid coordinates empty; lat/lng are still reported
+    }
+
+    const fixQuality = position.fixQuality !== undefined ? position.fixQuality : null;
+    const point = createPoint({
+        PointNumber: pointNumber,
+        Easting: easting,
+        Northing: northing,
+        Elevation: position.elevation !== undefined ? position.elevation : null,
+        HorizontalAccuracy: estimateAccuracy(position.hdop, fixQuality === null ? 1 : fixQuality),
+        VerticalAccuracy: estimateAccuracy(position.vdop, fixQuality === null ? 1 : fixQuality),
+        PointType: pointType,
+        Description: position.name || null
+    });
+
+    return {
+        ...point,
+        Latitude: position.lat,
+        Longitude: position.lng,
+        FixQuality: fixQuality,
+        FixType: fixQuality !== null ? (fixQualityNames[fixQuality] || null) : null,
+        Satellites: position.satellites !== undefined ? position.satellites : null,
+        Hdop: position.hdop !== undefined ? position.hdop : null,
+        Vdop: position.vdop !== undefined ? position.vdop : null,
+        Pdop: position.pdop !== undefined ? position.pdop : null,
+        Timestamp: position.time || null
+    };
+}
+
+// Parse an NMEA 0183 log.
+// GGA, RMC and GSA sentences with the same time are merged into one epoch (GSA
+// has no time and belongs to the epoch being read). Epochs without a valid fix
+// break the track into separate segments.
+// Options: crs of the projected coordinates (default UTM 35S).
+export function parseNmea(text, options = {}) {
+    const crs = options.crs || DEFAULT_CRS;
+    const report = { format: 'nmea', lineCount: 0, epochCount: 0, skippedLines: [], warnings: [] };
+    const epochs = [];
+    let current = null;
+    let date = null;
+
+    function epochFor(time) {
+        if (!current || (time && current.rawTime && current.rawTime !== time)) {
+            current = { rawTime: time };
+            epochs.push(current);
+        } else if (time && !current.rawTime) {
+            current.rawTime = time;
+        }
+        return current;
+    }
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (line === '') return;
+        report.lineCount++;
+
+        if (!/^\$[A-Z]{2}[A-Z]{3},/.test(line)) {
+            report.skippedLines.push({ line: lineNumber, text: line, reason: 'Not an NMEA sentence' });
+            return;
+        }
+        if (!validChecksum(line)) {
+            report.skippedLines.push({ line: lineNumber, text: line, reason: 'Checksum mismatch' });
+            return;
+        }
+
+        const fields = line.replace(/\*[0-9A-Fa-f]{2}$/, '').split(',');
+        const type = fields[0].slice(3);
+
+        switch (type) {
+            case 'GGA': {
+                const epoch = epochFor(fields[1]);
+                epoch.fixQuality = toNumber(fields[6]) || 0;
+                epoch.lat = nmeaCoordinate(fields[2], fields[3]);
+                epoch.lng = nmeaCoordinate(fields[4], fields[5]);
+                epoch.satellites = toNumber(fields[7]);
+                epoch.hdop = toNumber(fields[8]);
+                epoch.elevation = toNumber(fields[9]);
+                epoch.geoidSeparation = toNumber(fields[11]);
+                break;
+            }
+            case 'RMC': {
+                const epoch = epochFor(fields[1]);
+                date = fields[9] || date;
+                epoch.date = fields[9] || null;
+                epoch.status = fields[2];
+                if (epoch.lat === undefined || epoch.lat === null) {
+                    epoch.lat = nmeaCoordinate(fields[3], fields[4]);
+                    epoch.lng = nmeaCoordinate(fields[5], fields[6]);
+                }
+                epoch.speedKnots = toNumber(fields[7]);
+                epoch.course = toNumber(fields[8]);
+                break;
+            }
+            case 'GSA': {
+                const epoch = epochFor(null);
+                epoch.fixMode = toNumber(fields[2]);
+                // GSA repeats per constellation with the same DOPs; GGA's HDOP wins
+                if (epoch.pdop === undefined) {
+                    epoch.pdop = toNumber(fields[15]);
+                    epoch.vdop = toNumber(fields[17]);
+                }
+                if (epoch.hdop === undefined || epoch.hdop === null) {
+                    epoch.hdop = toNumber(fields[16]);
+                }
+                break;
+            }
+            default:
+                // Other sentences (GSV, VTG, ...) are not needed for positions
+                break;
+        }
+
+        if (date && current && !current.date) {
+            current.date = date;
+        }
+    });
+
+    const points = [];
+    const tracks = [];
+    let segment = null;
+
+    epochs.forEach(epoch => {
+        const hasFix = epoch.lat !== null && epoch.lat !== undefined && epoch.lng !== null && epoch.lng !== undefined &&
+            epoch.fixQuality !== 0 && epoch.status !== 'V';
+        if (!hasFix) {
+            segment = null;
+            return;
+        }
+
+        // RMC-only epochs carry no fix quality: treat them as autonomous
+        if (epoch.fixQuality === undefined) {
+            epoch.fixQuality = 1;
+        }
+        epoch.time = nmeaTimestamp(epoch.rawTime, epoch.date);
+
+        if (!segment) {
+            segment = { name: `Track ${tracks.length + 1}`, latLngs: [] };
+            tracks.push(segment);
+        }
+        segment.latLngs.push([epoch.lat, epoch.lng]);
+        points.push(toSurveyPoint(epoch, String(points.length + 1), 'Track', crs));
+    });
+
+    report.epochCount = epochs.length;
+    if (epochs.length > points.length) {
+        report.warnings.push({ line: null, message: `${epochs.length - points.length} epoch(s) without a valid fix` });
+    }
+
+    return { format: 'nmea', points: points, tracks: tracks, waypoints: [], report: report };
+}
+
+// Text of the first direct child element with a local name
+function childText(element, name) {
+    for (const child of element.children) {
+        if (child.localName === name) {
+            return child.textContent.trim();
+        }
+    }
+    return null;
+}
+
+function gpxPosition(element) {
+    const fix = childText(element, 'fix');
+    return {
+        lat: toNumber(element.getAttribute('lat')),
+        lng: toNumber(element.getAttribute('lon')),
+        elevation: toNumber(childText(element, 'ele')),
+        time: childText(element, 'time'),
+        name: childText(element, 'name'),
+        satellites: toNumber(childText(element, 'sat')),
+        hdop: toNumber(childText(element, 'hdop')),
+        vdop: toNumber(childText(element, 'vdop')),
+        pdop: toNumber(childText(element, 'pdop')),
+        fixQuality: fix !== null && gpxFixQualities[fix] !== undefined ? gpxFixQualities[fix] : undefined
+    };
+}
+
+// Parse a GPX document: track segments and routes become tracks, waypoints stay
+// points. Options: crs of the projected coordinates (default UTM 35S).
+export function parseGpx(text, options = {}) {
+    const crs = options.crs || DEFAULT_CRS;
+    const report = { format: 'gpx', trackCount: 0, waypointCount: 0, skippedPoints: 0, warnings: [], error: null };
+    const result = { format: 'gpx', points: [], tracks: [], waypoints: [], report: report };
+
+    const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || !doc.documentElement || doc.documentElement.localName !== 'gpx') {
+        report.error = 'Not a valid GPX document';
+        return result;
+    }
+
+    const validPosition = position => {
+        if (position.lat === null || position.lng === null) {
+            report.skippedPoints++;
+            return false;
+        }
+        return true;
+    };
+
+    const addTrack = (name, pointElements) => {
+        const latLngs = [];
+        pointElements.forEach(element => {
+            const position = gpxPosition(element);
+            if (!validPosition(position)) return;
+            latLngs.push([position.lat, position.lng]);
+            result.points.push(toSurveyPoint(position, String(result.points.length + 1), 'Track', crs));
+        });
+        if (latLngs.length > 0) {
+            result.tracks.push({ name: name, latLngs: latLngs });
+        }
+    };
+
+    Array.from(doc.getElementsByTagNameNS('*', 'trk')).forEach((track, trackIndex) => {
+        const name = childText(track, 'name') || `Track ${trackIndex + 1}`;
+        Array.from(track.getElementsByTagNameNS('*', 'trkseg')).forEach(segment => {
+            addTrack(name, Array.from(segment.getElementsByTagNameNS('*', 'trkpt')));
+        });
+    });
+
+    Array.from(doc.getElementsByTagNameNS('*', 'rte')).forEach((route, routeIndex) => {
+        addTrack(childText(route, 'name') || `Route ${routeIndex + 1}`, Array.from(route.getElementsByTagNameNS('*', 'rtept')));
+    });
+
+    Array.from(doc.getElementsByTagNameNS('*', 'wpt')).forEach((element, index) => {
+        const position = gpxPosition(element);
+        if (!validPosition(position)) return;
+
+        const point = toSurveyPoint(position, position.name || `WPT${index + 1}`, 'Waypoint', crs);
+        result.points.push(point);
+        result.waypoints.push(point);
+    });
+
+    report.trackCount = result.tracks.length;
+    report.waypointCount = result.waypoints.length;
+    return result;
+}
+
+// Parse a GNSS log, choosing GPX or NMEA from the content
+export function parseGnssLog(text, options = {}) {
+    return String(text || '').trimStart().startsWith('<') ? parseGpx(text, options) : parseNmea(text, options);
+}
@@ -0,0 +1,216 @@
+// Leica GSI total station file parser (GSI-8 and GSI-16)
+// Each line is a block of words: a 2-digit word index (WI), 4 information
+// characters whose last one gives the units, a sign and 8 (GSI-8) or 16 (GSI-16)
+// data characters. GSI-16 lines start with '*'.
+//   110012+00000A12 21.324+35959590 22.324+09159450 31..00+00005321 81..00+00512345 ...
+import { DEFAULT_CRS, toLatLng } from './projection.js';
+
+const FEET_TO_METRES = 0.3048;
+
+// Metres per data unit, by units digit, for distances and coordinates
+const lengthUnits = {
+    '0': 0.001,
+    '1': 0.001 * FEET_TO_METRES,
+    '6': 0.0001,
+    '7': 0.0001 * FEET_TO_METRES,
+    '8': 0.00001
+};
+
+// Word indices read as lengths (metres) and the property each is stored in
+const lengthWords = {
+    '31': 'slopeDistance',
+    '32': 'horizontalDistance',
+    '33': 'heightDifference',
+    '81': 'easting',
+    '82': 'northing',
+    '83': 'elevation',
+    '84': 'stationEasting',
+    '85': 'stationNorthing',
+    '86': 'stationElevation',
+    '87': 'targetHeight',
+    '88': 'instrumentHeight'
+};
+
+// Word indices read as angles (decimal degrees)
+const angleWords = {
+    '21': 'horizontalAngle',
+    '22': 'verticalAngle'
+};
+
+// Words that carry no survey data for the point list (instrument settings,
+// ppm/prism constant, date and time) and are skipped without a warning
+const ignoredWords = ['12', '13', '18', '19', '51', '52', '53', '58', '59'];
+
+// Angle in decimal degrees from GSI data and its units digit
+function parseAngle(data, unit) {
+    const value = Number(data);
+    switch (unit) {
+        case '2': return value / 100000 * 0.9;            // 400 gon
+        case '3': return value / 100000;                  // 360° decimal
+        case '4': {                                       // 360° sexagesimal DDDMMSSs
+            const digits = String(Math.abs(Math.round(value))).padStart(8, '0');
+            const degrees = Number(digits.slice(0, -5));
+            const minutes = Number(digits.slice(-5, -3));
+            const seconds = Number(digits.slice(-3)) / 10;
+            return Math.sign(value || 1) * (degrees + minutes / 60 + seconds / 3600);
+        }
+        case '5': return value / 10000 * 360 / 6400;      // 6400 mil
+        default: return null;
+    }
+}
+
+// Split a line into words; returns null if it is not a GSI block
+function splitWords(line) {
+    const isGsi16 = line.startsWith('*');
+    const body = isGsi16 ? line.slice(1) : line;
+    const dataLength = isGsi16 ? 16 : 8;
+
+    const words = [];
+    for (const token of body.trim().split(/\s+/)) {
+        const match = /^(\d{2})([0-9.]{4})([+-])(.+)$/.exec(token);
+        if (!match) return null;
+        words.push({ wordIndex: match[1], info: match[2], sign: match[3], data: match[4] });
+    }
+    return { format: isGsi16 ? 'GSI-16' : 'GSI-8', dataLength, words };
+}
+
+// Read one block into point properties; problems are collected in warnings
+function parseBlock(block, warnings) {
+    const point = {};
+    const info = [];
+
+    block.words.forEach(word => {
+        const { wordIndex, sign, data } = word;
+        const unit = word.info[3];
+
+        if (wordIndex === '11') {
+            point.pointId = data.replace(/^0+(?=.)/, '');
+            return;
+        }
+        if (wordIndex === '41' || wordIndex === '71') {
+            const text = data.replace(/^0+(?=.)/, '');
+            point[wordIndex === '41' ? 'code' : 'remark'] = text;
+            return;
+        }
+        if (wordIndex >= '42' && wordIndex <= '49') {
+            info.push(data.replace(/^0+(?=.)/, ''));
+            return;
+        }
+        if (ignoredWords.includes(wordIndex)) return;
+
+        if (data.length !== block.dataLength || !/^\d+$/.test(data)) {
+            warnings.push(`WI ${wordIndex}: unreadable value '${sign}${data}'`);
+            return;
+        }
+
+        const signed = sign === '-' ? -Number(data) : Number(data);
+        if (lengthWords[wordIndex]) {
+            const factor = lengthUnits[unit];
+            if (factor === undefined) {
+                warnings.push(`WI ${wordIndex}: unknown length unit '${unit}'`);
+                return;
+            }
+            point[lengthWords[wordIndex]] = signed * factor;
+        } else if (angleWords[wordIndex]) {
+            const angle = parseAngle(signed, unit);
+            if (angle === null) {
+                warnings.push(`WI ${wordIndex}: unknown angle unit '${unit}'`);
+                return;
+            }
+            point[angleWords[wordIndex]] = angle;
+        } else {
+            warnings.push(`WI ${wordIndex}: not supported, ignored`);
+        }
+    });
+
+    if (info.length > 0) {
+        point.info = info;
+    }
+    return point;
+}
+
+// Point geometry: measured (81/82) coordinates first, then station (84/85) coordinates
+function pointGeometry(point, crs) {
+    let easting = point.easting;
+    let northing = point.northing;
+    if (easting === undefined || northing === undefined) {
+        easting = point.stationEasting;
+        northing = point.stationNorthing;
+    }
+    if (easting === undefined || northing === undefined) return null;
+
+    const [lat, lng] = toLatLng(easting, northing, crs);
+    const elevation = point.easting !== undefined ? point.elevation : point.stationElevation;
+    return { type: 'Point', coordinates: elevation !== undefined ? [lng, lat, elevation] : [lng, lat] };
+}
+
+function pointType(point) {
+    if (point.easting !== undefined && point.northing !== undefined) return 'Measured';
+    if (point.stationEasting !== undefined && point.stationNorthing !== undefined) return 'Station';
+    return 'Observation';
+}
+
+// Parse the text of a GSI file.
+// Every readable block becomes a GeoJSON Point feature. Blocks with only raw
+// observations (angles and distances, no coordinates) are kept with a null
+// geometry so they still reach the point tables; Leaflet skips them on the map.
+// Options: crs of the coordinates in the file (default UTM 35S).
+// Returns {geoJson, report}; report lists the lines that could not be read.
+export function parseGsi(text, options = {}) {
+    const crs = options.crs || DEFAULT_CRS;
+    const features = [];
+    const skipped = [];
+    const warnings = [];
+    const formats = new Set();
+    let blockCount = 0;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (line === '') return;
+
+        const block = splitWords(line);
+        if (!block || block.words.length === 0) {
+            skipped.push({ line: lineNumber, text: line, reason: 'Not a GSI block' });
+            return;
+        }
+        blockCount++;
+        formats.add(block.format);
+
+        const blockWarnings = [];
+        const point = parseBlock(block, blockWarnings);
+        blockWarnings.forEach(message => warnings.push({ line: lineNumber, message: message }));
+
+        if (Object.keys(point).length === 0) {
+            skipped.push({ line: lineNumber, text: line, reason: 'No readable words' });
+            return;
+        }
+
+        let geometry;
+        try {
+            geometry = pointGeometry(point, crs);
+        } catch (e) {
+            skipped.push({ line: lineNumber, text: line, reason: e.message });
+            return;
+        }
+
+        features.push({
+            type: 'Feature',
+            geometry: geometry,
+            properties: { ...point, pointType: pointType(point), line: lineNumber }
+        });
+    });
+
+    return {
+        geoJson: { type: 'FeatureCollection', features: features },
+        report: {
+            format: formats.size === 1 ? [...formats][0] : (formats.size === 0 ? null : 'Mixed'),
+            crs: crs,
+            blockCount: blockCount,
+            pointCount: features.filter(f => f.geometry).length,
+            observationCount: features.filter(f => !f.geometry).length,
+            skippedLines: skipped,
+            warnings: warnings
+        }
+    };
+}
@@ -0,0 +1,340 @@
+// KML and KMZ (Google Earth) import and export
+// Placemarks become GeoJSON features: name, description and ExtendedData (Data
+// and SchemaData) are kept as properties. Exported Placemarks carry the feature
+// properties as ExtendedData and a style built from the Leaflet path options.
+import { createZip, readZip } from './zip.js';
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+
+// Properties used as the Placemark name on export, in order of preference
+const nameProperties = ['name', 'Name', 'parcelNumber', 'ParcelNumber', 'parcelNo', 'pointNumber', 'PointNumber'];
+
+// Direct child elements with a local name (KML may or may not use a prefix)
+function children(element, name) {
+    return Array.from(element.children).filter(child => child.localName === name);
+}
+
+function childText(element, name) {
+    const child = children(element, name)[0];
+    return child ? child.textContent.trim() : null;
+}
+
+// "lng,lat[,alt] lng,lat[,alt] ..." to GeoJSON positions
+function parseCoordinates(text) {
+    return String(text || '')
+        .trim()
+        .split(/\s+/)
+        .filter(tuple => tuple !== '')
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(position => position.length >= 2 && position.every(Number.isFinite))
+        .map(position => position.length > 2 && position[2] !== 0 ? position.slice(0, 3) : position.slice(0, 2));
+}
+
+function ringCoordinates(boundary) {
+    const ring = children(boundary, 'LinearRing')[0];
+    return ring ? parseCoordinates(childText(ring, 'coordinates')) : [];
+}
+
+// One KML geometry element to a GeoJSON geometry, or null if it has no coordinates
+function parseGeometry(element) {
+    switch (element.localName) {
+        case 'Point': {
+            const positions = parseCoordinates(childText(element, 'coordinates'));
+            return positions.length > 0 ? { type: 'Point', coordinates: positions[0] } : null;
+        }
+        case 'LineString': {
+            const positions = parseCoordinates(childText(element, 'coordinates'));
+            return positions.length >= 2 ? { type: 'LineString', coordinates: positions } : null;
+        }
+        case 'LinearRing': {
+            const positions = parseCoordinates(childText(element, 'coordinates'));
+            return positions.length >= 4 ? { type: 'Polygon', coordinates: [positions] } : null;
+        }
+        case 'Polygon': {
+            const outer = children(element, 'outerBoundaryIs').map(ringCoordinates)[0] || [];
+            if (outer.length < 4) return null;
+            const inner = children(element, 'innerBoundaryIs').map(ringCoordinates).filter(ring => ring.length >= 4);
+            return { type: 'Polygon', coordinates: [outer, ...inner] };
+        }
+        case 'MultiGeometry': {
+            const geometries = Array.from(element.children).map(parseGeometry).filter(Boolean);
+            if (geometries.length === 0) return null;
+            if (geometries.length === 1) return geometries[0];
+
+            // Same-type parts become a Multi* geometry, mixed parts a collection
+            const type = geometries[0].type;
+            if (geometries.every(g => g.type === type) && ['Point', 'LineString', 'Polygon'].includes(type)) {
+                return { type: `Multi${type}`, coordinates: geometries.map(g => g.coordinates) };
+            }
+            return { type: 'GeometryCollection', geometries: geometries };
+        }
+        default:
+            return null;
+    }
+}
+
+// SimpleData values typed by their Schema where the Schema says they are numbers
+function schemaTypes(doc) {
+    const types = {};
+    Array.from(doc.getElementsByTagNameNS('*', 'Schema')).forEach(schema => {
+        const fields = {};
+        children(schema, 'SimpleField').forEach(field => {
+            fields[field.getAttribute('name')] = field.getAttribute('type');
+        });
+        const id = schema.getAttribute('id');
+        const name = schema.getAttribute('name');
+        if (id) types[`#${id}`] = fields;
+        if (name) types[name] = fields;
+    });
+    return types;
+}
+
+function typedValue(text, type) {
+    if (['int', 'uint', 'short', 'ushort', 'float', 'double'].includes(type)) {
+        const number = Number(text);
+        return text !== '' && Number.isFinite(number) ? number : text;
+    }
+    if (type === 'bool') {
+        return text === '1' || text.toLowerCase() === 'true';
+    }
+    return text;
+}
+
+function placemarkProperties(placemark, types) {
+    const properties = {};
+    const name = childText(placemark, 'name');
+    const description = childText(placemark, 'description');
+    if (name !== null) properties.name = name;
+    if (description !== null) properties.description = description;
+
+    children(placemark, 'ExtendedData').forEach(extended => {
+        children(extended, 'Data').forEach(data => {
+            const key = data.getAttribute('name');
+            if (key) properties[key] = childText(data, 'value') || '';
+        });
+        children(extended, 'SchemaData').forEach(schemaData => {
+            const fields = types[schemaData.getAttribute('schemaUrl')] || {};
+            children(schemaData, 'SimpleData').forEach(data => {
+                const key = data.getAttribute('name');
+                if (key) properties[key] = typedValue(data.textContent.trim(), fields[key]);
+            });
+        });
+    });
+    return properties;
+}
+
+// Folder names from the document down to a Placemark, e.g. "Parcels/Block A"
+function folderPath(placemark) {
+    const names = [];
+    for (let parent = placemark.parentElement; parent; parent = parent.parentElement) {
+        if (parent.localName === 'Folder') {
+            const name = childText(parent, 'name');
+            if (name) names.unshift(name);
+        }
+    }
+    return names.join('/');
+}
+
+// Parse KML text.
+// Returns {geoJson, report{name, placemarkCount, featureCount, skippedPlacemarks,
+// warnings, error}}. Placemarks without usable geometry are reported and left out.
+export function parseKml(text) {
+    const report = { name: null, placemarkCount: 0, featureCount: 0, skippedPlacemarks: [], warnings: [], error: null };
+    const geoJson = { type: 'FeatureCollection', features: [] };
+
+    const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || !doc.documentElement || doc.documentElement.localName !== 'kml') {
+        report.error = 'Not a valid KML document';
+        return { geoJson, report };
+    }
+
+    const kmlDocument = doc.getElementsByTagNameNS('*', 'Document')[0];
+    report.name = kmlDocument ? childText(kmlDocument, 'name') : null;
+
+    const types = schemaTypes(doc);
+    Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).forEach((placemark, index) => {
+        report.placemarkCount++;
+        const properties = placemarkProperties(placemark, types);
+        const label = properties.name || `Placemark ${index + 1}`;
+
+        const geometryElement = Array.from(placemark.children)
+            .find(child => ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'].includes(child.localName));
+        if (!geometryElement) {
+            const unsupported = Array.from(placemark.children).find(child => /Track|Model/.test(child.localName));
+            report.skippedPlacemarks.push({ name: label, reason: unsupported ? `Unsupported geometry ${unsupported.localName}` : 'No geometry' });
+            return;
+        }
+
+        const geometry = parseGeometry(geometryElement);
+        if (!geometry) {
+            report.skippedPlacemarks.push({ name: label, reason: 'Too few coordinates' });
+            return;
+        }
+
+        const folder = folderPath(placemark);
+        if (folder && properties.folder === undefined) {
+            properties.folder = folder;
+        }
+        geoJson.features.push({ type: 'Feature', properties: properties, geometry: geometry });
+    });
+
+    report.featureCount = geoJson.features.length;
+    if (report.placemarkCount === 0) {
+        report.warnings.push({ line: null, message: 'The document has no Placemarks' });
+    }
+    return { geoJson, report };
+}
+
+// Parse a KMZ archive (Uint8Array or ArrayBuffer): the root .kml, usually doc.kml
+export async function parseKmz(bytes) {
+    const files = await readZip(bytes);
+    const kmlFiles = files.filter(file => /\.kml$/i.test(file.name));
+    const main = kmlFiles.find(file => file.name.toLowerCase() === 'doc.kml') ||
+        kmlFiles.find(file => !file.name.includes('/')) ||
+        kmlFiles[0];
+
+    if (!main) {
+        return {
+            geoJson: { type: 'FeatureCollection', features: [] },
+            report: { name: null, placemarkCount: 0, featureCount: 0, skippedPlacemarks: [], warnings: [], error: 'No KML file in the KMZ archive' }
+        };
+    }
+    return parseKml(new TextDecoder().decode(main.data));
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// CSS colour (#rgb, #rrggbb or a few names) and opacity to KML aabbggrr
+const namedColors = { red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00', orange: '#ffa500', black: '#000000', white: '#ffffff' };
+
+function kmlColor(color, opacity) {
+    let hex = namedColors[String(color).toLowerCase()] || String(color || '#3388ff');
+    if (/^#[0-9a-f]{3}$/i.test(hex)) {
+        hex = '#' + hex.slice(1).split('').map(c => c + c).join('');
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(hex)) {
+        hex = '#3388ff';
+    }
+    const alpha = Math.round(Math.min(1, Math.max(0, opacity === undefined ? 1 : opacity)) * 255);
+    const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+    return (alpha.toString(16).padStart(2, '0') + b + g + r).toLowerCase();
+}
+
+// KML Style body from Leaflet path options ({color, weight, opacity, fill, fillColor,
+// fillOpacity, stroke}), Leaflet's defaults filling the gaps, or a marker iconUrl
+function styleXml(style) {
+    if (style.iconUrl) {
+        return `<IconStyle><Icon><href>${escapeXml(style.iconUrl)}</href></Icon></IconStyle>`;
+    }
+
+    const stroke = style.stroke !== false;
+    const color = style.color || '#3388ff';
+    return [
+        `<LineStyle><color>${kmlColor(color, stroke ? (style.opacity !== undefined ? style.opacity : 1) : 0)}</color>` +
+        `<width>${style.weight !== undefined ? style.weight : 3}</width></LineStyle>`,
+        `<PolyStyle><color>${kmlColor(style.fillColor || color, style.fillOpacity !== undefined ? style.fillOpacity : 0.2)}</color>` +
+        `<fill>${style.fill === false ? 0 : 1}</fill><outline>${stroke ? 1 : 0}</outline></PolyStyle>`
+    ].join('');
+}
+
+function coordinatesXml(positions) {
+    return `<coordinates>${positions.map(p => p.join(',')).join(' ')}</coordinates>`;
+}
+
+function polygonXml(rings) {
+    const [outer, ...inner] = rings;
+    return '<Polygon>' +
+        `<outerBoundaryIs><LinearRing>${coordinatesXml(outer)}</LinearRing></outerBoundaryIs>` +
+        inner.map(ring => `<innerBoundaryIs><LinearRing>${coordinatesXml(ring)}</LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+}
+
+function geometryXml(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point>${coordinatesXml([geometry.coordinates])}</Point>`;
+        case 'LineString':
+            return `<LineString><tessellate>1</tessellate>${coordinatesXml(geometry.coordinates)}</LineString>`;
+        case 'Polygon':
+            return polygonXml(geometry.coordinates);
+        case 'MultiPoint':
+            return `<MultiGeometry>${geometry.coordinates.map(p => geometryXml({ type: 'Point', coordinates: p })).join('')}</MultiGeometry>`;
+        case 'MultiLineString':
+            return `<MultiGeometry>${geometry.coordinates.map(l => geometryXml({ type: 'LineString', coordinates: l })).join('')}</MultiGeometry>`;
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(polygonXml).join('')}</MultiGeometry>`;
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(geometryXml).join('')}</MultiGeometry>`;
+        default:
+            return null;
+    }
+}
+
+function placemarkXml(feature, styleId) {
+    const properties = feature.properties || {};
+    const nameKey = nameProperties.find(key => properties[key] !== undefined && properties[key] !== null && properties[key] !== '');
+    const data = Object.entries(properties)
+        .filter(([key, value]) => key !== 'description' && !(key === 'name' && nameKey === 'name') && value !== null && value !== undefined && typeof value !== 'object')
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+
+    return '<Placemark>' +
+        (nameKey ? `<name>${escapeXml(properties[nameKey])}</name>` : '') +
+        (properties.description ? `<description>${escapeXml(properties.description)}</description>` : '') +
+        (styleId ? `<styleUrl>#${styleId}</styleUrl>` : '') +
+        (data ? `<ExtendedData>${data}</ExtendedData>` : '') +
+        geometryXml(feature.geometry) +
+        '</Placemark>';
+}
+
+// Build a KML document from GeoJSON (object or JSON string, WGS84).
+// Options: name (document name), styles (array of Leaflet style options, one per
+// feature; identical styles are shared). Returns {kml, featureCount, skippedCount}.
+export function createKml(geoJson, options = {}) {
+    const data = typeof geoJson === 'string' ? JSON.parse(geoJson) : geoJson;
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+        : [{ type: 'Feature', properties: {}, geometry: data }];
+    const styles = options.styles || [];
+
+    const styleIds = new Map();
+    const placemarks = [];
+    let skippedCount = 0;
+
+    features.forEach((feature, index) => {
+        if (!feature.geometry || !geometryXml(feature.geometry)) {
+            skippedCount++;
+            return;
+        }
+
+        let styleId = null;
+        if (styles[index]) {
+            const body = styleXml(styles[index]);
+            if (!styleIds.has(body)) {
+                styleIds.set(body, `style${styleIds.size + 1}`);
+            }
+            styleId = styleIds.get(body);
+        }
+        placemarks.push(placemarkXml(feature, styleId));
+    });
+
+    const kml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<kml xmlns="${KML_NAMESPACE}"><Document>` +
+        `<name>${escapeXml(options.name || 'Export')}</name>` +
+        Array.from(styleIds, ([body, id]) => `<Style id="${id}">${body}</Style>`).join('') +
+        placemarks.join('\n') +
+        '</Document></kml>\n';
+
+    return { kml, featureCount: placemarks.length, skippedCount };
+}
+
+// Package a KML document as KMZ (doc.kml in a ZIP archive); returns a Uint8Array
+export function createKmz(kml) {
+    return createZip([{ name: 'doc.kml', data: kml }]);
+}
@@ -1,148 +1,570 @@
 // Leaflet Wrapper for Blazor Integration
-let map = null;
-let markers = [];
-let circles = [];
-let polygons = [];
-let polylines = [];
-let geoJsonLayers = [];
-let drawnItems = null;
-let drawControl = null;
-let miniMapControl = null;
-let isDisposed = false;
+import { DEFAULT_CRS, toLatLng, toLatLngs, fromLatLng } from './projection.js';
+import { measureLayer, formatMeasurement } from './measurement.js';
+import { createSnapper } from './snapping.js';
+import { computeTraverse, formatBearing } from './cogo.js';
+import { detectOverlaps } from './overlap.js';
+import { adjustTraverse } from './traverse.js';
+import { adjustNetwork } from './networkAdjustment.js';
+import { parseGnssLog } from './gnssImport.js';
+import { readSymbolPoints, pointSymbolSvg, clusterSymbolSvg, legendHtml } from './pointSymbology.js';
+import { createClusterIndex, getClusters, getClusterPoints } from './pointClustering.js';
+import { createCanvasParcelLayer } from './canvasParcels.js';
+import { createDrawHistory } from './drawHistory.js';
+import { createFeatureIndex, featuresAtPoint, featuresInBounds, featuresWithinDistance, nearestFeatures } from './spatialIndex.js';
+import { createShapefile } from './shapefileExport.js';
+import { createDxf } from './dxfExport.js';
+import { createKml, createKmz } from './kml.js';
+import { createPlanLayout } from './planLayout.js';
+import { downloadFile } from './download.js';
+import { createCachedTileLayer, seedTiles } from '../_content/CompanyApp.Component.Surverying/js/tileCache.js';
+import { createBaseLayer } from '../_content/CompanyApp.Component.Surverying/js/baseLayers.js';
 
-// Initialize or get the map
-export function createMap(elementId, lat, lng, zoom) {
-    if (isDisposed) {
-        console.warn('Map wrapper is disposed, cannot create map');
-        return;
+export { registerCrs } from './projection.js';
+export { parseGsi } from './gsiParser.js';
+export { parseTotalStation, detectTotalStationFormat } from './totalStationParsers.js';
+export { parseNmea, parseGpx } from './gnssImport.js';
+export { readCsvLayout, importCsv } from './csvImport.js';
+export { parseKml, parseKmz } from './kml.js';
+export { clearTileCache, getCachedTileCount } from '../_content/CompanyApp.Component.Surverying/js/tileCache.js';
+
+// Map instances keyed by element id. Each handle owns its own layers and controls,
+// so several maps can live on the same page and be disposed independently.
+const maps = new Map();
+
+// Layers handed to .NET are referred to by string IDs, since Leaflet objects
+// cannot be marshalled. The collection each kind of layer is tracked in:
+const layerCollections = {
+    marker: 'markers',
+    circle: 'circles',
+    polygon: 'polygons',
+    polyline: 'polylines',
+    geojson: 'geoJsonLayers',
+    // Parcel fabrics drawn to one canvas (addCanvasParcels)
+    canvasParcels: 'canvasParcelLayers',
+    // Composite overlays (a shape with its labels), removed and styled as one
+    group: 'layerGroups'
+};
+
+// Layer ID under which spatial queries report drawn items
+const DRAWN_LAYER_ID = 'drawn';
+
+let nextLayerId = 1;
+let nextMarkerZIndexOffset = 1000;
+
+// Events that can be forwarded to .NET through subscribeMapEvents
+const mapEventNames = [
+    'click', 'moveEnd', 'zoomEnd', 'baseLayerChange',
+    'drawCreated', 'drawEdited', 'drawDeleted', 'historyChange',
+    'featureClick', 'featureHover', 'featureHoverEnd'
+];
+
+function createHandle(elementId, map) {
+    return {
+        id: elementId,
+        map: map,
+        baseLayers: {},
+        currentBaseLayer: 'osm',
+        layerControl: null,
+        markers: [],
+        circles: [],
+        polygons: [],
+        polylines: [],
+        geoJsonLayers: [],
+        canvasParcelLayers: [],
+        layerGroups: [],
+        layers: new Map(),
+        drawnItems: null,
+        drawControl: null,
+        drawHandlers: null,
+        activeDrawType: null,
+        measurementReadout: null,
+        snapper: null,
+        snapHandlers: null,
+        drawHistory: null,
+        historyHandlers: null,
+        historyKeyHandler: null,
+        // Spatial indexes by layer ID, built on first query and dropped when the layer changes
+        spatialIndexes: new Map(),
+        miniMapControl: null,
+        eventSubscription: null,
+        isDisposed: false
+    };
+}
+
+// Resolve a map handle by element id
+function getHandle(mapId) {
+    const handle = maps.get(mapId);
+    if (!handle || handle.isDisposed) {
+        console.warn(`Map '${mapId}' not found or already disposed`);
+        return null;
     }
+    return handle;
+}
 
-    if (map) {
-        try {
-            map.remove();
-        } catch (e) {
-            console.warn('Error removing existing map:', e);
-        }
+// Track a layer on its map and return the ID .NET uses for it
+function registerLayer(handle, kind, layer) {
+    const layerId = `${kind}-${nextLayerId++}`;
+    handle[layerCollections[kind]].push(layer);
+    handle.layers.set(layerId, { kind: kind, layer: layer });
+    attachFeatureEvents(handle, layer, () => layerId);
+    return layerId;
+}
+
+// Resolve a registered layer by ID
+function getLayerEntry(handle, layerId) {
+    const entry = handle.layers.get(layerId);
+    if (!entry) {
+        console.warn(`Layer '${layerId}' not found on map '${handle.id}'`);
+        return null;
+    }
+    return entry;
+}
+
+// GeoJSON of a wrapper layer by ID, or the value itself (GeoJSON object or string)
+function layerOrGeoJson(handle, value) {
+    if (typeof value === 'string' && handle && handle.layers.has(value)) {
+        return handle.layers.get(value).layer.toGeoJSON();
+    }
+    return value;
+}
+
+// Get the Leaflet map behind a handle (for sibling JS modules)
+export function getMap(mapId) {
+    const handle = getHandle(mapId);
+    return handle ? handle.map : null;
+}
+
+// Initialize or get the map
+export function createMap(elementId, lat, lng, zoom) {
+    if (maps.has(elementId)) {
+        dispose(elementId);
     }
 
     try {
-        map = L.map(elementId).setView([lat, lng], zoom);
+        const map = L.map(elementId).setView([lat, lng], zoom);
+        const handle = createHandle(elementId, map);
 
-        // Add OpenStreetMap tile layer
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        // Add OpenStreetMap tile layer (cached while viewing; OSM does not allow seeding)
+        handle.baseLayers.osm = createCachedTileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
             maxZoom: 19
         }).addTo(map);
 
-        return map;
+        // Keep the current map type in sync when the user switches layers
+        map.on('baselayerchange', function (e) {
+            for (const key in handle.baseLayers) {
+                if (handle.baseLayers[key] === e.layer) {
+                    handle.currentBaseLayer = key;
+                }
+            }
+            emitMapEvent(handle, 'baseLayerChange', { key: handle.currentBaseLayer, name: e.name });
+        });
+
+        attachMapEvents(handle);
+
+        maps.set(elementId, handle);
+        return elementId;
     } catch (e) {
         console.error('Error creating map:', e);
         return null;
     }
 }
 
+// Register an XYZ, TMS or WMS base layer (see baseLayers.js for the definition
+// fields). The layer switcher is created with the first extra layer and updated
+// as further layers are registered. Re-registering a key replaces it.
+export function registerBaseLayer(mapId, key, definition) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    let layer;
+    try {
+        layer = createBaseLayer(definition);
+    } catch (e) {
+        console.error(`Error creating base layer '${key}':`, e);
+        return false;
+    }
+
+    if (!handle.layerControl) {
+        handle.layerControl = L.control.layers({ "OpenStreetMap": handle.baseLayers.osm }).addTo(handle.map);
+    }
+
+    const previous = handle.baseLayers[key];
+    const isCurrent = handle.currentBaseLayer === key && previous && handle.map.hasLayer(previous);
+    if (previous) {
+        handle.layerControl.removeLayer(previous);
+        handle.map.removeLayer(previous);
+    }
+
+    handle.baseLayers[key] = layer;
+    handle.layerControl.addBaseLayer(layer, definition.name || key);
+
+    if (isCurrent) {
+        handle.map.addLayer(layer);
+        layer.bringToBack();
+    }
+    return true;
+}
+
+// Switch between registered base layers
+export function setMapType(mapId, mapType) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.baseLayers[mapType]) return false;
+
+    const current = handle.baseLayers[handle.currentBaseLayer];
+    if (current) {
+        handle.map.removeLayer(current);
+    }
+
+    handle.map.addLayer(handle.baseLayers[mapType]);
+    handle.baseLayers[mapType].bringToBack();
+    handle.currentBaseLayer = mapType;
+    return true;
+}
+
+// Use a locally hosted {z}/{x}/{y} directory such as 'tiles/job-42/{z}/{x}/{y}.png'
+// as the base layer. Options are base layer definition fields (tms, maxZoom, cache...).
+export function setBaseTileLayer(mapId, urlTemplate, options = {}) {
+    const registered = registerBaseLayer(mapId, 'local', {
+        name: 'Local tiles',
+        ...options,
+        type: options.tms ? 'tms' : 'xyz',
+        url: urlTemplate
+    });
+    return registered && setMapType(mapId, 'local');
+}
+
+// Pre-seed the tile cache of the current base layer for a survey job area.
+// The layer must be registered with seedable: true (a local directory or a
+// licensed source). bounds: [[south, west], [north, east]]. Progress is reported
+// to HandleTileSeedProgress(done, total) when a .NET reference is given.
+// maxTiles overrides the default limit of 10000 tiles per seed, up to 20000.
+export async function seedTileCache(mapId, bounds, minZoom, maxZoom, dotNetReference = null, maxTiles = null) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    const layer = handle.baseLayers[handle.currentBaseLayer];
+    if (!layer || !layer.options.cache) {
+        console.error('The current base layer does not support caching');
+        return null;
+    }
+    if (!layer.options.seedable) {
+        console.error('The current base layer is not flagged as seedable; its source may forbid bulk download');
+        return null;
+    }
+
+    const onProgress = dotNetReference
+        ? (done, total) => dotNetReference.invokeMethodAsync('HandleTileSeedProgress', done, total)
+            .catch(error => console.error('Error reporting tile seed progress:', error))
+        : null;
+    const options = maxTiles ? { ...layer.options, maxTiles } : layer.options;
+
+    try {
+        return await seedTiles(layer._url, bounds, minZoom, maxZoom, options, onProgress);
+    } catch (e) {
+        console.error('Error seeding tile cache:', e);
+        return null;
+    }
+}
+
 // Add a marker
-export function addMarker(lat, lng, popupText = null) {
-    if (!map) return;
+export function addMarker(mapId, lat, lng, popupText = null) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
 
-    const marker = L.marker([lat, lng]).addTo(map);
+    const marker = L.marker([lat, lng]).addTo(handle.map);
     
     if (popupText) {
         marker.bindPopup(popupText);
     }
 
-    markers.push(marker);
-    return marker;
+    return registerLayer(handle, 'marker', marker);
 }
 
 // Add a circle
-export function addCircle(lat, lng, radius, options = {}) {
-    if (!map) return;
+export function addCircle(mapId, lat, lng, radius, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
 
     const circle = L.circle([lat, lng], {
         radius: radius,
         ...options
-    }).addTo(map);
+    }).addTo(handle.map);
 
-    circles.push(circle);
-    return circle;
+    return registerLayer(handle, 'circle', circle);
 }
 
 // Add a polygon
-export function addPolygon(latLngs, options = {}) {
-    if (!map) return;
+export function addPolygon(mapId, latLngs, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
 
-    const polygon = L.polygon(latLngs, options).addTo(map);
-    polygons.push(polygon);
-    return polygon;
+    const polygon = L.polygon(latLngs, options).addTo(handle.map);
+    return registerLayer(handle, 'polygon', polygon);
 }
 
 // Add a polyline
-export function addPolyline(latLngs, options = {}) {
-    if (!map) return;
+export function addPolyline(mapId, latLngs, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
 
-    const polyline = L.polyline(latLngs, options).addTo(map);
-    polylines.push(polyline);
-    return polyline;
+    const polyline = L.polyline(latLngs, options).addTo(handle.map);
+    return registerLayer(handle, 'polyline', polyline);
 }
 
 // Add GeoJSON data
-export function addGeoJson(geoJson, options = {}) {
-    if (!map) return;
+export function addGeoJson(mapId, geoJson, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    const layer = L.geoJSON(geoJson, options).addTo(handle.map);
+    return registerLayer(handle, 'geojson', layer);
+}
 
-    const layer = L.geoJSON(geoJson, options).addTo(map);
-    geoJsonLayers.push(layer);
-    return layer;
+// Popup text listing a feature's properties
+function propertiesPopup(properties) {
+    let popupContent = '<div>';
+    for (const [key, value] of Object.entries(properties || {})) {
+        popupContent += `<strong>${key}:</strong> ${value}<br/>`;
+    }
+    return popupContent + '</div>';
 }
 
 // Add GeoJSON with popup
-export function addGeoJsonWithPopup(geoJson, options = {}) {
-    if (!map) return;
+export function addGeoJsonWithPopup(mapId, geoJson, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
 
     const layer = L.geoJSON(geoJson, {
         ...options,
         onEachFeature: function (feature, layer) {
             if (feature.properties) {
-                let popupContent = '<div>';
-                for (const [key, value] of Object.entries(feature.properties)) {
-                    popupContent += `<strong>${key}:</strong> ${value}<br/>`;
-                }
-                popupContent += '</div>';
-                layer.bindPopup(popupContent);
+                layer.bindPopup(propertiesPopup(feature.properties));
             }
         }
-    }).addTo(map);
+    }).addTo(handle.map);
+
+    return registerLayer(handle, 'geojson', layer);
+}
+
+// Add a large set of parcel polygons (tens of thousands) drawn to one canvas
+// instead of an SVG path each. Click and hover still report the parcel under the
+// cursor (featureClick / featureHover events), and parcels can be coloured by a
+// property.
+// Options: style (path options), styleBy ({property, categories: {value: color},
+// default} or {property, breaks: [...], colors: [...], default}), hoverStyle (path
+// options, or null for no highlight), popup (show properties on click, default
+// true), fit (zoom to the parcels, default false).
+// Returns the layer ID, or null on error.
+export function addCanvasParcels(mapId, geoJson, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    let layer;
+    try {
+        const layerOptions = { style: options.style || null, styleBy: options.styleBy || null };
+        if (options.hoverStyle !== undefined) {
+            layerOptions.hoverStyle = options.hoverStyle;
+        }
+        layer = createCanvasParcelLayer(geoJson, layerOptions);
+    } catch (e) {
+        console.error('Error loading canvas parcels:', e);
+        return null;
+    }
+    if (layer.getSkippedCount() > 0) {
+        console.warn(`${layer.getSkippedCount()} non-polygon features skipped`);
+    }
+
+    if (options.popup !== false) {
+        layer.on('click', e => {
+            L.popup().setLatLng(e.latlng).setContent(propertiesPopup(e.feature.properties)).openOn(handle.map);
+        });
+    }
+
+    if (options.fit === true && layer.getFeatureCount() > 0) {
+        handle.map.fitBounds(layer.getBounds(), { padding: [50, 50] });
+    }
+    layer.addTo(handle.map);
+    return registerLayer(handle, 'canvasParcels', layer);
+}
+
+// Recolour a canvas parcel layer by a property (see addCanvasParcels), or return
+// it to its plain style with null
+export function setParcelStyleBy(mapId, layerId, styleBy) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
 
-    geoJsonLayers.push(layer);
-    return layer;
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    if (typeof entry.layer.setStyleBy !== 'function') {
+        console.warn(`Layer '${layerId}' is not a canvas parcel layer`);
+        return false;
+    }
+    entry.layer.setStyleBy(styleBy);
+    return true;
 }
 
 // Clear all overlays (except base tiles)
-export function clearMap() {
-    if (!map) return;
+export function clearMap(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    const map = handle.map;
+    handle.markers.forEach(marker => map.removeLayer(marker));
+    handle.circles.forEach(circle => map.removeLayer(circle));
+    handle.polygons.forEach(polygon => map.removeLayer(polygon));
+    handle.polylines.forEach(polyline => map.removeLayer(polyline));
+    handle.geoJsonLayers.forEach(layer => map.removeLayer(layer));
+    handle.canvasParcelLayers.forEach(layer => map.removeLayer(layer));
+    handle.layerGroups.forEach(layer => map.removeLayer(layer));
+
+    handle.markers = [];
+    handle.circles = [];
+    handle.polygons = [];
+    handle.polylines = [];
+    handle.geoJsonLayers = [];
+    handle.canvasParcelLayers = [];
+    handle.layerGroups = [];
+    handle.layers.clear();
+    handle.spatialIndexes.clear();
+}
+
+// Remove a single layer by ID
+export function removeLayerById(mapId, layerId) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
 
-    markers.forEach(marker => map.removeLayer(marker));
-    circles.forEach(circle => map.removeLayer(circle));
-    polygons.forEach(polygon => map.removeLayer(polygon));
-    polylines.forEach(polyline => map.removeLayer(polyline));
-    geoJsonLayers.forEach(layer => map.removeLayer(layer));
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
 
-    markers = [];
-    circles = [];
-    polygons = [];
-    polylines = [];
-    geoJsonLayers = [];
+    handle.map.removeLayer(entry.layer);
+    const collection = handle[layerCollections[entry.kind]];
+    const index = collection.indexOf(entry.layer);
+    if (index !== -1) {
+        collection.splice(index, 1);
+    }
+    handle.layers.delete(layerId);
+    handle.spatialIndexes.delete(layerId);
+    return true;
+}
+
+// Move or reshape a layer in place.
+// Markers and circles take [lat, lng] (circles optionally a new radius),
+// polygons and polylines take an array of [lat, lng], GeoJSON layers take GeoJSON.
+export function updateLayerGeometry(mapId, layerId, geometry, radius = null) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    handle.spatialIndexes.delete(layerId);
+    try {
+        switch (entry.kind) {
+            case 'marker':
+                entry.layer.setLatLng(geometry);
+                break;
+            case 'circle':
+                entry.layer.setLatLng(geometry);
+                if (radius !== null) {
+                    entry.layer.setRadius(radius);
+                }
+                break;
+            case 'polygon':
+            case 'polyline':
+                entry.layer.setLatLngs(geometry);
+                break;
+            case 'geojson':
+            case 'canvasParcels':
+                entry.layer.clearLayers();
+                entry.layer.addData(geometry);
+                break;
+            default:
+                console.warn(`Layer '${layerId}' cannot be reshaped`);
+                return false;
+        }
+        return true;
+    } catch (e) {
+        console.error(`Error updating geometry of layer '${layerId}':`, e);
+        return false;
+    }
+}
+
+// Restyle a layer (path options such as color, weight, fillColor, fillOpacity).
+// Markers only honour opacity.
+export function setLayerStyle(mapId, layerId, style = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    if (entry.kind === 'marker') {
+        if (style.opacity !== undefined) {
+            entry.layer.setOpacity(style.opacity);
+        }
+    } else {
+        entry.layer.setStyle(style);
+    }
+    return true;
+}
+
+// Set, replace or (with null) remove the popup of a layer
+export function setLayerPopup(mapId, layerId, popupText, openPopup = false) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    if (!popupText) {
+        entry.layer.unbindPopup();
+        return true;
+    }
+
+    // A canvas parcel layer has no single position to open a popup at
+    if (openPopup && entry.kind === 'canvasParcels') {
+        console.warn(`Popups of canvas parcel layer '${layerId}' open on click only`);
+        return false;
+    }
+
+    entry.layer.bindPopup(popupText);
+    if (openPopup) {
+        entry.layer.openPopup();
+    }
+    return true;
+}
+
+// Draw a layer above the others of its kind
+export function bringLayerToFront(mapId, layerId) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return false;
+
+    if (entry.kind === 'marker') {
+        entry.layer.setZIndexOffset(nextMarkerZIndexOffset++);
+    } else {
+        entry.layer.bringToFront();
+    }
+    return true;
 }
 
 // Set map view
-export function setView(lat, lng, zoom) {
-    if (!map) return;
-    map.setView([lat, lng], zoom);
+export function setView(mapId, lat, lng, zoom) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+    handle.map.setView([lat, lng], zoom);
 }
 
 // Fit map to bounds
-export function fitBounds(bounds) {
-    if (!map) return;
+export function fitBounds(mapId, bounds) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+    const map = handle.map;
     
     // Validate bounds
     if (!bounds || bounds.length !== 2 || 
@@ -178,265 +600,1889 @@ export function fitBounds(bounds) {
     }
 }
 
-// Initialize drawing tools
-export function initDrawTools(lineColor = '#3388ff', fillColor = '#3388ff', lineWeight = 2) {
-    if (!map) return;
+// Project a single easting/northing for display, logging instead of throwing
+function projectOrNull(easting, northing, crs) {
+    try {
+        return toLatLng(easting, northing, crs);
+    } catch (e) {
+        console.error('Error projecting coordinates:', e);
+        return null;
+    }
+}
 
-    // Load Leaflet.draw if not already loaded
-    if (typeof L.Control.Draw === 'undefined') {
-        console.error('Leaflet.draw library not loaded');
-        return;
+// Convert easting/northing in a registered CRS to [lat, lng]
+export function projectToLatLng(easting, northing, crs = DEFAULT_CRS) {
+    return projectOrNull(easting, northing, crs);
+}
+
+// Convert lat/lng to [easting, northing] in a registered CRS
+export function projectFromLatLng(lat, lng, crs = DEFAULT_CRS) {
+    try {
+        return fromLatLng(lat, lng, crs);
+    } catch (e) {
+        console.error('Error projecting coordinates:', e);
+        return null;
     }
+}
 
-    drawnItems = new L.FeatureGroup();
-    map.addLayer(drawnItems);
+// Add a marker at a projected easting/northing (UTM 35S by default)
+export function addMarkerProjected(mapId, easting, northing, popupText = null, crs = DEFAULT_CRS) {
+    const latLng = projectOrNull(easting, northing, crs);
+    if (!latLng) return null;
+    return addMarker(mapId, latLng[0], latLng[1], popupText);
+}
 
-    drawControl = new L.Control.Draw({
-        position: 'topright',
-        draw: {
-            polyline: {
-                shapeOptions: {
-                    color: lineColor,
-                    weight: lineWeight
-                }
-            },
-            polygon: {
-                shapeOptions: {
-                    color: lineColor,
-                    fillColor: fillColor,
-                    weight: lineWeight
-                }
-            },
-            circle: {
-                shapeOptions: {
-                    color: lineColor,
-                    fillColor: fillColor,
-                    weight: lineWeight
-                }
-            },
-            rectangle: {
-                shapeOptions: {
-                    color: lineColor,
-                    fillColor: fillColor,
-                    weight: lineWeight
-                }
-            },
-            marker: true
-        },
-        edit: {
-            featureGroup: drawnItems
-        }
-    });
+// Add a polygon from [easting, northing] pairs (rings may be nested for holes)
+export function addPolygonProjected(mapId, coordinates, options = {}, crs = DEFAULT_CRS) {
+    try {
+        return addPolygon(mapId, toLatLngs(coordinates, crs), options);
+    } catch (e) {
+        console.error('Error projecting polygon:', e);
+        return null;
+    }
+}
 
-    map.addControl(drawControl);
+// Add a polyline from [easting, northing] pairs
+export function addPolylineProjected(mapId, coordinates, options = {}, crs = DEFAULT_CRS) {
+    try {
+        return addPolyline(mapId, toLatLngs(coordinates, crs), options);
+    } catch (e) {
+        console.error('Error projecting polyline:', e);
+        return null;
+    }
+}
 
-    // Event handlers for drawing
-    map.on(L.Draw.Event.CREATED, function (e) {
-        const layer = e.layer;
-        drawnItems.addLayer(layer);
-    });
+// Set map view on a projected easting/northing
+export function setViewProjected(mapId, easting, northing, zoom, crs = DEFAULT_CRS) {
+    const latLng = projectOrNull(easting, northing, crs);
+    if (!latLng) return;
+    setView(mapId, latLng[0], latLng[1], zoom);
 }
 
-// Initialize drawing tools with advanced options
-export function initDrawToolsAdvanced(options) {
-    if (!map) return;
+// Fit map to projected bounds [[minEasting, minNorthing], [maxEasting, maxNorthing]]
+export function fitBoundsProjected(mapId, bounds, crs = DEFAULT_CRS) {
+    if (!bounds || bounds.length !== 2 || !Array.isArray(bounds[0]) || !Array.isArray(bounds[1])) {
+        console.error('Invalid bounds format');
+        return;
+    }
 
-    drawnItems = new L.FeatureGroup();
-    map.addLayer(drawnItems);
+    const [[minE, minN], [maxE, maxN]] = bounds;
 
-    const drawOptions = {
-        position: options.position || 'topright',
-        draw: {
-            polyline: options.enablePolyline ? {
-                shapeOptions: {
-                    color: options.lineColor,
-                    weight: options.lineWeight
-                }
-            } : false,
-            polygon: options.enablePolygon ? {
-                shapeOptions: {
-                    color: options.lineColor,
-                    fillColor: options.fillColor,
-                    fillOpacity: options.fillOpacity,
-                    weight: options.lineWeight
-                }
-            } : false,
-            circle: options.enableCircle ? {
-                shapeOptions: {
-                    color: options.lineColor,
-                    fillColor: options.fillColor,
-                    fillOpacity: options.fillOpacity,
-                    weight: options.lineWeight
-                }
-            } : false,
-            rectangle: options.enableRectangle ? {
-                shapeOptions: {
-                    color: options.lineColor,
-                    fillColor: options.fillColor,
-                    fillOpacity: options.fillOpacity,
-                    weight: options.lineWeight
-                }
-            } : false,
-            marker: options.enableMarker
-        },
-        edit: {
-            featureGroup: drawnItems
-        }
-    };
+    // Grid and graticule are not parallel, so project all four corners
+    const corners = [[minE, minN], [minE, maxN], [maxE, minN], [maxE, maxN]]
+        .map(([e, n]) => projectOrNull(e, n, crs));
+    if (corners.some(c => !c)) return;
+
+    const lats = corners.map(c => c[0]);
+    const lngs = corners.map(c => c[1]);
+    fitBounds(mapId, [
+        [Math.min(...lats), Math.min(...lngs)],
+        [Math.max(...lats), Math.max(...lngs)]
+    ]);
+}
 
-    drawControl = new L.Control.Draw(drawOptions);
-    map.addControl(drawControl);
+// Label for one leg of a bearing-and-distance plot, placed at the middle of the
+// leg and turned to run along it (flipped so the text is never upside down)
+function createLegLabel(fromLatLng, toLatLng, bearing, distance) {
+    const middle = L.latLng((fromLatLng[0] + toLatLng[0]) / 2, (fromLatLng[1] + toLatLng[1]) / 2);
+    let angle = bearing - 90;
+    if (angle > 90) angle -= 180;
 
-    map.on(L.Draw.Event.CREATED, function (e) {
-        const layer = e.layer;
-        drawnItems.addLayer(layer);
+    return L.marker(middle, {
+        interactive: false,
+        keyboard: false,
+        icon: L.divIcon({
+            className: 'cogo-leg-label',
+            iconSize: null,
+            html: `<div style="transform: translate(-50%, -50%) rotate(${angle.toFixed(1)}deg); white-space: nowrap; ` +
+                `font-size: 11px; text-shadow: 0 0 3px #fff;">${formatBearing(bearing)} &nbsp;${distance.toFixed(2)} m</div>`
+        })
     });
 }
 
-// Update drawing tools style
-export function updateDrawToolsStyle(lineColor, fillColor, lineWeight, fillOpacity = 0.2) {
-    // This would require recreating the draw control with new options
-    if (drawControl) {
-        map.removeControl(drawControl);
+// Plot a parcel or traverse from a start easting/northing and a list of legs,
+// each {bearing, distance} with a whole-circle grid bearing in DMS (e.g. "123°45'30\"")
+// or decimal degrees and a distance in metres.
+// Options: closed (default true: a parcel that should return to the start),
+// closeEasting/closeNorthing (known end point of an open traverse), angleUnit of
+// plain-number bearings ('degrees' or 'dms' for packed DDD.MMSS, default 'degrees'),
+// labels (default true), fit (zoom to the result, default true), plus path style options.
+// Returns {layerId, vertices, totalDistance, misclosure}; vertices are the start
+// and the end of every leg as {easting, northing, lat, lng}. misclosure is null
+// for an open traverse without a known end point.
+export function plotBearingDistance(mapId, startEasting, startNorthing, legs, options = {}, crs = DEFAULT_CRS) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    const { closed, closeEasting, closeNorthing, angleUnit, labels, fit, ...style } = options;
+    const isClosed = closed !== false;
+    let closeTo = null;
+    if (isClosed) {
+        closeTo = [startEasting, startNorthing];
+    } else if (closeEasting !== undefined && closeEasting !== null) {
+        closeTo = [closeEasting, closeNorthing];
     }
-    initDrawTools(lineColor, fillColor, lineWeight);
-}
 
-// Enable drawing
-export function enableDrawing() {
-    if (drawControl) {
-        map.addControl(drawControl);
+    let traverse, latLngs;
+    try {
+        traverse = computeTraverse([startEasting, startNorthing], legs, closeTo, angleUnit || 'degrees');
+        latLngs = traverse.points.map(([e, n]) => toLatLng(e, n, crs));
+    } catch (e) {
+        console.error('Error plotting bearings and distances:', e);
+        return null;
     }
-}
 
-// Disable drawing
-export function disableDrawing() {
-    if (drawControl) {
-        map.removeControl(drawControl);
+    // A closed figure ends on (or near) its start, so the last computed point is
+    // left out of the polygon and shows up as the misclosure instead
+    const shape = isClosed
+        ? L.polygon(latLngs.slice(0, -1), style)
+        : L.polyline(latLngs, style);
+    const group = L.featureGroup([shape]);
+
+    if (labels !== false) {
+        traverse.legs.forEach((leg, i) => {
+            group.addLayer(createLegLabel(latLngs[i], latLngs[i + 1], leg.bearing, leg.distance));
+        });
     }
-}
 
-// Clear all drawn items
-export function clearAllDrawn() {
-    if (drawnItems) {
-        drawnItems.clearLayers();
+    group.addTo(handle.map);
+    if (fit !== false) {
+        handle.map.fitBounds(shape.getBounds(), { padding: [50, 50] });
     }
-}
 
-// Get drawn items as GeoJSON
-export function getDrawnGeoJson() {
-    if (!drawnItems) return null;
-    return JSON.stringify(drawnItems.toGeoJSON());
+    return {
+        layerId: registerLayer(handle, 'group', group),
+        vertices: traverse.points.map(([easting, northing], i) => ({
+            easting: easting,
+            northing: northing,
+            lat: latLngs[i][0],
+            lng: latLngs[i][1]
+        })),
+        totalDistance: traverse.totalDistance,
+        misclosure: traverse.misclosure
+    };
 }
 
-// Add drawn items from GeoJSON
-export function addDrawnFromGeoJson(geoJson) {
-    if (!drawnItems) return;
+// Adjust a traverse (see adjustTraverse in traverse.js) and draw the unadjusted
+// traverse dashed, the adjusted traverse solid and the misclosure vector from the
+// closing point to where the unadjusted traverse ended.
+// Options: closeEasting/closeNorthing (default: closes on the start), method,
+// backsightBearing, closingAngle, closingBearing, angularTolerance, minimumRatio,
+// angleUnit, labels (default true), fit (default true), misclosureScale (exaggerates the
+// vector, default 1).
+// Returns the adjustment with layerId and the adjusted vertices in lat/lng, or null.
+export function plotTraverseAdjustment(mapId, startEasting, startNorthing, legs, options = {}, crs = DEFAULT_CRS) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
 
-    const layer = L.geoJSON(geoJson);
-    layer.eachLayer(function (l) {
-        drawnItems.addLayer(l);
-    });
-}
+    const { closeEasting, closeNorthing, labels, fit, misclosureScale = 1, ...adjustOptions } = options;
+    const closeTo = closeEasting !== undefined && closeEasting !== null ? [closeEasting, closeNorthing] : null;
 
-// Add MiniMap
-export function addMiniMap(miniMapLayerUrl, options = {}) {
-    if (!map) return;
+    let result, unadjusted, adjusted, misclosureLine;
+    try {
+        result = adjustTraverse([startEasting, startNorthing], legs, { ...adjustOptions, closeTo: closeTo });
 
-    // Load MiniMap plugin if available
-    if (typeof L.Control.MiniMap === 'undefined') {
-        console.error('Leaflet.MiniMap plugin not loaded');
+        const toLatLngList = points => points.map(([e, n]) => toLatLng(e, n, crs));
+        unadjusted = toLatLngList(result.unadjustedPoints);
+        adjusted = toLatLngList(result.adjustedPoints);
+        const close = result.adjustedPoints[result.adjustedPoints.length - 1];
+        const { deltaEasting, deltaNorthing } = result.misclosure;
+        misclosureLine = toLatLngList([close, [close[0] + deltaEasting * misclosureScale, close[1] + deltaNorthing * misclosureScale]]);
+    } catch (e) {
+        console.error('Error adjusting traverse:', e);
+        return null;
+    }
+
+    const adjustedLine = L.polyline(adjusted, { color: '#1f78b4', weight: 3 });
+    const group = L.featureGroup([
+        L.polyline(unadjusted, { color: '#ff7f00', weight: 2, dashArray: '6 4' }),
+        adjustedLine,
+        L.polyline(misclosureLine, {
+            color: '#e31a1c', weight: 4
+        }).bindTooltip(`Misclosure ${result.misclosure.linear.toFixed(3)} m (${result.misclosure.ratio})` +
+            (misclosureScale !== 1 ? `, drawn x${misclosureScale}` : ''))
+    ]);
+
+    adjusted.forEach((latLng, i) => {
+        const [easting, northing] = result.adjustedPoints[i];
+        group.addLayer(L.circleMarker(latLng, { radius: 4, color: '#1f78b4', fillColor: '#fff', fillOpacity: 1, weight: 2 })
+            .bindTooltip(`Station ${i + 1}<br/>E ${easting.toFixed(3)}<br/>N ${northing.toFixed(3)}`));
+    });
+
+    if (labels !== false) {
+        result.legs.forEach((leg, i) => {
+            group.addLayer(createLegLabel(adjusted[i], adjusted[i + 1], leg.adjustedBearing, leg.adjustedDistance));
+        });
+    }
+
+    group.addTo(handle.map);
+    if (fit !== false) {
+        handle.map.fitBounds(adjustedLine.getBounds(), { padding: [50, 50] });
+    }
+
+    return {
+        ...result,
+        layerId: registerLayer(handle, 'group', group),
+        vertices: result.adjustedPoints.map(([easting, northing], i) => ({
+            easting: easting,
+            northing: northing,
+            lat: adjusted[i][0],
+            lng: adjusted[i][1]
+        }))
+    };
+}
+
+// Error ellipse as a ring of lat/lng, drawn ellipseScale times its true size
+function ellipseLatLngs(station, ellipseScale, crs) {
+    const { semiMajor, semiMinor, orientation } = station.ellipse;
+    const theta = orientation * Math.PI / 180;
+    const ring = [];
+    for (let i = 0; i < 64; i++) {
+        const t = i / 64 * 2 * Math.PI;
+        const major = Math.cos(t) * semiMajor * ellipseScale;
+        const minor = Math.sin(t) * semiMinor * ellipseScale;
+        // Major axis along the bearing theta, minor axis at right angles to it
+        ring.push(toLatLng(
+            station.easting + major * Math.sin(theta) + minor * Math.cos(theta),
+            station.northing + major * Math.cos(theta) - minor * Math.sin(theta),
+            crs
+        ));
+    }
+    return ring;
+}
+
+// Run a least-squares network adjustment (see adjustNetwork in networkAdjustment.js)
+// and draw the observations, the stations and each adjusted station's error
+// ellipse. Ellipses are millimetres on a map of kilometres, so they are drawn
+// enlarged: options.ellipseScale, or by default a power of ten that makes the
+// largest one about 5% of the network extent.
+// Returns the adjustment with layerId and ellipseScale, or null on error.
+export function adjustControlNetwork(mapId, network, options = {}, crs = DEFAULT_CRS) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    const { fit, ellipseScale: requestedScale, ...adjustOptions } = options;
+    let result;
+    try {
+        result = adjustNetwork(network, adjustOptions);
+    } catch (e) {
+        console.error('Error adjusting network:', e);
+        return null;
+    }
+
+    let ellipseScale = requestedScale;
+    if (!ellipseScale) {
+        const eastings = result.stations.map(s => s.easting);
+        const northings = result.stations.map(s => s.northing);
+        const extent = Math.max(Math.max(...eastings) - Math.min(...eastings), Math.max(...northings) - Math.min(...northings), 1);
+        const largest = Math.max(...result.stations.map(s => s.ellipse ? s.ellipse.semiMajor : 0));
+        ellipseScale = largest > 0 ? Math.max(1, Math.pow(10, Math.floor(Math.log10(extent * 0.05 / largest)))) : 1;
+    }
+
+    // Project every station and ellipse up front, so an unknown CRS fails here
+    const stationLatLngs = new Map();
+    const ellipseRings = new Map();
+    try {
+        result.stations.forEach(station => {
+            stationLatLngs.set(station.id, toLatLng(station.easting, station.northing, crs));
+            if (station.ellipse) {
+                ellipseRings.set(station.id, ellipseLatLngs(station, ellipseScale, crs));
+            }
+        });
+    } catch (e) {
+        console.error('Error projecting adjusted network:', e);
+        return null;
+    }
+
+    const group = L.featureGroup();
+    const drawn = new Set();
+    result.observations.forEach(obs => {
+        const key = `${obs.type}:${[obs.from, obs.to].sort().join('|')}`;
+        if (drawn.has(key)) return;
+        drawn.add(key);
+        group.addLayer(L.polyline([stationLatLngs.get(obs.from), stationLatLngs.get(obs.to)], {
+            color: obs.flagged ? '#e31a1c' : '#777',
+            weight: 1,
+            dashArray: obs.type === 'baseline' ? '4 4' : null
+        }));
+    });
+
+    result.stations.forEach(station => {
+        if (station.ellipse) {
+            group.addLayer(L.polygon(ellipseRings.get(station.id), {
+                color: '#e31a1c', weight: 2, fillOpacity: 0.1
+            }).bindTooltip(`${station.id}: a = ${(station.ellipse.semiMajor * 1000).toFixed(1)} mm, ` +
+                `b = ${(station.ellipse.semiMinor * 1000).toFixed(1)} mm, ` +
+                `${station.ellipse.orientation.toFixed(1)}° (drawn x${ellipseScale})`));
+        }
+        group.addLayer(L.circleMarker(stationLatLngs.get(station.id), {
+            radius: station.fixed ? 6 : 4,
+            color: station.fixed ? '#000' : '#1f78b4',
+            fillColor: station.fixed ? '#000' : '#fff',
+            fillOpacity: 1,
+            weight: 2
+        }).bindTooltip(`${station.id}${station.fixed ? ' (fixed)' : ''}<br/>E ${station.easting.toFixed(4)}<br/>N ${station.northing.toFixed(4)}` +
+            (station.fixed ? '' : `<br/>σE ${(station.stdDevEasting * 1000).toFixed(1)} mm, σN ${(station.stdDevNorthing * 1000).toFixed(1)} mm`)));
+    });
+
+    group.addTo(handle.map);
+    if (fit !== false) {
+        handle.map.fitBounds(group.getBounds(), { padding: [50, 50] });
+    }
+
+    return { ...result, layerId: registerLayer(handle, 'group', group), ellipseScale: ellipseScale };
+}
+
+// Add (once) a diagonal hatch pattern to an SVG renderer and return its fill URL
+function hatchFill(handle, renderer, color) {
+    const patternId = `hatch-${handle.id}-${color}`.replace(/[^a-z0-9_-]/gi, '');
+    const svg = renderer._container;
+
+    if (!svg.querySelector(`#${patternId}`)) {
+        let defs = svg.querySelector('defs');
+        if (!defs) {
+            defs = L.SVG.create('defs');
+            svg.insertBefore(defs, svg.firstChild);
+        }
+
+        const pattern = L.SVG.create('pattern');
+        pattern.setAttribute('id', patternId);
+        pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+        pattern.setAttribute('width', '8');
+        pattern.setAttribute('height', '8');
+        pattern.setAttribute('patternTransform', 'rotate(45)');
+
+        const line = L.SVG.create('line');
+        line.setAttribute('x1', '0');
+        line.setAttribute('y1', '0');
+        line.setAttribute('x2', '0');
+        line.setAttribute('y2', '8');
+        line.setAttribute('stroke', color);
+        line.setAttribute('stroke-width', '3');
+
+        pattern.appendChild(line);
+        defs.appendChild(pattern);
+    }
+    return `url(#${patternId})`;
+}
+
+// Find where a candidate parcel overlaps existing parcels (both GeoJSON, as objects
+// or JSON strings) and hatch the overlaps on the map.
+// Options: tolerance (m², default 0.01), idProperty, crs, highlight (default true),
+// color (default '#d7191c'), fit (zoom to the overlaps, default false).
+// Returns the overlap report with layerId set to the highlight layer (null when
+// nothing overlaps or highlighting is off), or null on error.
+export function detectParcelOverlaps(mapId, candidateGeoJson, parcelsGeoJson, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    let report;
+    try {
+        report = detectOverlaps(candidateGeoJson, parcelsGeoJson, options);
+    } catch (e) {
+        console.error('Error detecting parcel overlaps:', e);
+        return null;
+    }
+
+    report.layerId = null;
+    if (options.highlight === false || !report.hasOverlaps) {
+        return report;
+    }
+
+    const color = options.color || '#d7191c';
+    const group = L.featureGroup();
+    report.overlaps.forEach(overlap => {
+        const layer = L.geoJSON(overlap.geometry, {
+            style: { color: color, weight: 2, dashArray: '4,4', fillColor: color, fillOpacity: 0.6 }
+        });
+        layer.bindPopup(
+            `<strong>Overlap with parcel ${overlap.parcelId}</strong><br/>` +
+            `Area: ${overlap.overlapGridAreaSqm.toFixed(2)} m&sup2;<br/>` +
+            `${overlap.percentOfCandidate.toFixed(2)}% of candidate, ${overlap.percentOfParcel.toFixed(2)}% of parcel`);
+        group.addLayer(layer);
+    });
+    group.addTo(handle.map);
+
+    // Hatching needs the SVG renderer; with a canvas renderer the solid fill stays
+    group.eachLayer(layer => layer.eachLayer(path => {
+        if (path._renderer instanceof L.SVG) {
+            path.setStyle({ fillColor: hatchFill(handle, path._renderer, color), fillOpacity: 1 });
+        }
+    }));
+
+    if (options.fit === true) {
+        handle.map.fitBounds(group.getBounds(), { padding: [50, 50] });
+    }
+
+    report.layerId = registerLayer(handle, 'group', group);
+    return report;
+}
+
+// Popup text for an imported GNSS point
+function gnssPopup(point) {
+    const rows = [
+        ['Fix', point.FixType],
+        ['Satellites', point.Satellites],
+        ['HDOP', point.Hdop],
+        ['Accuracy (m)', point.HorizontalAccuracy !== null ? point.HorizontalAccuracy.toFixed(2) : null],
+        ['Time', point.Timestamp]
+    ].filter(([, value]) => value !== null && value !== undefined);
+
+    return `<div><strong>${point.PointNumber}</strong><br/>` +
+        rows.map(([label, value]) => `<strong>${label}:</strong> ${value}`).join('<br/>') + '</div>';
+}
+
+// Import an NMEA or GPX log (detected from the content) and show its tracks as
+// polylines and its waypoints as markers.
+// Options: crs (default UTM 35S), color (track colour, default '#e31a1c'),
+// fit (zoom to the log, default true).
+// Returns the parsed log ({format, points, tracks, waypoints, report}) with
+// layerId set to the map layer (null when nothing could be drawn), or null on error.
+export function addGnssLog(mapId, text, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    let log;
+    try {
+        log = parseGnssLog(text, options);
+    } catch (e) {
+        console.error('Error importing GNSS log:', e);
+        return null;
+    }
+
+    log.layerId = null;
+    const group = L.featureGroup();
+    log.tracks.forEach(track => {
+        group.addLayer(L.polyline(track.latLngs, { color: options.color || '#e31a1c', weight: 3 }).bindPopup(track.name));
+    });
+    log.waypoints.forEach(point => {
+        group.addLayer(L.marker([point.Latitude, point.Longitude]).bindPopup(gnssPopup(point)));
+    });
+
+    if (group.getLayers().length === 0) {
+        return log;
+    }
+
+    group.addTo(handle.map);
+    if (options.fit !== false) {
+        handle.map.fitBounds(group.getBounds(), { padding: [50, 50] });
+    }
+    log.layerId = registerLayer(handle, 'group', group);
+    return log;
+}
+
+// Legend for survey point symbology, shown while its point layer is on the map
+const SymbologyLegend = L.Control.extend({
+    options: {
+        position: 'bottomright'
+    },
+
+    onAdd: function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar symbology-legend');
+        container.style.cssText = 'background: white; padding: 6px 8px; font-size: 12px; line-height: 18px;';
+        container.innerHTML = this.options.html;
+        return container;
+    }
+});
+
+// GeoJSON feature of a symbolised survey point, attached to its marker
+function surveyPointFeature(point) {
+    return {
+        type: 'Feature',
+        id: point.pointNumber,
+        geometry: { type: 'Point', coordinates: [point.latLng[1], point.latLng[0]] },
+        properties: {
+            pointNumber: point.pointNumber,
+            pointType: point.pointType,
+            description: point.description,
+            elevation: point.elevation,
+            horizontalAccuracy: point.horizontalAccuracy,
+            verticalAccuracy: point.verticalAccuracy,
+            accuracyClass: point.accuracyClass
+        }
+    };
+}
+
+// Popup text for a symbolised survey point
+function surveyPointPopup(point) {
+    const rows = [
+        ['Type', point.pointType],
+        ['Description', point.description],
+        ['Elevation', point.elevation !== null ? point.elevation.toFixed(3) : null],
+        ['Horizontal accuracy (m)', point.horizontalAccuracy !== null ? point.horizontalAccuracy.toFixed(3) : null],
+        ['Vertical accuracy (m)', point.verticalAccuracy !== null ? point.verticalAccuracy.toFixed(3) : null],
+        ['Accuracy class', point.accuracyClass || 'Unclassified']
+    ].filter(([, value]) => value !== null && value !== undefined);
+
+    return `<div><strong>${point.pointNumber || 'Point'}</strong><br/>` +
+        rows.map(([label, value]) => `<strong>${label}:</strong> ${value}`).join('<br/>') + '</div>';
+}
+
+// Draw survey points coloured by accuracy class (A to D from the standards table,
+// the worse of horizontal and vertical) with a symbol per PointType: triangle for
+// Control, circle for Boundary, square for Station, diamond for anything else.
+// points: survey point model records or GeoJSON points (object or JSON string).
+// Options: crs (for records, default UTM 35S), accuracyCircles (draw the horizontal
+// accuracy as a circle to ground scale, default false), legend (default true),
+// symbolSize (pixels, default 16), fit (zoom to the points, default true).
+// Returns the layer ID of the points, or null when there is nothing to draw.
+export function addSurveyPoints(mapId, points, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    let symbolPoints;
+    try {
+        symbolPoints = readSymbolPoints(points, options.crs || DEFAULT_CRS);
+    } catch (e) {
+        console.error('Error reading survey points:', e);
+        return null;
+    }
+    if (symbolPoints.length === 0) {
+        console.warn('No survey points to draw');
+        return null;
+    }
+
+    const size = options.symbolSize || 16;
+    const group = L.featureGroup();
+    symbolPoints.forEach(point => {
+        if (options.accuracyCircles === true && point.horizontalAccuracy) {
+            group.addLayer(L.circle(point.latLng, {
+                radius: point.horizontalAccuracy,
+                color: point.color,
+                weight: 1,
+                fillOpacity: 0.15,
+                interactive: false
+            }));
+        }
+        const icon = L.divIcon({
+            className: 'survey-point-symbol',
+            html: pointSymbolSvg(point.pointType, point.color, size),
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2],
+            popupAnchor: [0, -size / 2]
+        });
+        const marker = L.marker(point.latLng, { icon: icon, title: point.pointNumber || '' })
+            .bindPopup(surveyPointPopup(point));
+        marker.feature = surveyPointFeature(point);
+        group.addLayer(marker);
+    });
+
+    if (options.legend !== false) {
+        const legend = new SymbologyLegend({ html: legendHtml({ accuracyCircles: options.accuracyCircles === true }) });
+        group.on('add', () => legend.addTo(handle.map));
+        group.on('remove', () => legend.remove());
+    }
+
+    group.addTo(handle.map);
+    if (options.fit !== false) {
+        handle.map.fitBounds(group.getBounds(), { padding: [50, 50], maxZoom: 19 });
+    }
+    return registerLayer(handle, 'group', group);
+}
+
+// Tooltip text for a cluster: its point count by PointType
+function clusterTooltip(item) {
+    const rows = Object.keys(item.types)
+        .sort((a, b) => item.types[b] - item.types[a])
+        .map(type => `${type}: ${item.types[type]}`);
+    return `<strong>${item.count} points</strong><br/>${rows.join('<br/>')}`;
+}
+
+// Icon for a cluster, sized by its point count
+function clusterIcon(item) {
+    const size = item.count >= 1000 ? 52 : item.count >= 100 ? 44 : 36;
+    return L.divIcon({
+        className: 'survey-point-cluster',
+        html: clusterSymbolSvg(item.count, item.types, size),
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    });
+}
+
+// Draw a large set of survey points in one call, grouped into clusters by zoom.
+// Clusters show their point count with a ring broken down by PointType; clicking
+// one zooms in until it splits. Single points use the accuracy-class symbols of
+// addSurveyPoints. Only the clusters and points in view are on the map.
+// points: survey point model records or GeoJSON points (object or JSON string).
+// Options: crs (for records, default UTM 35S), radius (cluster radius in pixels,
+// default 60), maxClusterZoom (highest zoom that clusters, default 17),
+// symbolSize (pixels, default 16), fit (zoom to the points, default true).
+// Returns the layer ID of the clustered points, or null when there is nothing to draw.
+export function addClusteredPoints(mapId, points, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    let symbolPoints;
+    try {
+        symbolPoints = readSymbolPoints(points, options.crs || DEFAULT_CRS);
+    } catch (e) {
+        console.error('Error reading survey points:', e);
+        return null;
+    }
+    if (symbolPoints.length === 0) {
+        console.warn('No survey points to draw');
+        return null;
+    }
+
+    const map = handle.map;
+    const index = createClusterIndex(
+        symbolPoints.map(point => ({ lat: point.latLng[0], lng: point.latLng[1], pointType: point.pointType, symbol: point })),
+        { radius: options.radius, maxZoom: options.maxClusterZoom });
+    const size = options.symbolSize || 16;
+    const group = L.featureGroup();
+
+    const showPoints = (latLng, clusterPoints) => {
+        const list = clusterPoints.slice(0, 20).map(p => p.symbol.pointNumber || 'Point').join(', ');
+        const more = clusterPoints.length > 20 ? ` and ${clusterPoints.length - 20} more` : '';
+        L.popup().setLatLng(latLng).setContent(`<strong>${clusterPoints.length} points at this position</strong><br/>${list}${more}`).openOn(map);
+    };
+
+    const render = () => {
+        // Pad the view so clusters do not pop in at the edges while panning
+        const bounds = map.getBounds().pad(0.25);
+        const items = getClusters(index, [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()], map.getZoom());
+        group.clearLayers();
+        items.forEach(item => {
+            if (!item.cluster) {
+                const point = item.point.symbol;
+                const icon = L.divIcon({
+                    className: 'survey-point-symbol',
+                    html: pointSymbolSvg(point.pointType, point.color, size),
+                    iconSize: [size, size],
+                    iconAnchor: [size / 2, size / 2],
+                    popupAnchor: [0, -size / 2]
+                });
+                group.addLayer(L.marker(point.latLng, { icon: icon, title: point.pointNumber || '' })
+                    .bindPopup(surveyPointPopup(point)));
+                return;
+            }
+
+            const marker = L.marker(item.latLng, { icon: clusterIcon(item) })
+                .bindTooltip(clusterTooltip(item), { direction: 'top' });
+            marker.on('click', () => {
+                // Points that share a position never split, so list them instead
+                const clusterPoints = getClusterPoints(index, item.id);
+                const first = clusterPoints[0];
+                if (clusterPoints.every(p => p.lat === first.lat && p.lng === first.lng)) {
+                    showPoints(item.latLng, clusterPoints);
+                } else {
+                    map.setView(item.latLng, Math.min(item.expansionZoom, map.getMaxZoom()));
+                }
+            });
+            group.addLayer(marker);
+        });
+    };
+
+    group.on('add', () => {
+        map.on('moveend', render);
+        render();
+    });
+    group.on('remove', () => map.off('moveend', render));
+
+    if (options.fit !== false) {
+        const latLngs = symbolPoints.map(point => point.latLng);
+        map.fitBounds(L.latLngBounds(latLngs), { padding: [50, 50], maxZoom: 19 });
+    }
+    group.addTo(map);
+    const layerId = registerLayer(handle, 'group', group);
+    // Only the points in view are on the map, so the spatial index takes them all from here
+    handle.layers.get(layerId).features = () => symbolPoints.map(surveyPointFeature);
+    return layerId;
+}
+
+// Initialize drawing tools
+export function initDrawTools(mapId, lineColor = '#3388ff', fillColor = '#3388ff', lineWeight = 2) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    // Load Leaflet.draw if not already loaded
+    if (typeof L.Control.Draw === 'undefined') {
+        console.error('Leaflet.draw library not loaded');
+        return;
+    }
+
+    const map = handle.map;
+    resetDrawTools(handle);
+
+    handle.drawnItems = new L.FeatureGroup();
+    map.addLayer(handle.drawnItems);
+
+    handle.drawControl = new L.Control.Draw({
+        position: 'topright',
+        draw: {
+            polyline: {
+                shapeOptions: {
+                    color: lineColor,
+                    weight: lineWeight
+                }
+            },
+            polygon: {
+                shapeOptions: {
+                    color: lineColor,
+                    fillColor: fillColor,
+                    weight: lineWeight
+                }
+            },
+            circle: {
+                shapeOptions: {
+                    color: lineColor,
+                    fillColor: fillColor,
+                    weight: lineWeight
+                }
+            },
+            rectangle: {
+                shapeOptions: {
+                    color: lineColor,
+                    fillColor: fillColor,
+                    weight: lineWeight
+                }
+            },
+            marker: true
+        },
+        edit: {
+            featureGroup: handle.drawnItems
+        }
+    });
+
+    map.addControl(handle.drawControl);
+
+    // Event handlers for drawing
+    attachDrawHandlers(handle);
+}
+
+// Initialize drawing tools with advanced options
+export function initDrawToolsAdvanced(mapId, options) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    const map = handle.map;
+    resetDrawTools(handle);
+
+    handle.drawnItems = new L.FeatureGroup();
+    map.addLayer(handle.drawnItems);
+
+    const drawOptions = {
+        position: options.position || 'topright',
+        draw: {
+            polyline: options.enablePolyline ? {
+                shapeOptions: {
+                    color: options.lineColor,
+                    weight: options.lineWeight
+                }
+            } : false,
+            polygon: options.enablePolygon ? {
+                shapeOptions: {
+                    color: options.lineColor,
+                    fillColor: options.fillColor,
+                    fillOpacity: options.fillOpacity,
+                    weight: options.lineWeight
+                }
+            } : false,
+            circle: options.enableCircle ? {
+                shapeOptions: {
+                    color: options.lineColor,
+                    fillColor: options.fillColor,
+                    fillOpacity: options.fillOpacity,
+                    weight: options.lineWeight
+                }
+            } : false,
+            rectangle: options.enableRectangle ? {
+                shapeOptions: {
+                    color: options.lineColor,
+                    fillColor: options.fillColor,
+                    fillOpacity: options.fillOpacity,
+                    weight: options.lineWeight
+                }
+            } : false,
+            marker: options.enableMarker
+        },
+        edit: {
+            featureGroup: handle.drawnItems
+        }
+    };
+
+    handle.drawControl = new L.Control.Draw(drawOptions);
+    map.addControl(handle.drawControl);
+
+    attachDrawHandlers(handle, options.showMeasurements !== false);
+}
+
+// Give a drawn layer a stable ID, exported as the GeoJSON feature id
+function trackDrawnLayer(layer) {
+    layer.feature = layer.feature || { type: 'Feature', properties: {} };
+    if (layer.feature.id === undefined || layer.feature.id === null) {
+        layer.feature.id = `drawn-${nextLayerId++}`;
+    }
+    return layer.feature.id;
+}
+
+// Measure a layer, or return null if it has no area/length or projection fails
+function tryMeasureLayer(layer) {
+    try {
+        return measureLayer(layer);
+    } catch (e) {
+        console.warn('Error measuring layer:', e);
+        return null;
+    }
+}
+
+// Drawn layers as a GeoJSON FeatureCollection string, with area, perimeter and
+// length (geodesic and grid) as feature properties
+function drawnToGeoJson(layers) {
+    const features = layers.map(layer => {
+        const feature = layer.toGeoJSON();
+        const measurement = tryMeasureLayer(layer);
+        if (measurement) {
+            feature.properties = { ...feature.properties, ...measurement };
+        }
+        return feature;
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features: features });
+}
+
+// Live measurement box shown while a shape is drawn or edited
+const MeasurementReadout = L.Control.extend({
+    options: {
+        position: 'bottomleft'
+    },
+
+    onAdd: function () {
+        this._container = L.DomUtil.create('div', 'leaflet-bar measurement-readout');
+        this._container.style.cssText = 'background: white; padding: 4px 8px; font-size: 12px; display: none;';
+        return this._container;
+    },
+
+    show: function (measurement) {
+        if (!measurement) {
+            this.hide();
+            return;
+        }
+        this._container.innerHTML = formatMeasurement(measurement);
+        this._container.style.display = 'block';
+    },
+
+    hide: function () {
+        this._container.style.display = 'none';
+    }
+});
+
+// Measure the shape currently being sketched, including the cursor position
+function measureSketch(handle, cursor) {
+    const toolbar = handle.drawControl && handle.drawControl._toolbars.draw;
+    const handler = toolbar && toolbar._activeMode ? toolbar._activeMode.handler : null;
+    if (!handler) return null;
+
+    // Rectangles (and circles, which measureLayer ignores) keep a live shape
+    if (handler._shape) {
+        return tryMeasureLayer(handler._shape);
+    }
+
+    // Polygons and polylines keep their vertices as markers
+    if (handler._markers) {
+        const latLngs = handler._markers.map(m => m.getLatLng());
+        if (cursor) {
+            latLngs.push(cursor);
+        }
+        return tryMeasureLayer(handle.activeDrawType === 'polygon' ? L.polygon(latLngs) : L.polyline(latLngs));
+    }
+    return null;
+}
+
+// Wire Leaflet.draw events of one map to its drawn items and the event bridge
+function attachDrawHandlers(handle, showMeasurements = true) {
+    const toGeoJson = layers => drawnToGeoJson(layers.getLayers());
+    const idsOf = layers => layers.getLayers().map(l => l.feature ? l.feature.id : null);
+
+    handle.drawHandlers = {
+        [L.Draw.Event.CREATED]: function (e) {
+            const layer = e.layer;
+            if (handle.snapper && layer instanceof L.Marker) {
+                const snapped = handle.snapper.snap(layer.getLatLng());
+                if (snapped) {
+                    layer.setLatLng(snapped.latlng);
+                }
+            }
+            trackDrawnLayer(layer);
+            handle.drawnItems.addLayer(layer);
+            handle.drawHistory.recordCreate(layer);
+            emitMapEvent(handle, 'drawCreated', {
+                layerType: e.layerType,
+                ids: [layer.feature.id],
+                geoJson: toGeoJson(L.featureGroup([layer]))
+            });
+            emitHistoryChange(handle);
+        },
+        [L.Draw.Event.EDITED]: function (e) {
+            handle.spatialIndexes.delete(DRAWN_LAYER_ID);
+            handle.drawHistory.commitSession();
+            emitMapEvent(handle, 'drawEdited', { ids: idsOf(e.layers), geoJson: toGeoJson(e.layers) });
+            emitHistoryChange(handle);
+        },
+        [L.Draw.Event.DELETED]: function (e) {
+            handle.drawHistory.recordDelete(e.layers.getLayers());
+            handle.drawHistory.commitSession();
+            emitMapEvent(handle, 'drawDeleted', { ids: idsOf(e.layers), geoJson: toGeoJson(e.layers) });
+            emitHistoryChange(handle);
+        }
+    };
+
+    if (showMeasurements) {
+        const readout = new MeasurementReadout().addTo(handle.map);
+        handle.measurementReadout = readout;
+
+        Object.assign(handle.drawHandlers, {
+            'draw:drawstart': e => { handle.activeDrawType = e.layerType; },
+            'draw:drawstop': () => { handle.activeDrawType = null; readout.hide(); },
+            'draw:drawvertex': () => readout.show(measureSketch(handle, null)),
+            'mousemove': e => {
+                if (handle.activeDrawType) {
+                    readout.show(measureSketch(handle, e.latlng));
+                }
+            },
+            'draw:editvertex': e => readout.show(tryMeasureLayer(e.poly)),
+            'draw:editmove': e => readout.show(tryMeasureLayer(e.layer)),
+            'draw:editresize': e => readout.show(tryMeasureLayer(e.layer)),
+            'draw:editstop': () => readout.hide()
+        });
+    }
+    handle.map.on(handle.drawHandlers);
+
+    handle.snapHandlers = createSnapHandlers(handle);
+    handle.map.on(handle.snapHandlers);
+
+    attachDrawHistory(handle);
+
+    attachFeatureEvents(handle, handle.drawnItems, layer => layer.feature ? layer.feature.id : null);
+    handle.drawnItems.on('layeradd layerremove', () => handle.spatialIndexes.delete(DRAWN_LAYER_ID));
+}
+
+// Leaflet.draw type name of a drawn layer
+function drawnLayerType(layer) {
+    if (layer instanceof L.Rectangle) return 'rectangle';
+    if (layer instanceof L.Polygon) return 'polygon';
+    if (layer instanceof L.Polyline) return 'polyline';
+    if (layer instanceof L.Circle) return 'circle';
+    if (layer instanceof L.CircleMarker) return 'circlemarker';
+    return 'marker';
+}
+
+function emitHistoryChange(handle) {
+    if (handle.drawHistory) {
+        emitMapEvent(handle, 'historyChange', handle.drawHistory.state());
+    }
+}
+
+// Tell .NET what an undo or redo did, as the draw events it reverses
+function emitHistoryResult(handle, result, direction) {
+    handle.spatialIndexes.delete(DRAWN_LAYER_ID);
+    const ids = result.layers.map(trackDrawnLayer);
+    const payload = { ids: ids, geoJson: drawnToGeoJson(result.layers), history: direction };
+    if (result.action === 'created') {
+        emitMapEvent(handle, 'drawCreated', { layerType: result.layers.length === 1 ? drawnLayerType(result.layers[0]) : null, ...payload });
+    } else {
+        emitMapEvent(handle, result.action === 'deleted' ? 'drawDeleted' : 'drawEdited', payload);
+    }
+    emitHistoryChange(handle);
+}
+
+// Undo/redo history of the drawn items: creates, deletes, vertex edits, moves and
+// resizes, with Ctrl+Z and Ctrl+Y (or Ctrl+Shift+Z) while the map has focus
+function attachDrawHistory(handle) {
+    const history = createDrawHistory(handle.drawnItems);
+    handle.drawHistory = history;
+
+    const recordEdit = layer => {
+        history.recordEdit(layer);
+        emitHistoryChange(handle);
+    };
+    // Shapes fire 'edit' (not passed on to the group) once a vertex or shape drag ends
+    const onLayerEdit = e => recordEdit(e.target);
+    const startSession = () => { history.startSession(); emitHistoryChange(handle); };
+    const endSession = () => { history.cancelSession(); emitHistoryChange(handle); };
+
+    handle.historyHandlers = {
+        [L.Draw.Event.EDITSTART]: () => {
+            handle.drawnItems.eachLayer(layer => layer.on('edit', onLayerEdit));
+            startSession();
+        },
+        [L.Draw.Event.DELETESTART]: startSession,
+        // A save has already committed the session, so these only act on cancel
+        [L.Draw.Event.EDITSTOP]: () => {
+            handle.drawnItems.eachLayer(layer => layer.off('edit', onLayerEdit));
+            endSession();
+        },
+        [L.Draw.Event.DELETESTOP]: endSession,
+        // Markers report the end of a drag only here (shapes also fire it on every move)
+        [L.Draw.Event.EDITMOVE]: e => {
+            if (e.layer instanceof L.Marker) {
+                recordEdit(e.layer);
+            }
+        }
+    };
+    handle.map.on(handle.historyHandlers);
+
+    handle.historyKeyHandler = e => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const target = e.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+        const key = e.key ? e.key.toLowerCase() : '';
+        const direction = key === 'z' && !e.shiftKey ? 'undo'
+            : key === 'y' || (key === 'z' && e.shiftKey) ? 'redo' : null;
+        if (!direction) return;
+
+        L.DomEvent.preventDefault(e);
+        stepDrawHistory(handle.id, direction);
+    };
+    L.DomEvent.on(handle.map.getContainer(), 'keydown', handle.historyKeyHandler);
+}
+
+// Remove the draw control, drawn items and draw listeners of one map
+function resetDrawTools(handle) {
+    const map = handle.map;
+    if (handle.drawControl) {
+        map.removeControl(handle.drawControl);
+        handle.drawControl = null;
+    }
+    if (handle.drawnItems) {
+        map.removeLayer(handle.drawnItems);
+        handle.drawnItems = null;
+        handle.spatialIndexes.delete(DRAWN_LAYER_ID);
+    }
+    if (handle.drawHandlers) {
+        map.off(handle.drawHandlers);
+        handle.drawHandlers = null;
+    }
+    if (handle.snapHandlers) {
+        map.off(handle.snapHandlers);
+        handle.snapHandlers = null;
+    }
+    if (handle.historyHandlers) {
+        map.off(handle.historyHandlers);
+        handle.historyHandlers = null;
+    }
+    if (handle.historyKeyHandler) {
+        L.DomEvent.off(map.getContainer(), 'keydown', handle.historyKeyHandler);
+        handle.historyKeyHandler = null;
+    }
+    handle.drawHistory = null;
+    if (handle.measurementReadout) {
+        map.removeControl(handle.measurementReadout);
+        handle.measurementReadout = null;
+    }
+    handle.activeDrawType = null;
+}
+
+// Make a Leaflet.draw handler place its vertices (or rectangle/circle corners)
+// on snap targets. Handlers are reused between draws, so each is patched once.
+function patchDrawHandlerForSnapping(handle, handler) {
+    if (handler._snapPatched) return;
+    handler._snapPatched = true;
+
+    const snapLatLng = latlng => {
+        const snapped = handle.snapper ? handle.snapper.snap(latlng) : null;
+        return snapped ? snapped.latlng : latlng;
+    };
+
+    if (handler.addVertex) {
+        const addVertex = handler.addVertex;
+        handler.addVertex = function (latlng) {
+            addVertex.call(this, snapLatLng(latlng));
+        };
+    }
+
+    if (handler._drawShape) {
+        const drawShape = handler._drawShape;
+        handler._drawShape = function (latlng) {
+            if (!this._shape) {
+                this._startLatLng = snapLatLng(this._startLatLng);
+            }
+            drawShape.call(this, snapLatLng(latlng));
+        };
+    }
+}
+
+// Draw and edit mode hooks for snapping; inactive until enableSnapping is called
+function createSnapHandlers(handle) {
+    const map = handle.map;
+    let editing = false;
+
+    // Dragged markers fire 'move' before 'drag', so moving the marker here makes
+    // Leaflet.draw's own drag handler pick up the snapped position
+    function onMarkerMove(e) {
+        const marker = e.target;
+        const draggable = marker.dragging && marker.dragging._draggable;
+        if (!handle.snapper || !draggable || !draggable._moving) return;
+
+        const snapped = handle.snapper.snap(e.latlng, { layer: marker, vertex: marker._origLatLng });
+        handle.snapper.showIndicator(snapped);
+        if (snapped) {
+            marker._latlng = snapped.latlng;
+            e.latlng = snapped.latlng;
+            marker.update();
+        }
+    }
+
+    function eachDrawnMarker(callback) {
+        if (!handle.drawnItems) return;
+        handle.drawnItems.eachLayer(layer => {
+            if (layer instanceof L.Marker) {
+                callback(layer);
+            }
+        });
+    }
+
+    return {
+        'draw:drawstart': function () {
+            const toolbar = handle.drawControl && handle.drawControl._toolbars.draw;
+            if (toolbar && toolbar._activeMode) {
+                patchDrawHandlerForSnapping(handle, toolbar._activeMode.handler);
+            }
+        },
+        'draw:drawstop': function () {
+            if (handle.snapper) {
+                handle.snapper.showIndicator(null);
+            }
+        },
+        'mousemove': function (e) {
+            if (handle.snapper && handle.activeDrawType) {
+                handle.snapper.showIndicator(handle.snapper.snap(e.latlng));
+            }
+        },
+        'draw:editstart': function () {
+            editing = true;
+            eachDrawnMarker(marker => marker.on('move', onMarkerMove));
+        },
+        'draw:editstop': function () {
+            editing = false;
+            eachDrawnMarker(marker => marker.off('move', onMarkerMove));
+            if (handle.snapper) {
+                handle.snapper.showIndicator(null);
+            }
+        },
+        // Vertex markers of the shapes being edited are created after editstart
+        'layeradd': function (e) {
+            if (editing && e.layer instanceof L.Marker && e.layer.options.draggable) {
+                e.layer.on('move', onMarkerMove);
+            }
+        }
+    };
+}
+
+// Snap new and edited vertices to existing beacons, parcels and drawn items.
+// Options: tolerance (pixels, default 12), vertices, edges (both default true),
+// layerIds (wrapper layer IDs to snap to; all layers when omitted),
+// drawnItems (snap to other drawn shapes, default true), indicatorColor.
+export function enableSnapping(mapId, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    if (handle.snapper) {
+        handle.snapper.remove();
+    }
+
+    const layerIds = options.layerIds || null;
+    const getLayers = () => {
+        const layers = [];
+        handle.layers.forEach((entry, layerId) => {
+            if (!layerIds || layerIds.includes(layerId)) {
+                layers.push(entry.layer);
+            }
+        });
+        if (options.drawnItems !== false && handle.drawnItems) {
+            layers.push(handle.drawnItems);
+        }
+        return layers;
+    };
+
+    handle.snapper = createSnapper(handle.map, getLayers, options);
+    return true;
+}
+
+// Turn snapping off
+export function disableSnapping(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.snapper) {
+        handle.snapper.remove();
+        handle.snapper = null;
+    }
+}
+
+// Update drawing tools style. Only the draw control is rebuilt with the new shape
+// options; drawn items and their undo history stay as they are.
+export function updateDrawToolsStyle(mapId, lineColor, fillColor, lineWeight, fillOpacity = 0.2) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    if (!handle.drawControl) {
+        initDrawTools(mapId, lineColor, fillColor, lineWeight);
+        return;
+    }
+
+    const previous = handle.drawControl;
+    const draw = {};
+    Object.keys(previous.options.draw).forEach(type => {
+        const shape = previous.options.draw[type];
+        if (!shape || !shape.shapeOptions) {
+            draw[type] = shape;
+            return;
+        }
+        const shapeOptions = { ...shape.shapeOptions, color: lineColor, weight: lineWeight };
+        if (type !== 'polyline') {
+            shapeOptions.fillColor = fillColor;
+            shapeOptions.fillOpacity = fillOpacity;
+        }
+        draw[type] = { ...shape, shapeOptions: shapeOptions };
+    });
+
+    // Keep the control hidden if drawing was disabled
+    const isShown = !!previous._map;
+    if (isShown) {
+        handle.map.removeControl(previous);
+    }
+    handle.drawControl = new L.Control.Draw({
+        position: previous.options.position,
+        draw: draw,
+        edit: previous.options.edit
+    });
+    if (isShown) {
+        handle.map.addControl(handle.drawControl);
+    }
+}
+
+// Enable drawing
+export function enableDrawing(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.drawControl) {
+        handle.map.addControl(handle.drawControl);
+    }
+}
+
+// Disable drawing
+export function disableDrawing(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.drawControl) {
+        handle.map.removeControl(handle.drawControl);
+    }
+}
+
+// Clear all drawn items
+export function clearAllDrawn(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.drawnItems) {
+        handle.drawnItems.clearLayers();
+        // The cleared layers are gone for good, so nothing before this can be undone
+        handle.drawHistory.clear();
+        emitHistoryChange(handle);
+    }
+}
+
+// Get drawn items as GeoJSON, with measurements as feature properties
+// (areaSqm, areaHa, perimeterM, gridAreaSqm, gridAreaHa, gridPerimeterM for
+// polygons; lengthM, gridLengthM for lines)
+export function getDrawnGeoJson(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.drawnItems) return null;
+    return drawnToGeoJson(handle.drawnItems.getLayers());
+}
+
+// Add drawn items from GeoJSON
+export function addDrawnFromGeoJson(mapId, geoJson) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.drawnItems) return;
+
+    const layer = L.geoJSON(geoJson);
+    layer.eachLayer(function (l) {
+        trackDrawnLayer(l);
+        handle.drawnItems.addLayer(l);
+    });
+}
+
+// Undo the last drawing step (create, delete, vertex edit, move or resize).
+// Returns the history state, or null without drawing tools.
+export function undoDrawing(mapId) {
+    return stepDrawHistory(mapId, 'undo');
+}
+
+// Redo the last undone drawing step.
+// Returns the history state, or null without drawing tools.
+export function redoDrawing(mapId) {
+    return stepDrawHistory(mapId, 'redo');
+}
+
+function stepDrawHistory(mapId, direction) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.drawHistory) return null;
+
+    const result = direction === 'undo' ? handle.drawHistory.undo() : handle.drawHistory.redo();
+    if (result) {
+        emitHistoryResult(handle, result, direction);
+    }
+    return handle.drawHistory.state();
+}
+
+// Undo/redo state for a toolbar: {canUndo, canRedo, undoCount, redoCount, inSession}
+// (inSession while an edit or delete is in progress). Also sent as 'historyChange'.
+export function getDrawHistoryState(mapId) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.drawHistory) {
+        return { canUndo: false, canRedo: false, undoCount: 0, redoCount: 0, inSession: false };
+    }
+    return handle.drawHistory.state();
+}
+
+// Download GeoJSON (object or JSON string) as a zipped shapefile set, fileName
+// without extension. Options: crs ('EPSG:32735' by default or 'EPSG:4326'), prj.
+// Returns {fileName, files, featureCount, skippedCount}, or null on error.
+export function exportShapefile(geoJson, fileName = 'export', options = {}) {
+    try {
+        const result = createShapefile(geoJson, fileName, options);
+        downloadFile(result.zip, `${fileName}.zip`, 'application/zip');
+        return {
+            fileName: `${fileName}.zip`,
+            files: result.files,
+            featureCount: result.featureCount,
+            skippedCount: result.skippedCount
+        };
+    } catch (e) {
+        console.error('Error exporting shapefile:', e);
+        return null;
+    }
+}
+
+// Download the drawn items, with their measurements, as a shapefile
+export function exportDrawnShapefile(mapId, fileName = 'drawn', options = {}) {
+    const geoJson = getDrawnGeoJson(mapId);
+    return geoJson ? exportShapefile(geoJson, fileName, options) : null;
+}
+
+// Download one layer added through the wrapper (e.g. GeoJSON parcels) as a shapefile
+export function exportLayerShapefile(mapId, layerId, fileName = 'parcels', options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return null;
+
+    return exportShapefile(entry.layer.toGeoJSON(), fileName, options);
+}
+
+// Download a survey drawing as DXF (R12, UTM 35S unless options.crs is set).
+// data: {parcels, beacons, controlPoints}, each GeoJSON (object or JSON string),
+// survey point records for the point sets, or the ID of a layer on mapId.
+// Options: crs, textHeight, symbolSize, labels (bearing/distance, default true).
+// Returns {fileName, size}, or null on error.
+export function exportDxf(mapId, data, fileName = 'survey', options = {}) {
+    try {
+        const handle = mapId ? getHandle(mapId) : null;
+        const dxf = createDxf({
+            parcels: layerOrGeoJson(handle, data.parcels),
+            beacons: layerOrGeoJson(handle, data.beacons),
+            controlPoints: layerOrGeoJson(handle, data.controlPoints)
+        }, options);
+        downloadFile(dxf, `${fileName}.dxf`, 'application/dxf');
+        return { fileName: `${fileName}.dxf`, size: dxf.length };
+    } catch (e) {
+        console.error('Error exporting DXF:', e);
+        return null;
+    }
+}
+
+// Download the drawn items as DXF: polygons and lines as parcels, markers as
+// beacons. Control points can be passed in options.controlPoints.
+export function exportDrawnDxf(mapId, fileName = 'drawn', options = {}) {
+    const geoJson = getDrawnGeoJson(mapId);
+    if (!geoJson) return null;
+
+    const features = JSON.parse(geoJson).features;
+    const isPoint = f => f.geometry && (f.geometry.type === 'Point' || f.geometry.type === 'MultiPoint');
+    return exportDxf(mapId, {
+        parcels: { type: 'FeatureCollection', features: features.filter(f => !isPoint(f)) },
+        beacons: { type: 'FeatureCollection', features: features.filter(isPoint) },
+        controlPoints: options.controlPoints
+    }, fileName, options);
+}
+
+// Feature layers of a layer or group, so each feature keeps its own style
+// (a GeoJSON multi-geometry is a group but one feature)
+function featureLayers(layer) {
+    return layer.getLayers && !layer.feature ? layer.getLayers().flatMap(featureLayers) : [layer];
+}
+
+// Style options for KML: path options, or the image of a custom marker icon
+function kmlStyle(layer) {
+    if (layer instanceof L.Marker) {
+        const icon = layer.options.icon;
+        if (!icon || icon instanceof L.Icon.Default || !icon.options.iconUrl) return null;
+        return { iconUrl: new URL(icon.options.iconUrl, document.baseURI).href };
+    }
+    return layer.options;
+}
+
+// Features of a wrapper layer with the style each is drawn in. A canvas parcel
+// layer holds its parcels as GeoJSON rather than as feature layers.
+function styledFeatures(entry) {
+    if (entry.kind === 'canvasParcels') {
+        const features = entry.layer.toGeoJSON().features;
+        return { features: features, styles: features.map(feature => entry.layer.featureStyle(feature)) };
+    }
+    const layers = featureLayers(entry.layer);
+    return { features: layers.map(layer => layer.toGeoJSON()), styles: layers.map(kmlStyle) };
+}
+
+// Download features with their styles as KML, or KMZ with options.kmz
+function downloadKml(features, styles, fileName, options) {
+    try {
+        const result = createKml({ type: 'FeatureCollection', features: features }, {
+            name: options.name || fileName,
+            styles: styles
+        });
+        const name = `${fileName}.${options.kmz ? 'kmz' : 'kml'}`;
+        if (options.kmz) {
+            downloadFile(createKmz(result.kml), name, 'application/vnd.google-earth.kmz');
+        } else {
+            downloadFile(result.kml, name, 'application/vnd.google-earth.kml+xml');
+        }
+        return { fileName: name, featureCount: result.featureCount, skippedCount: result.skippedCount };
+    } catch (e) {
+        console.error('Error exporting KML:', e);
+        return null;
+    }
+}
+
+// Download the drawn items, with their measurements, as KML.
+// Options: kmz (zip it, default false), name (document name).
+// Returns {fileName, featureCount, skippedCount}, or null on error.
+export function exportDrawnKml(mapId, fileName = 'drawn', options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle || !handle.drawnItems) return null;
+
+    const layers = handle.drawnItems.getLayers();
+    const features = JSON.parse(drawnToGeoJson(layers)).features;
+    return downloadKml(features, layers.map(kmlStyle), fileName, options);
+}
+
+// Download one layer added through the wrapper as KML, styled as on the map
+export function exportLayerKml(mapId, layerId, fileName = 'parcels', options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    const entry = getLayerEntry(handle, layerId);
+    if (!entry) return null;
+
+    const { features, styles } = styledFeatures(entry);
+    return downloadKml(features, styles, fileName, options);
+}
+
+function planSummary(plan) {
+    return {
+        paper: plan.paper,
+        orientation: plan.orientation,
+        scale: plan.scale,
+        gridInterval: plan.gridInterval,
+        areaSqm: plan.areaSqm,
+        beacons: plan.beacons,
+        warnings: plan.warnings
+    };
+}
+
+// Print a survey plan sheet of a parcel (wrapper layer ID or GeoJSON) at scale.
+// The sheet is printed from a hidden frame, so "Save as PDF" in the print dialog
+// gives a true-scale PDF. options.context may also be a layer ID; see
+// createPlanLayout in planLayout.js for the other options.
+// Returns {paper, orientation, scale, gridInterval, areaSqm, beacons, warnings},
+// or null on error.
+export function printSurveyPlan(mapId, parcel, options = {}) {
+    try {
+        const handle = mapId ? getHandle(mapId) : null;
+        const plan = createPlanLayout(layerOrGeoJson(handle, parcel), {
+            ...options,
+            context: layerOrGeoJson(handle, options.context)
+        });
+
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+        frame.onload = function () {
+            const view = frame.contentWindow;
+            if ('onafterprint' in view) {
+                view.addEventListener('afterprint', () => frame.remove());
+            } else {
+                // Without afterprint, rely on print blocking until the dialog closes
+                setTimeout(() => frame.remove(), 1000);
+            }
+            view.focus();
+            view.print();
+        };
+        frame.srcdoc = plan.html;
+        document.body.appendChild(frame);
+
+        return planSummary(plan);
+    } catch (e) {
+        console.error('Error printing survey plan:', e);
+        return null;
+    }
+}
+
+// Download the survey plan sheet as a stand-alone HTML page (default) or SVG
+// (options.format 'svg'), which prints at true scale without the app
+export function exportSurveyPlan(mapId, parcel, fileName = 'survey-plan', options = {}) {
+    try {
+        const handle = mapId ? getHandle(mapId) : null;
+        const plan = createPlanLayout(layerOrGeoJson(handle, parcel), {
+            ...options,
+            context: layerOrGeoJson(handle, options.context)
+        });
+
+        const svg = options.format === 'svg';
+        const name = `${fileName}.${svg ? 'svg' : 'html'}`;
+        downloadFile(svg ? plan.svg : plan.html, name, svg ? 'image/svg+xml' : 'text/html');
+        return { fileName: name, ...planSummary(plan) };
+    } catch (e) {
+        console.error('Error exporting survey plan:', e);
+        return null;
+    }
+}
+
+// GeoJSON features of a layer for the spatial index. Groups are walked down to
+// their shapes so circles keep their radius (as properties.radius); labels and
+// other non-interactive decorations are left out.
+function indexFeatures(layer, features = []) {
+    if (layer instanceof L.LayerGroup) {
+        layer.eachLayer(child => indexFeatures(child, features));
+        return features;
+    }
+    if ((layer.options && layer.options.interactive === false) || typeof layer.toGeoJSON !== 'function') {
+        return features;
+    }
+
+    const geoJson = layer.toGeoJSON();
+    if (geoJson.type === 'FeatureCollection') {
+        features.push(...geoJson.features);
+    } else {
+        if (layer instanceof L.Circle) {
+            geoJson.properties = { ...geoJson.properties, radius: layer.getRadius() };
+        }
+        features.push(geoJson);
+    }
+    return features;
+}
+
+// Spatial index of a registered layer (or the drawn items), built on first use
+function layerIndex(handle, layerId) {
+    let index = handle.spatialIndexes.get(layerId);
+    if (index) return index;
+
+    let features;
+    if (layerId === DRAWN_LAYER_ID) {
+        features = handle.drawnItems ? indexFeatures(handle.drawnItems) : [];
+    } else {
+        const entry = getLayerEntry(handle, layerId);
+        if (!entry) return null;
+        features = entry.features ? entry.features() : indexFeatures(entry.layer);
+    }
+    index = createFeatureIndex(features);
+    handle.spatialIndexes.set(layerId, index);
+    return index;
+}
+
+// Run a query over the indexes of the chosen layers (default every layer and the
+// drawn items) and flatten the hits for .NET
+function spatialQuery(mapId, options, query) {
+    const handle = getHandle(mapId);
+    if (!handle) return null;
+
+    const layerIds = options.layerIds ||
+        [...handle.layers.keys(), ...(handle.drawnItems ? [DRAWN_LAYER_ID] : [])];
+    try {
+        const results = [];
+        layerIds.forEach(layerId => {
+            const index = layerIndex(handle, layerId);
+            if (!index) return;
+            query(index).forEach(hit => {
+                const result = {
+                    layerId,
+                    featureId: hit.feature.id !== undefined ? hit.feature.id : null,
+                    geometryType: hit.feature.geometry.type,
+                    properties: hit.feature.properties || {}
+                };
+                if (hit.distance !== undefined) {
+                    result.distance = hit.distance;
+                }
+                results.push(result);
+            });
+        });
+        return results;
+    } catch (e) {
+        console.error('Error running spatial query:', e);
+        return null;
+    }
+}
+
+// Spatial queries over the layers the wrapper manages (each kept in an R-tree,
+// rebuilt when the layer changes) and the drawn items (layer ID 'drawn').
+// Each returns [{layerId, featureId, geometryType, properties}] (plus distance in
+// metres for the distance queries), or null on error.
+// Options: layerIds (layers to search, default all).
+
+// Polygons and circles that contain a point
+export function queryFeaturesAtPoint(mapId, lat, lng, options = {}) {
+    return spatialQuery(mapId, options, index => featuresAtPoint(index, lat, lng));
+}
+
+// Features that intersect a box
+export function queryFeaturesInBounds(mapId, south, west, north, east, options = {}) {
+    return spatialQuery(mapId, options, index => featuresInBounds(index, [[south, west], [north, east]]));
+}
+
+// Features within a distance in metres of a point, nearest first
+export function queryFeaturesWithinDistance(mapId, lat, lng, distance, options = {}) {
+    const results = spatialQuery(mapId, options, index => featuresWithinDistance(index, lat, lng, distance));
+    return results && results.sort((a, b) => a.distance - b.distance);
+}
+
+// The count nearest features to a point, nearest first.
+// Extra option: maxDistance (metres).
+export function queryNearestFeatures(mapId, lat, lng, count = 1, options = {}) {
+    const maxDistance = options.maxDistance !== undefined && options.maxDistance !== null ? options.maxDistance : Infinity;
+    const results = spatialQuery(mapId, options, index => nearestFeatures(index, lat, lng, count, maxDistance));
+    return results && results.sort((a, b) => a.distance - b.distance).slice(0, count);
+}
+
+// Add MiniMap
+export function addMiniMap(mapId, miniMapLayerUrl, options = {}) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    // Load MiniMap plugin if available
+    if (typeof L.Control.MiniMap === 'undefined') {
+        console.error('Leaflet.MiniMap plugin not loaded');
         return;
     }
 
+    if (handle.miniMapControl) {
+        handle.map.removeControl(handle.miniMapControl);
+    }
+
     const miniMapLayer = L.tileLayer(miniMapLayerUrl, {
         attribution: ''
     });
 
-    miniMapControl = new L.Control.MiniMap(miniMapLayer, {
+    handle.miniMapControl = new L.Control.MiniMap(miniMapLayer, {
         width: options.width || 150,
         height: options.height || 150,
         position: options.position || 'bottomright',
         toggleDisplay: options.toggleDisplay !== false,
         zoomLevelOffset: options.zoomLevelOffset || -5
-    }).addTo(map);
+    }).addTo(handle.map);
 }
 
 // Remove MiniMap
-export function removeMiniMap() {
-    if (miniMapControl) {
-        map.removeControl(miniMapControl);
-        miniMapControl = null;
+export function removeMiniMap(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.miniMapControl) {
+        handle.map.removeControl(handle.miniMapControl);
+        handle.miniMapControl = null;
     }
 }
 
 // Toggle MiniMap visibility
-export function toggleMiniMap() {
-    if (miniMapControl) {
-        miniMapControl._toggleDisplayButtonClicked();
+export function toggleMiniMap(mapId) {
+    const handle = getHandle(mapId);
+    if (handle && handle.miniMapControl) {
+        handle.miniMapControl._toggleDisplayButtonClicked();
     }
 }
 
-// Setup map click handler
-export function setupMapClick(dotNetReference) {
-    if (!map || isDisposed) return;
+// Setup map click handler: calls HandleMapClick(lat, lng).
+// The click event of subscribeMapEvents also carries the easting and northing.
+export function setupMapClick(mapId, dotNetReference) {
+    const handle = getHandle(mapId);
+    if (!handle) return;
+
+    handle.map.on('click', function (e) {
+        if (handle.isDisposed) return;
+        dotNetReference.invokeMethodAsync('HandleMapClick', e.latlng.lat, e.latlng.lng)
+            .catch(error => console.error('Error reporting map click:', error));
+    });
+}
+
+// Blazor rejects calls on a disposed DotNetObjectReference or a closed circuit
+// with these messages
+function isDotNetReferenceGone(error) {
+    const message = error && error.message ? error.message : String(error);
+    return /no tracked object|disposed|not in the 'Connected' State/i.test(message);
+}
+
+// Forward one event to the subscribed .NET object, if it asked for it.
+// The subscription is dropped once the .NET object is gone.
+function emitMapEvent(handle, eventName, payload) {
+    const subscription = handle.eventSubscription;
+    if (!subscription || handle.isDisposed) return;
+    if (subscription.eventNames && !subscription.eventNames.has(eventName)) return;
+
+    subscription.dotNetReference.invokeMethodAsync('HandleMapEvent', eventName, payload)
+        .catch(error => {
+            console.error(`Error forwarding map event ${eventName}:`, error);
+            if (isDotNetReferenceGone(error) && handle.eventSubscription === subscription) {
+                handle.eventSubscription = null;
+            }
+        });
+}
+
+function viewPayload(map) {
+    const bounds = map.getBounds();
+    const center = map.getCenter();
+    return {
+        bounds: [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]],
+        center: [center.lat, center.lng],
+        zoom: map.getZoom()
+    };
+}
+
+// Map-level events, attached once per map and forwarded only while subscribed
+function attachMapEvents(handle) {
+    handle.map.on({
+        click: function (e) {
+            const projected = projectFromLatLng(e.latlng.lat, e.latlng.lng) || [null, null];
+            emitMapEvent(handle, 'click', {
+                lat: e.latlng.lat,
+                lng: e.latlng.lng,
+                easting: projected[0],
+                northing: projected[1]
+            });
+        },
+        moveend: function () {
+            emitMapEvent(handle, 'moveEnd', viewPayload(handle.map));
+        },
+        zoomend: function () {
+            emitMapEvent(handle, 'zoomEnd', viewPayload(handle.map));
+        }
+    });
+}
+
+// Click and hover on a layer (or on the features inside a group) of this map.
+// getId maps the Leaflet layer that was hit to the ID reported to .NET.
+function attachFeatureEvents(handle, layer, getId) {
+    const payload = e => {
+        const target = e.propagatedFrom || e.target;
+        const feature = target.feature || null;
+        return {
+            id: getId(target),
+            featureId: feature && feature.id !== undefined ? feature.id : null,
+            properties: feature ? feature.properties : null,
+            lat: e.latlng ? e.latlng.lat : null,
+            lng: e.latlng ? e.latlng.lng : null
+        };
+    };
 
-    map.on('click', function (e) {
-        dotNetReference.invokeMethodAsync('HandleMapClick', e.latlng.lat, e.latlng.lng);
+    layer.on({
+        click: e => emitMapEvent(handle, 'featureClick', payload(e)),
+        mouseover: e => emitMapEvent(handle, 'featureHover', payload(e)),
+        mouseout: e => emitMapEvent(handle, 'featureHoverEnd', payload(e))
     });
 }
 
-// Cleanup function to be called on disposal
-export function dispose() {
-    isDisposed = true;
+// Subscribe a .NET object to map events. It receives HandleMapEvent(eventName, payload)
+// for the events in eventNames (all of mapEventNames when null):
+//   click                 { lat, lng, easting, northing }
+//   moveEnd, zoomEnd      { bounds: [[south, west], [north, east]], center, zoom }
+//   baseLayerChange       { key, name }
+//   drawCreated, drawEdited, drawDeleted   { ids, geoJson } (+ layerType when created,
+//                         history 'undo' or 'redo' when caused by undoDrawing/redoDrawing)
+//   historyChange         { canUndo, canRedo, undoCount, redoCount, inSession }
+//   featureClick, featureHover, featureHoverEnd   { id, featureId, properties, lat, lng }
+// A new subscription replaces the previous one for the same map.
+export function subscribeMapEvents(mapId, dotNetReference, eventNames = null) {
+    const handle = getHandle(mapId);
+    if (!handle) return false;
+
+    if (eventNames) {
+        const unknown = eventNames.filter(name => !mapEventNames.includes(name));
+        if (unknown.length > 0) {
+            console.warn(`Unknown map events ignored: ${unknown.join(', ')}`);
+        }
+    }
+
+    handle.eventSubscription = {
+        dotNetReference: dotNetReference,
+        eventNames: eventNames ? new Set(eventNames) : null
+    };
+    return true;
+}
+
+// Stop forwarding events of one map to .NET
+export function unsubscribeMapEvents(mapId) {
+    const handle = getHandle(mapId);
+    if (handle) {
+        handle.eventSubscription = null;
+    }
+}
+
+// Cleanup function to be called on disposal of one map
+export function dispose(mapId) {
+    const handle = maps.get(mapId);
+    if (!handle) return;
+
+    handle.isDisposed = true;
+    maps.delete(mapId);
     
     try {
-        if (map) {
-            // Remove all layers
-            markers.forEach(marker => {
-                try { map.removeLayer(marker); } catch (e) {}
-            });
-            circles.forEach(circle => {
-                try { map.removeLayer(circle); } catch (e) {}
-            });
-            polygons.forEach(polygon => {
-                try { map.removeLayer(polygon); } catch (e) {}
-            });
-            polylines.forEach(polyline => {
-                try { map.removeLayer(polyline); } catch (e) {}
-            });
-            geoJsonLayers.forEach(layer => {
+        const map = handle.map;
+
+        // Remove all layers
+        [handle.markers, handle.circles, handle.polygons, handle.polylines, handle.geoJsonLayers,
+            handle.canvasParcelLayers, handle.layerGroups]
+            .forEach(layers => layers.forEach(layer => {
                 try { map.removeLayer(layer); } catch (e) {}
-            });
+            }));
 
-            // Remove controls
-            if (drawControl) {
-                try { map.removeControl(drawControl); } catch (e) {}
-            }
-            if (miniMapControl) {
-                try { map.removeControl(miniMapControl); } catch (e) {}
-            }
+        // Remove controls
+        if (handle.drawControl) {
+            try { map.removeControl(handle.drawControl); } catch (e) {}
+        }
+        if (handle.historyKeyHandler) {
+            L.DomEvent.off(map.getContainer(), 'keydown', handle.historyKeyHandler);
+        }
+        if (handle.miniMapControl) {
+            try { map.removeControl(handle.miniMapControl); } catch (e) {}
+        }
 
-            // Remove the map
-            try {
-                map.remove();
-            } catch (e) {
-                console.warn('Error removing map:', e);
-            }
-            
-            map = null;
+        // Remove the map
+        try {
+            map.remove();
+        } catch (e) {
+            console.warn('Error removing map:', e);
         }
 
-        // Clear arrays
-        markers = [];
-        circles = [];
-        polygons = [];
-        polylines = [];
-        geoJsonLayers = [];
-        drawnItems = null;
-        drawControl = null;
-        miniMapControl = null;
+        // Clear references
+        handle.map = null;
+        handle.baseLayers = {};
+        handle.layerControl = null;
+        handle.markers = [];
+        handle.circles = [];
+        handle.polygons = [];
+        handle.polylines = [];
+        handle.geoJsonLayers = [];
+        handle.canvasParcelLayers = [];
+        handle.layerGroups = [];
+        handle.layers.clear();
+        handle.spatialIndexes.clear();
+        handle.drawnItems = null;
+        handle.drawControl = null;
+        handle.drawHandlers = null;
+        handle.snapper = null;
+        handle.snapHandlers = null;
+        handle.drawHistory = null;
+        handle.historyHandlers = null;
+        handle.historyKeyHandler = null;
+        handle.miniMapControl = null;
+        handle.eventSubscription = null;
     } catch (e) {
         console.error('Error during disposal:', e);
     }
 }
+
+// Dispose every map created through this wrapper
+export function disposeAll() {
+    Array.from(maps.keys()).forEach(mapId => dispose(mapId));
+}
@@ -0,0 +1,213 @@
+// Area and length measurements for drawn and loaded geometries
+// Every figure is computed twice: on the WGS84 ellipsoid ("geodesic") and on the
+// projected grid (UTM 35S by default), which is what cadastral records quote.
+import { DEFAULT_CRS, fromLatLng } from './projection.js';
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+// Accept L.LatLng, {lat, lng} or [lat, lng]
+function toPair(latLng) {
+    return Array.isArray(latLng) ? [Number(latLng[0]), Number(latLng[1])] : [latLng.lat, latLng.lng];
+}
+
+// Ellipsoidal distance in metres between two points (Vincenty inverse formula).
+// Falls back to a spherical great-circle distance if the iteration does not converge.
+export function geodesicDistance(from, to) {
+    const [lat1, lng1] = toPair(from);
+    const [lat2, lng2] = toPair(to);
+    if (lat1 === lat2 && lng1 === lng2) return 0;
+
+    const rad = Math.PI / 180;
+    const deltaLng = (lng2 - lng1) * rad;
+    const U1 = Math.atan((1 - WGS84_F) * Math.tan(lat1 * rad));
+    const U2 = Math.atan((1 - WGS84_F) * Math.tan(lat2 * rad));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let lambda = deltaLng;
+    let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+    for (let i = 0; i < 200; i++) {
+        const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+        sinSigma = Math.sqrt(Math.pow(cosU2 * sinLambda, 2) +
+            Math.pow(cosU1 * sinU2 - sinU1 * cosU2 * cosLambda, 2));
+        if (sinSigma === 0) return 0;
+
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+
+        const C = WGS84_F / 16 * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+        const previous = lambda;
+        lambda = deltaLng + (1 - C) * WGS84_F * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+        if (Math.abs(lambda - previous) < 1e-12) {
+            const uSq = cosSqAlpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B) / (WGS84_B * WGS84_B);
+            const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+            const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+            const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+            return WGS84_B * A * (sigma - deltaSigma);
+        }
+    }
+
+    // Nearly antipodal points: spherical approximation is good enough
+    const dLat = (lat2 - lat1) * rad;
+    const h = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.pow(Math.sin(deltaLng / 2), 2);
+    return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Planar (shoelace) area of a ring of [x, y]
+function planarArea(points) {
+    let sum = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        sum += (points[j][0] + points[i][0]) * (points[j][1] - points[i][1]);
+    }
+    return Math.abs(sum / 2);
+}
+
+function planarLength(points, closed) {
+    let length = 0;
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        length += Math.hypot(b[0] - a[0], b[1] - a[1]);
+    }
+    return length;
+}
+
+function geodesicLength(latLngs, closed) {
+    let length = 0;
+    const count = closed ? latLngs.length : latLngs.length - 1;
+    for (let i = 0; i < count; i++) {
+        length += geodesicDistance(latLngs[i], latLngs[(i + 1) % latLngs.length]);
+    }
+    return length;
+}
+
+// Drop a repeated closing vertex (GeoJSON style rings)
+function openRing(pairs) {
+    if (pairs.length > 1) {
+        const first = pairs[0];
+        const last = pairs[pairs.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) {
+            return pairs.slice(0, -1);
+        }
+    }
+    return pairs;
+}
+
+// Ellipsoidal area of a ring: exact in a Lambert azimuthal equal-area projection
+// centred on the ring, so it needs no spherical approximation
+function ellipsoidalRingArea(pairs) {
+    const lat0 = pairs.reduce((sum, p) => sum + p[0], 0) / pairs.length;
+    const lng0 = pairs.reduce((sum, p) => sum + p[1], 0) / pairs.length;
+    const laea = `+proj=laea +lat_0=${lat0} +lon_0=${lng0} +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs`;
+    return planarArea(pairs.map(p => proj4('EPSG:4326', laea, [p[1], p[0]])));
+}
+
+// Normalise Leaflet polygon latLngs (a ring, or [outer, ...holes]) to rings of pairs
+function toRings(latLngs) {
+    if (latLngs.length === 0) return [];
+    const first = latLngs[0];
+    const isRing = !Array.isArray(first) || typeof first[0] === 'number';
+    const rings = isRing ? [latLngs] : latLngs;
+    return rings.map(ring => openRing(ring.map(toPair)));
+}
+
+// Measure a polygon given as a ring or as [outer, ...holes] of lat/lng.
+// Areas are the outer ring minus holes; perimeters include every ring.
+export function measurePolygon(latLngs, crs = DEFAULT_CRS) {
+    const rings = toRings(latLngs).filter(ring => ring.length >= 3);
+    if (rings.length === 0) return null;
+
+    let area = 0, perimeter = 0, gridArea = 0, gridPerimeter = 0;
+    rings.forEach((ring, index) => {
+        const sign = index === 0 ? 1 : -1;
+        const grid = ring.map(p => fromLatLng(p[0], p[1], crs));
+
+        area += sign * ellipsoidalRingArea(ring);
+        perimeter += geodesicLength(ring, true);
+        gridArea += sign * planarArea(grid);
+        gridPerimeter += planarLength(grid, true);
+    });
+
+    return {
+        areaSqm: area,
+        areaHa: area / 10000,
+        perimeterM: perimeter,
+        gridAreaSqm: gridArea,
+        gridAreaHa: gridArea / 10000,
+        gridPerimeterM: gridPerimeter,
+        crs: crs
+    };
+}
+
+// Measure a line given as lat/lng points
+export function measurePolyline(latLngs, crs = DEFAULT_CRS) {
+    const pairs = latLngs.map(toPair);
+    if (pairs.length < 2) return null;
+
+    return {
+        lengthM: geodesicLength(pairs, false),
+        gridLengthM: planarLength(pairs.map(p => fromLatLng(p[0], p[1], crs)), false),
+        crs: crs
+    };
+}
+
+// Add up the measurements of the parts of a multi-geometry
+function sumMeasurements(parts) {
+    parts = parts.filter(m => m);
+    if (parts.length === 0) return null;
+
+    const total = { ...parts[0] };
+    parts.slice(1).forEach(part => {
+        for (const key in part) {
+            if (typeof part[key] === 'number') {
+                total[key] += part[key];
+            }
+        }
+    });
+    return total;
+}
+
+// Measure a Leaflet polygon, rectangle or polyline layer (null for anything else).
+// Multi-part geometries are measured part by part and summed.
+export function measureLayer(layer, crs = DEFAULT_CRS) {
+    const latLngs = layer.getLatLngs ? layer.getLatLngs() : null;
+    if (!latLngs || latLngs.length === 0) return null;
+
+    if (layer instanceof L.Polygon) {
+        const isMulti = Array.isArray(latLngs[0]) && Array.isArray(latLngs[0][0]);
+        return isMulti
+            ? sumMeasurements(latLngs.map(polygon => measurePolygon(polygon, crs)))
+            : measurePolygon(latLngs, crs);
+    }
+    if (layer instanceof L.Polyline) {
+        return Array.isArray(latLngs[0])
+            ? sumMeasurements(latLngs.map(part => measurePolyline(part, crs)))
+            : measurePolyline(latLngs, crs);
+    }
+    return null;
+}
+
+// Readout text for a measurement, as shown beside the draw tools
+export function formatMeasurement(measurement) {
+    if (!measurement) return '';
+
+    if (measurement.areaSqm !== undefined) {
+        return `<strong>Area:</strong> ${measurement.areaSqm.toFixed(2)} m&sup2; (${measurement.areaHa.toFixed(4)} ha)<br/>` +
+            `<strong>Perimeter:</strong> ${measurement.perimeterM.toFixed(2)} m<br/>` +
+            `<strong>Grid area (${measurement.crs}):</strong> ${measurement.gridAreaSqm.toFixed(2)} m&sup2; (${measurement.gridAreaHa.toFixed(4)} ha)<br/>` +
+            `<strong>Grid perimeter:</strong> ${measurement.gridPerimeterM.toFixed(2)} m`;
+    }
+
+    return `<strong>Length:</strong> ${measurement.lengthM.toFixed(2)} m<br/>` +
+        `<strong>Grid length (${measurement.crs}):</strong> ${measurement.gridLengthM.toFixed(2)} m`;
+}
@@ -0,0 +1,493 @@
+// Least-squares adjustment of horizontal control networks
+// Observations are directions (one orientation unknown per set), horizontal
+// distances and GNSS baselines reduced to grid coordinate differences; stations
+// flagged fixed hold the datum. The adjustment is iterated (Gauss-Newton) from the
+// approximate coordinates and reports residuals, standardized residuals, the
+// a posteriori variance factor, a chi-square test and standard error ellipses.
+import { parseBearing } from './cogo.js';
+
+const RHO = 180 / Math.PI;
+const SECONDS_PER_RADIAN = RHO * 3600;
+
+// A priori standard deviations used when an observation has none
+const DEFAULT_STD_DEVS = {
+    direction: 3,                           // seconds
+    distance: { constant: 0.003, ppm: 2 },  // metres + parts per million
+    baseline: 0.01                          // metres per component
+};
+
+// Standardized residuals larger than this are flagged as possible blunders
+const DEFAULT_REJECTION_LEVEL = 3;
+
+// Regularized lower incomplete gamma function P(a, x)
+function gammaP(a, x) {
+    if (x <= 0) return 0;
+    const lnGammaA = logGamma(a);
+
+    if (x < a + 1) {
+        // Series expansion
+        let sum = 1 / a;
+        let term = sum;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+        }
+        return sum * Math.exp(-x + a * Math.log(x) - lnGammaA);
+    }
+
+    // Continued fraction for Q(a, x)
+    let b = x + 1 - a;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return 1 - Math.exp(-x + a * Math.log(x) - lnGammaA) * h;
+}
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+    const g = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    g.forEach(coefficient => {
+        y += 1;
+        series += coefficient / y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Quantile of the chi-square distribution with dof degrees of freedom
+export function chiSquareQuantile(probability, dof) {
+    let low = 0;
+    let high = Math.max(10, dof * 10);
+    while (gammaP(dof / 2, high / 2) < probability) high *= 2;
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (gammaP(dof / 2, mid / 2) < probability) low = mid; else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// Cholesky factor (lower triangle, row arrays) of a symmetric positive definite
+// matrix, or null when it is singular: the network has a datum defect
+function cholesky(matrix) {
+    const n = matrix.length;
+    const lower = matrix.map(() => new Float64Array(n));
+    const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), 1e-300);
+
+    for (let j = 0; j < n; j++) {
+        let sum = matrix[j][j];
+        for (let k = 0; k < j; k++) sum -= lower[j][k] * lower[j][k];
+        if (sum <= scale * 1e-12) return null;
+        lower[j][j] = Math.sqrt(sum);
+
+        for (let i = j + 1; i < n; i++) {
+            let value = matrix[i][j];
+            for (let k = 0; k < j; k++) value -= lower[i][k] * lower[j][k];
+            lower[i][j] = value / lower[j][j];
+        }
+    }
+    return lower;
+}
+
+function choleskySolve(lower, vector) {
+    const n = lower.length;
+    const y = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = vector[i];
+        for (let k = 0; k < i; k++) sum -= lower[i][k] * y[k];
+        y[i] = sum / lower[i][i];
+    }
+    const x = new Float64Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let k = i + 1; k < n; k++) sum -= lower[k][i] * x[k];
+        x[i] = sum / lower[i][i];
+    }
+    return x;
+}
+
+function inverse2x2([[a, b], [c, d]]) {
+    const determinant = a * d - b * c;
+    return [[d / determinant, -b / determinant], [-c / determinant, a / determinant]];
+}
+
+function wrapAngle(radians) {
+    let value = radians % (2 * Math.PI);
+    if (value > Math.PI) value -= 2 * Math.PI;
+    if (value <= -Math.PI) value += 2 * Math.PI;
+    return value;
+}
+
+function azimuth(from, to) {
+    return Math.atan2(to[0] - from[0], to[1] - from[1]);
+}
+
+// Accept {id, easting, northing, fixed} or the survey point model
+function readStation(station) {
+    const id = station.id !== undefined ? station.id : station.PointNumber;
+    const easting = Number(station.easting !== undefined ? station.easting : station.Easting);
+    const northing = Number(station.northing !== undefined ? station.northing : station.Northing);
+    if (id === undefined || id === null || !Number.isFinite(easting) || !Number.isFinite(northing)) {
+        throw new Error(`Station ${id === undefined ? '(no id)' : `'${id}'`} needs approximate coordinates`);
+    }
+    return { id: String(id), easting, northing, fixed: station.fixed === true };
+}
+
+function distanceStdDev(stdDev, distance) {
+    if (typeof stdDev === 'number') return stdDev;
+    const { constant = 0, ppm = 0 } = stdDev || DEFAULT_STD_DEVS.distance;
+    return Math.hypot(constant, ppm * 1e-6 * distance);
+}
+
+// Standard error ellipse of a 2x2 covariance matrix [[σE², σEN], [σEN, σN²]];
+// orientation is the grid bearing of the semi-major axis in degrees
+function errorEllipse(see, snn, sen, scale = 1) {
+    const mean = (see + snn) / 2;
+    const radius = Math.sqrt(((see - snn) / 2) ** 2 + sen ** 2);
+    return {
+        semiMajor: Math.sqrt(Math.max(mean + radius, 0)) * scale,
+        semiMinor: Math.sqrt(Math.max(mean - radius, 0)) * scale,
+        orientation: ((0.5 * Math.atan2(2 * sen, snn - see) * RHO) + 180) % 180
+    };
+}
+
+// Adjust a horizontal network.
+// network: {stations: [{id, easting, northing, fixed}], observations: [...]}, each
+// observation one of
+//   {type: 'direction', from, to, value (degrees or DMS), stdDev (seconds), set}
+//   {type: 'distance', from, to, value (m), stdDev (m, or {constant, ppm})}
+//   {type: 'baseline', from, to, deltaEasting, deltaNorthing, stdDevEasting,
+//    stdDevNorthing, covariance (σEN, m²)}
+// Directions share an orientation unknown per set (default: per occupied station).
+// Options: maxIterations (10), tolerance (m, 0.0001), alpha (chi-square test
+// significance, 0.05), rejectionLevel (standardized residual, 3), confidence
+// (probability for scaled ellipses, default: standard ellipses), angleUnit of
+// plain-number directions ('degrees' or 'dms' for packed DDD.MMSS, default 'degrees').
+// Returns {converged, iterations, observationCount, unknownCount,
+// degreesOfFreedom, varianceFactor, standardErrorOfUnitWeight, chiSquare,
+// stations, orientations, observations, flaggedCount}.
+export function adjustNetwork(network, options = {}) {
+    const maxIterations = options.maxIterations || 10;
+    const tolerance = options.tolerance || 0.0001;
+    const alpha = options.alpha || 0.05;
+    const rejectionLevel = options.rejectionLevel || DEFAULT_REJECTION_LEVEL;
+    const angleUnit = options.angleUnit || 'degrees';
+
+    const stations = (network.stations || []).map(readStation);
+    const stationIndex = new Map(stations.map((s, i) => [s.id, i]));
+    if (stationIndex.size !== stations.length) {
+        throw new Error('Station ids must be unique');
+    }
+
+    // Unknown indices: two per free station, then one per direction set
+    let unknownCount = 0;
+    const coordinateIndex = stations.map(s => {
+        if (s.fixed) return null;
+        unknownCount += 2;
+        return unknownCount - 2;
+    });
+
+    const observations = (network.observations || []).map((obs, i) => {
+        const label = `Observation ${i + 1}`;
+        if (!stationIndex.has(String(obs.from)) || !stationIndex.has(String(obs.to))) {
+            throw new Error(`${label}: unknown station '${stationIndex.has(String(obs.from)) ? obs.to : obs.from}'`);
+        }
+        if (String(obs.from) === String(obs.to)) {
+            throw new Error(`${label}: from and to are the same station`);
+        }
+        const base = { index: i, type: obs.type, from: String(obs.from), to: String(obs.to) };
+
+        switch (obs.type) {
+            case 'direction': {
+                const value = parseBearing(obs.value, angleUnit);
+                if (value === null) throw new Error(`${label}: invalid direction '${obs.value}'`);
+                return { ...base, value: value / RHO, stdDev: (obs.stdDev || DEFAULT_STD_DEVS.direction) / SECONDS_PER_RADIAN, set: String(obs.set !== undefined ? obs.set : obs.from) };
+            }
+            case 'distance': {
+                const value = Number(obs.value);
+                if (!Number.isFinite(value) || value <= 0) throw new Error(`${label}: invalid distance '${obs.value}'`);
+                return { ...base, value, stdDev: distanceStdDev(obs.stdDev, value) };
+            }
+            case 'baseline': {
+                const deltaEasting = Number(obs.deltaEasting);
+                const deltaNorthing = Number(obs.deltaNorthing);
+                if (!Number.isFinite(deltaEasting) || !Number.isFinite(deltaNorthing)) {
+                    throw new Error(`${label}: invalid baseline components`);
+                }
+                const se = obs.stdDevEasting || DEFAULT_STD_DEVS.baseline;
+                const sn = obs.stdDevNorthing || obs.stdDevEasting || DEFAULT_STD_DEVS.baseline;
+                return { ...base, deltaEasting, deltaNorthing, covariance: [[se * se, obs.covariance || 0], [obs.covariance || 0, sn * sn]] };
+            }
+            default:
+                throw new Error(`${label}: unknown type '${obs.type}'`);
+        }
+    });
+
+    const sets = [...new Set(observations.filter(o => o.type === 'direction').map(o => o.set))];
+    const orientationIndex = new Map(sets.map(set => [set, unknownCount++]));
+
+    if (unknownCount === 0) {
+        throw new Error('Every station is fixed: there is nothing to adjust');
+    }
+
+    const coordinates = stations.map(s => [s.easting, s.northing]);
+    const coordinateOf = id => coordinates[stationIndex.get(id)];
+
+    // Initial orientations: mean of computed azimuth minus observed direction
+    const orientations = new Float64Array(sets.length);
+    sets.forEach((set, k) => {
+        const directions = observations.filter(o => o.type === 'direction' && o.set === set);
+        const first = wrapAngle(azimuth(coordinateOf(directions[0].from), coordinateOf(directions[0].to)) - directions[0].value);
+        const mean = directions.reduce((sum, o) => sum + wrapAngle(azimuth(coordinateOf(o.from), coordinateOf(o.to)) - o.value - first), 0) / directions.length;
+        orientations[k] = first + mean;
+    });
+
+    // Observation groups: design rows [[unknown, coefficient], ...], misclosures
+    // (observed minus computed) and the covariance matrix of the group
+    function buildGroups() {
+        return observations.map(obs => {
+            const i = stationIndex.get(obs.from);
+            const j = stationIndex.get(obs.to);
+            const [ei, ni] = coordinates[i];
+            const [ej, nj] = coordinates[j];
+            const dE = ej - ei;
+            const dN = nj - ni;
+            const distanceSquared = dE * dE + dN * dN;
+            const distance = Math.sqrt(distanceSquared);
+
+            const coordinateTerms = (ce, cn) => {
+                const terms = [];
+                if (coordinateIndex[i] !== null) terms.push([coordinateIndex[i], -ce], [coordinateIndex[i] + 1, -cn]);
+                if (coordinateIndex[j] !== null) terms.push([coordinateIndex[j], ce], [coordinateIndex[j] + 1, cn]);
+                return terms;
+            };
+
+            if (obs.type === 'direction') {
+                const k = sets.indexOf(obs.set);
+                const computed = azimuth(coordinates[i], coordinates[j]) - orientations[k];
+                return {
+                    obs,
+                    rows: [[...coordinateTerms(dN / distanceSquared, -dE / distanceSquared), [orientationIndex.get(obs.set), -1]]],
+                    misclosures: [wrapAngle(obs.value - computed)],
+                    covariance: [[obs.stdDev * obs.stdDev]]
+                };
+            }
+            if (obs.type === 'distance') {
+                return {
+                    obs,
+                    rows: [coordinateTerms(dE / distance, dN / distance)],
+                    misclosures: [obs.value - distance],
+                    covariance: [[obs.stdDev * obs.stdDev]]
+                };
+            }
+            return {
+                obs,
+                rows: [coordinateTerms(1, 0), coordinateTerms(0, 1)],
+                misclosures: [obs.deltaEasting - dE, obs.deltaNorthing - dN],
+                covariance: obs.covariance
+            };
+        });
+    }
+
+    function weightOf(covariance) {
+        return covariance.length === 1 ? [[1 / covariance[0][0]]] : inverse2x2(covariance);
+    }
+
+    let lower = null;
+    let iterations = 0;
+    let converged = false;
+    let groups = [];
+
+    while (iterations < maxIterations) {
+        iterations++;
+        groups = buildGroups();
+
+        const normal = Array.from({ length: unknownCount }, () => new Float64Array(unknownCount));
+        const rhs = new Float64Array(unknownCount);
+        groups.forEach(group => {
+            const weight = weightOf(group.covariance);
+            group.rows.forEach((rowA, a) => {
+                group.rows.forEach((rowB, b) => {
+                    const w = weight[a][b];
+                    if (w === 0) return;
+                    rowA.forEach(([p, coefficientA]) => {
+                        rowB.forEach(([q, coefficientB]) => {
+                            normal[p][q] += coefficientA * w * coefficientB;
+                        });
+                        rhs[p] += coefficientA * w * group.misclosures[b];
+                    });
+                });
+            });
+        });
+
+        lower = cholesky(normal);
+        if (!lower) {
+            throw new Error('The network cannot be solved: it needs more fixed control or observations (datum defect)');
+        }
+        const correction = choleskySolve(lower, rhs);
+
+        let largest = 0;
+        stations.forEach((s, i) => {
+            if (coordinateIndex[i] === null) return;
+            coordinates[i][0] += correction[coordinateIndex[i]];
+            coordinates[i][1] += correction[coordinateIndex[i] + 1];
+            largest = Math.max(largest, Math.abs(correction[coordinateIndex[i]]), Math.abs(correction[coordinateIndex[i] + 1]));
+        });
+        sets.forEach((set, k) => {
+            orientations[k] += correction[orientationIndex.get(set)];
+        });
+
+        if (largest < tolerance) {
+            converged = true;
+            break;
+        }
+    }
+
+    // Residuals (adjusted minus observed) at the final coordinates
+    groups = buildGroups();
+    const observationCount = groups.reduce((sum, g) => sum + g.rows.length, 0);
+    const degreesOfFreedom = observationCount - unknownCount;
+
+    let weightedSum = 0;
+    groups.forEach(group => {
+        const weight = weightOf(group.covariance);
+        const residuals = group.misclosures.map(m => -m);
+        residuals.forEach((va, a) => residuals.forEach((vb, b) => {
+            weightedSum += va * weight[a][b] * vb;
+        }));
+        group.residuals = residuals;
+    });
+
+    const varianceFactor = degreesOfFreedom > 0 ? weightedSum / degreesOfFreedom : null;
+
+    // Cofactor matrix of the unknowns, column by column
+    const cofactor = [];
+    for (let c = 0; c < unknownCount; c++) {
+        const unit = new Float64Array(unknownCount);
+        unit[c] = 1;
+        cofactor.push(choleskySolve(lower, unit));
+    }
+    const rowCofactor = (rowA, rowB) => rowA.reduce((sum, [p, a]) => sum + rowB.reduce((s, [q, b]) => s + a * cofactor[p][q] * b, 0), 0);
+
+    // Ellipses and standard deviations use the a posteriori variance factor
+    const variance = varianceFactor !== null ? varianceFactor : 1;
+    const ellipseScale = options.confidence ? Math.sqrt(chiSquareQuantile(options.confidence, 2)) : 1;
+
+    const observationReport = [];
+    let flaggedCount = 0;
+    groups.forEach(group => {
+        const { obs } = group;
+        group.rows.forEach((row, a) => {
+            const observedVariance = group.covariance[a][a];
+            const residualCofactor = observedVariance - rowCofactor(row, row);
+            const redundancy = residualCofactor / observedVariance;
+            const residual = group.residuals[a];
+            const standardized = residualCofactor > observedVariance * 1e-10 ? residual / Math.sqrt(residualCofactor) : null;
+            const flagged = standardized !== null && Math.abs(standardized) > rejectionLevel;
+            if (flagged) flaggedCount++;
+
+            const entry = {
+                index: obs.index,
+                type: obs.type,
+                from: obs.from,
+                to: obs.to,
+                redundancy,
+                standardizedResidual: standardized,
+                flagged
+            };
+            if (obs.type === 'direction') {
+                Object.assign(entry, {
+                    set: obs.set,
+                    observed: obs.value * RHO,
+                    adjusted: ((obs.value + residual) * RHO + 360) % 360,
+                    residual: residual * SECONDS_PER_RADIAN,
+                    stdDev: obs.stdDev * SECONDS_PER_RADIAN,
+                    unit: 'seconds'
+                });
+            } else if (obs.type === 'distance') {
+                Object.assign(entry, { observed: obs.value, adjusted: obs.value + residual, residual, stdDev: obs.stdDev, unit: 'm' });
+            } else {
+                const observed = a === 0 ? obs.deltaEasting : obs.deltaNorthing;
+                Object.assign(entry, {
+                    component: a === 0 ? 'easting' : 'northing',
+                    observed,
+                    adjusted: observed + residual,
+                    residual,
+                    stdDev: Math.sqrt(observedVariance),
+                    unit: 'm'
+                });
+            }
+            observationReport.push(entry);
+        });
+    });
+
+    let chiSquare = null;
+    if (degreesOfFreedom > 0) {
+        const lowerBound = chiSquareQuantile(alpha / 2, degreesOfFreedom);
+        const upperBound = chiSquareQuantile(1 - alpha / 2, degreesOfFreedom);
+        chiSquare = {
+            statistic: weightedSum,
+            degreesOfFreedom,
+            alpha,
+            lower: lowerBound,
+            upper: upperBound,
+            passed: weightedSum >= lowerBound && weightedSum <= upperBound
+        };
+    }
+
+    return {
+        converged,
+        iterations,
+        observationCount,
+        unknownCount,
+        degreesOfFreedom,
+        varianceFactor,
+        standardErrorOfUnitWeight: varianceFactor !== null ? Math.sqrt(varianceFactor) : null,
+        chiSquare,
+        stations: stations.map((s, i) => {
+            const station = {
+                id: s.id,
+                fixed: s.fixed,
+                easting: coordinates[i][0],
+                northing: coordinates[i][1],
+                correctionEasting: coordinates[i][0] - s.easting,
+                correctionNorthing: coordinates[i][1] - s.northing,
+                stdDevEasting: 0,
+                stdDevNorthing: 0,
+                ellipse: null
+            };
+            const p = coordinateIndex[i];
+            if (p !== null) {
+                const see = cofactor[p][p] * variance;
+                const snn = cofactor[p + 1][p + 1] * variance;
+                const sen = cofactor[p][p + 1] * variance;
+                station.stdDevEasting = Math.sqrt(see);
+                station.stdDevNorthing = Math.sqrt(snn);
+                station.ellipse = { ...errorEllipse(see, snn, sen, ellipseScale), confidence: options.confidence || 0.394 };
+            }
+            return station;
+        }),
+        orientations: sets.map((set, k) => ({
+            set,
+            value: ((orientations[k] * RHO) % 360 + 360) % 360,
+            stdDev: Math.sqrt(cofactor[orientationIndex.get(set)][orientationIndex.get(set)] * variance) * SECONDS_PER_RADIAN
+        })),
+        observations: observationReport,
+        flaggedCount
+    };
+}
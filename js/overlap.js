@@ -0,0 +1,149 @@
+// Parcel overlap detection (requires polygon-clipping and proj4js)
+// Geometries are intersected on the projected grid (UTM 35S by default) so the
+// clipping works in metres; results are converted back to GeoJSON lat/lng.
+import { DEFAULT_CRS, toLatLng, fromLatLng } from './projection.js';
+import { measurePolygon } from './measurement.js';
+
+// Overlaps smaller than this many square metres are treated as shared-boundary slivers
+const DEFAULT_TOLERANCE = 0.01;
+
+function ensurePolygonClipping() {
+    if (typeof polygonClipping === 'undefined') {
+        throw new Error('polygon-clipping library not loaded');
+    }
+}
+
+// Accept GeoJSON as an object or a JSON string
+function parseGeoJson(geoJson) {
+    return typeof geoJson === 'string' ? JSON.parse(geoJson) : geoJson;
+}
+
+// Flatten a FeatureCollection, Feature or bare geometry into features
+function toFeatures(geoJson) {
+    if (!geoJson) return [];
+    if (geoJson.type === 'FeatureCollection') return geoJson.features || [];
+    if (geoJson.type === 'Feature') return [geoJson];
+    return [{ type: 'Feature', properties: {}, geometry: geoJson }];
+}
+
+// Polygon or MultiPolygon geometry as MultiPolygon grid coordinates (null for other types)
+function toGridMultiPolygon(geometry, crs) {
+    if (!geometry) return null;
+
+    const toGridRing = ring => ring.map(([lng, lat]) => fromLatLng(lat, lng, crs));
+    switch (geometry.type) {
+        case 'Polygon':
+            return [geometry.coordinates.map(toGridRing)];
+        case 'MultiPolygon':
+            return geometry.coordinates.map(polygon => polygon.map(toGridRing));
+        default:
+            return null;
+    }
+}
+
+function toGeoJsonMultiPolygon(gridMultiPolygon, crs) {
+    return {
+        type: 'MultiPolygon',
+        coordinates: gridMultiPolygon.map(polygon => polygon.map(ring => ring.map(([e, n]) => {
+            const [lat, lng] = toLatLng(e, n, crs);
+            return [lng, lat];
+        })))
+    };
+}
+
+// Geodesic and grid area of MultiPolygon grid coordinates
+function measureGridMultiPolygon(gridMultiPolygon, crs) {
+    let area = 0, gridArea = 0;
+    gridMultiPolygon.forEach(polygon => {
+        const rings = polygon.map(ring => ring.map(([e, n]) => toLatLng(e, n, crs)));
+        const measurement = measurePolygon(rings, crs);
+        if (measurement) {
+            area += measurement.areaSqm;
+            gridArea += measurement.gridAreaSqm;
+        }
+    });
+    return { areaSqm: area, gridAreaSqm: gridArea };
+}
+
+// ID of a parcel: the idProperty value, else the feature id, else its position
+function featureId(feature, idProperty, index) {
+    const properties = feature.properties || {};
+    if (idProperty && properties[idProperty] !== undefined && properties[idProperty] !== null) {
+        return String(properties[idProperty]);
+    }
+    if (feature.id !== undefined && feature.id !== null) {
+        return String(feature.id);
+    }
+    return String(index);
+}
+
+// Intersect a candidate parcel with existing parcels.
+// Options: tolerance (m², default 0.01), idProperty (property holding the parcel
+// ID; the feature id is used otherwise), crs (grid used for clipping and grid areas).
+// Percentages are of grid areas, as quoted on survey diagrams.
+export function detectOverlaps(candidateGeoJson, parcelsGeoJson, options = {}) {
+    ensurePolygonClipping();
+
+    const crs = options.crs || DEFAULT_CRS;
+    const tolerance = options.tolerance !== undefined && options.tolerance !== null ? options.tolerance : DEFAULT_TOLERANCE;
+    const idProperty = options.idProperty || null;
+
+    const candidate = toFeatures(parseGeoJson(candidateGeoJson))[0];
+    const candidateGeometry = candidate ? toGridMultiPolygon(candidate.geometry, crs) : null;
+    if (!candidateGeometry) {
+        throw new Error('Candidate parcel must be a Polygon or MultiPolygon');
+    }
+    const candidateArea = measureGridMultiPolygon(candidateGeometry, crs);
+
+    const overlaps = [];
+    const overlapGeometries = [];
+    let skipped = 0;
+    toFeatures(parseGeoJson(parcelsGeoJson)).forEach((parcel, index) => {
+        const parcelGeometry = toGridMultiPolygon(parcel.geometry, crs);
+        if (!parcelGeometry) {
+            skipped++;
+            return;
+        }
+
+        const intersection = polygonClipping.intersection(candidateGeometry, parcelGeometry);
+        if (intersection.length === 0) return;
+
+        const overlapArea = measureGridMultiPolygon(intersection, crs);
+        if (overlapArea.gridAreaSqm < tolerance) return;
+
+        const parcelArea = measureGridMultiPolygon(parcelGeometry, crs);
+        overlapGeometries.push(intersection);
+        overlaps.push({
+            parcelId: featureId(parcel, idProperty, index),
+            properties: parcel.properties || {},
+            overlapAreaSqm: overlapArea.areaSqm,
+            overlapGridAreaSqm: overlapArea.gridAreaSqm,
+            percentOfCandidate: candidateArea.gridAreaSqm > 0 ? overlapArea.gridAreaSqm / candidateArea.gridAreaSqm * 100 : 0,
+            percentOfParcel: parcelArea.gridAreaSqm > 0 ? overlapArea.gridAreaSqm / parcelArea.gridAreaSqm * 100 : 0,
+            geometry: toGeoJsonMultiPolygon(intersection, crs)
+        });
+    });
+
+    // Parcels overlapping each other would be counted twice by summing, so the
+    // total is the union of the overlap polygons
+    let totalOverlap = { areaSqm: 0, gridAreaSqm: 0 };
+    if (overlaps.length > 0) {
+        const union = polygonClipping.union(...overlapGeometries);
+        totalOverlap = measureGridMultiPolygon(union, crs);
+    }
+
+    return {
+        candidateId: featureId(candidate, idProperty, 0),
+        candidateAreaSqm: candidateArea.areaSqm,
+        candidateGridAreaSqm: candidateArea.gridAreaSqm,
+        hasOverlaps: overlaps.length > 0,
+        overlapCount: overlaps.length,
+        totalOverlapAreaSqm: totalOverlap.areaSqm,
+        totalOverlapGridAreaSqm: totalOverlap.gridAreaSqm,
+        percentOfCandidate: candidateArea.gridAreaSqm > 0 ? totalOverlap.gridAreaSqm / candidateArea.gridAreaSqm * 100 : 0,
+        skippedFeatures: skipped,
+        tolerance: tolerance,
+        crs: crs,
+        overlaps: overlaps
+    };
+}
@@ -0,0 +1,526 @@
+// Print-to-scale survey plan sheets
+// Lays a parcel out on an A4 or A3 sheet at an exact scale as SVG in millimetres,
+// with grid ticks, grid north, scale bar, title block, beacon schedule and
+// certificate placeholders. The SVG (or the HTML page around it) prints at true
+// size from any browser, or is saved as PDF from the print dialog, without a server.
+import { DEFAULT_CRS, fromLatLng } from './projection.js';
+import { inverse, formatBearing } from './cogo.js';
+import { measurePolygon } from './measurement.js';
+
+// Sheet sizes in mm, portrait
+const PAPER_SIZES = {
+    A4: [210, 297],
+    A3: [297, 420]
+};
+
+// Standard plan scales tried, largest first, when the scale is 'auto'
+const STANDARD_SCALES = [200, 250, 500, 1000, 1250, 2000, 2500, 5000, 10000, 20000, 25000, 50000];
+
+// Round ground distances for grid intervals and scale bars
+const NICE_DISTANCES = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000, 2500, 5000, 10000];
+
+const MARGIN = 10;
+const GAP = 4;
+const FONT = 'Arial, Helvetica, sans-serif';
+
+const parcelIdProperties = ['parcelNumber', 'ParcelNumber', 'parcelNo', 'parcel_no', 'name', 'id'];
+
+const DEFAULT_CERTIFICATES = [
+    {
+        heading: "SURVEYOR'S CERTIFICATE",
+        text: 'I, ______________________________, a registered land surveyor, certify that this survey was ' +
+            'carried out by me or under my supervision in accordance with the survey regulations, and that this ' +
+            'plan correctly represents the survey.',
+        signature: 'Registered Land Surveyor'
+    },
+    {
+        heading: 'APPROVAL',
+        text: 'Examined and approved. Approval No. ______________',
+        signature: 'for Surveyor-General'
+    }
+];
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function fixed(value) {
+    return Number(value.toFixed(2));
+}
+
+function text(x, y, content, size, attributes = '') {
+    return `<text x="${fixed(x)}" y="${fixed(y)}" font-size="${size}" ${attributes}>${escapeXml(content)}</text>`;
+}
+
+function groupedNumber(value) {
+    return value.toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+}
+
+// Smallest nice distance whose length on paper is at least minMm
+function niceDistance(scale, minMm) {
+    return NICE_DISTANCES.find(d => d * 1000 / scale >= minMm) || NICE_DISTANCES[NICE_DISTANCES.length - 1];
+}
+
+function toFeatures(data) {
+    if (!data) return [];
+    const geoJson = typeof data === 'string' ? JSON.parse(data) : data;
+    if (geoJson.type === 'FeatureCollection') return geoJson.features || [];
+    if (geoJson.type === 'Feature') return [geoJson];
+    return [{ type: 'Feature', properties: {}, geometry: geoJson }];
+}
+
+// Polygon features as [{id, polygons: [[ring of [e, n]], ...], latLngPolygons}]
+function collectPolygons(data, crs) {
+    return toFeatures(data)
+        .filter(f => f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+        .map(feature => {
+            const lngLatPolygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+            const properties = feature.properties || {};
+            const idKey = parcelIdProperties.find(key => properties[key] !== undefined && properties[key] !== null && properties[key] !== '');
+            return {
+                id: idKey ? String(properties[idKey]) : null,
+                polygons: lngLatPolygons.map(polygon => polygon.map(ring => openRing(ring.map(([lng, lat]) => fromLatLng(lat, lng, crs))))),
+                latLngPolygons: lngLatPolygons.map(polygon => polygon.map(ring => ring.map(([lng, lat]) => [lat, lng])))
+            };
+        });
+}
+
+function openRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return ring.length > 1 && first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+}
+
+// Beacon schedule rows: the parcel vertices, named after the nearest given beacon
+// (survey point records) within 5 cm, otherwise numbered B1, B2, ...
+function beaconSchedule(parcels, beacons) {
+    const rows = [];
+    const known = (beacons || []).filter(b => b.Easting !== null && b.Easting !== undefined && b.Northing !== null && b.Northing !== undefined);
+
+    parcels.forEach(parcel => parcel.polygons.forEach(polygon => polygon.forEach(ring => ring.forEach(([e, n]) => {
+        if (rows.some(row => Math.hypot(row.easting - e, row.northing - n) < 0.05)) return;
+        const beacon = known.find(b => Math.hypot(Number(b.Easting) - e, Number(b.Northing) - n) < 0.05);
+        rows.push({
+            name: beacon ? String(beacon.PointNumber) : `B${rows.length + 1}`,
+            easting: e,
+            northing: n,
+            description: beacon && beacon.Description ? String(beacon.Description) : ''
+        });
+    }))));
+    return rows;
+}
+
+// Split text into lines of at most maxChars characters
+function wrapText(content, maxChars) {
+    const lines = [];
+    let line = '';
+    String(content).split(/\s+/).forEach(word => {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? line + ' ' + word : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Sheet geometry for a paper size and orientation: the map frame and the panel
+// that holds the title block, schedule and certificates (one column at the side
+// in landscape, two columns below the map in portrait)
+function sheetLayout(paper, orientation) {
+    const [shortSide, longSide] = PAPER_SIZES[paper];
+    const width = orientation === 'portrait' ? shortSide : longSide;
+    const height = orientation === 'portrait' ? longSide : shortSide;
+
+    if (orientation === 'portrait') {
+        const panelHeight = paper === 'A3' ? 130 : 105;
+        const map = { x: MARGIN, y: MARGIN, width: width - 2 * MARGIN, height: height - 2 * MARGIN - panelHeight - GAP };
+        const panel = { x: MARGIN, y: map.y + map.height + GAP, width: map.width, height: panelHeight };
+        const columnWidth = (panel.width - GAP) / 2;
+        return {
+            width, height, map, panel,
+            columns: [0, 1].map(i => ({ x: panel.x + i * (columnWidth + GAP), y: panel.y, width: columnWidth, height: panelHeight }))
+        };
+    }
+
+    const panelWidth = paper === 'A3' ? 110 : 90;
+    const map = { x: MARGIN, y: MARGIN, width: width - 2 * MARGIN - panelWidth - GAP, height: height - 2 * MARGIN };
+    const panel = { x: map.x + map.width + GAP, y: MARGIN, width: panelWidth, height: map.height };
+    return { width, height, map, panel, columns: [{ ...panel }] };
+}
+
+// Largest standard scale at which the extent fills at most 80% of the map frame
+function fitScale(extent, map) {
+    const width = Math.max(extent.maxX - extent.minX, 1);
+    const height = Math.max(extent.maxY - extent.minY, 1);
+    return STANDARD_SCALES.find(scale => width * 1000 / scale <= map.width * 0.8 && height * 1000 / scale <= map.height * 0.8) || null;
+}
+
+function gridTicks(layout, scale, toPaper, toGround) {
+    const { map } = layout;
+    const interval = niceDistance(scale, 30);
+    const [minE, minN] = toGround(map.x, map.y + map.height);
+    const [maxE, maxN] = toGround(map.x + map.width, map.y);
+    const parts = [];
+    const tick = 3;
+    const size = 2;
+
+    // Labels near the corners would run into the labels of the other edges
+    for (let e = Math.ceil(minE / interval) * interval; e <= maxE; e += interval) {
+        const [x] = toPaper(e, 0);
+        parts.push(`<line x1="${fixed(x)}" y1="${map.y}" x2="${fixed(x)}" y2="${map.y + tick}"/>`);
+        parts.push(`<line x1="${fixed(x)}" y1="${map.y + map.height}" x2="${fixed(x)}" y2="${map.y + map.height - tick}"/>`);
+        if (x < map.x + 25 || x > map.x + map.width - 25) continue;
+        const label = `${groupedNumber(e)}E`;
+        parts.push(text(x, map.y + tick + size + 0.5, label, size, 'text-anchor="middle" stroke="none"'));
+        parts.push(text(x, map.y + map.height - tick - 1, label, size, 'text-anchor="middle" stroke="none"'));
+    }
+    for (let n = Math.ceil(minN / interval) * interval; n <= maxN; n += interval) {
+        const [, y] = toPaper(0, n);
+        parts.push(`<line x1="${map.x}" y1="${fixed(y)}" x2="${map.x + tick}" y2="${fixed(y)}"/>`);
+        parts.push(`<line x1="${map.x + map.width}" y1="${fixed(y)}" x2="${map.x + map.width - tick}" y2="${fixed(y)}"/>`);
+        if (y < map.y + 8 || y > map.y + map.height - 8) continue;
+        const label = `${groupedNumber(n)}N`;
+        parts.push(text(map.x + tick + 1, y - 0.5, label, size, 'stroke="none"'));
+        parts.push(text(map.x + map.width - tick - 1, y - 0.5, label, size, 'text-anchor="end" stroke="none"'));
+    }
+
+    // Small crosses at the grid intersections inside the frame
+    for (let e = Math.ceil(minE / interval) * interval; e <= maxE; e += interval) {
+        for (let n = Math.ceil(minN / interval) * interval; n <= maxN; n += interval) {
+            const [x, y] = toPaper(e, n);
+            parts.push(`<path d="M${fixed(x - 1.5)} ${fixed(y)}h3M${fixed(x)} ${fixed(y - 1.5)}v3" stroke="#999"/>`);
+        }
+    }
+
+    return { svg: `<g stroke="#000" stroke-width="0.2" fill="#000">${parts.join('')}</g>`, interval };
+}
+
+function northArrow(x, y) {
+    // Grid north is straight up the sheet: the map is drawn on the projection grid
+    return `<g stroke="#000" stroke-width="0.3">` +
+        `<rect x="${x - 8}" y="${y - 2}" width="16" height="26" fill="#fff" stroke="none"/>` +
+        `<path d="M${x} ${y}l-4 14l4 -4z" fill="#000"/><path d="M${x} ${y}l4 14l-4 -4z" fill="#fff"/>` +
+        text(x, y + 19, 'GN', 3, `text-anchor="middle" stroke="none" font-weight="bold"`) +
+        text(x, y + 22.5, 'Grid North', 2, `text-anchor="middle" stroke="none"`) +
+        '</g>';
+}
+
+function scaleBar(x, y, scale) {
+    const length = niceDistance(scale, 40);
+    const paperLength = length * 1000 / scale;
+    const segment = paperLength / 4;
+    const parts = [`<rect x="${x - 2}" y="${y - 5}" width="${fixed(paperLength + 10)}" height="14" fill="#fff" stroke="none"/>`];
+
+    for (let i = 0; i < 4; i++) {
+        parts.push(`<rect x="${fixed(x + i * segment)}" y="${y}" width="${fixed(segment)}" height="1.5" fill="${i % 2 === 0 ? '#000' : '#fff'}"/>`);
+    }
+    [0, 2, 4].forEach(i => {
+        parts.push(text(x + i * segment, y - 1, `${length * i / 4}${i === 4 ? ' m' : ''}`, 2, 'text-anchor="middle" stroke="none"'));
+    });
+    parts.push(text(x + paperLength / 2, y + 5.5, `Scale 1:${scale}`, 2.5, 'text-anchor="middle" stroke="none" font-weight="bold"'));
+
+    return `<g stroke="#000" stroke-width="0.2" fill="#000">${parts.join('')}</g>`;
+}
+
+function ringPath(rings, toPaper) {
+    return rings.map(ring => 'M' + ring.map(([e, n]) => toPaper(e, n).map(fixed).join(' ')).join('L') + 'Z').join('');
+}
+
+// Bearing above and distance below the middle of every boundary leg, reading upright
+function legLabels(ring, toPaper) {
+    return ring.map((from, i) => {
+        const to = ring[(i + 1) % ring.length];
+        const { bearing, distance } = inverse(from, to);
+        if (distance === 0) return '';
+
+        const [x1, y1] = toPaper(from[0], from[1]);
+        const [x2, y2] = toPaper(to[0], to[1]);
+        let angle = Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI;
+        if (angle > 90) angle -= 180;
+        if (angle <= -90) angle += 180;
+
+        return `<g transform="translate(${fixed((x1 + x2) / 2)} ${fixed((y1 + y2) / 2)}) rotate(${fixed(angle)})">` +
+            text(0, -0.8, formatBearing(bearing), 2, 'text-anchor="middle"') +
+            text(0, 2.6, `${distance.toFixed(2)}`, 2, 'text-anchor="middle"') +
+            '</g>';
+    }).join('');
+}
+
+function beaconMarks(rows, centre, toPaper) {
+    return rows.map(row => {
+        const [x, y] = toPaper(row.easting, row.northing);
+        // Number placed away from the parcel centre
+        const [cx, cy] = toPaper(centre[0], centre[1]);
+        const length = Math.hypot(x - cx, y - cy) || 1;
+        const lx = x + (x - cx) / length * 3;
+        const ly = y + (y - cy) / length * 3 + 1;
+        return `<circle cx="${fixed(x)}" cy="${fixed(y)}" r="0.8" fill="#fff" stroke="#000" stroke-width="0.25"/>` +
+            text(lx, ly, row.name, 2.2, `text-anchor="${x >= cx ? 'start' : 'end'}" font-weight="bold"`);
+    }).join('');
+}
+
+// Panel blocks, each {height, render(x, y, width), truncate?(height)}
+function titleBlock(details) {
+    const rows = details.rows.filter(([, value]) => value !== null && value !== undefined && value !== '');
+    const height = 10 + rows.length * 5 + 2;
+    return {
+        height,
+        render(x, y, width) {
+            return `<rect x="${x}" y="${y}" width="${fixed(width)}" height="${height}" fill="none" stroke="#000" stroke-width="0.4"/>` +
+                text(x + width / 2, y + 7, details.title, 4, 'text-anchor="middle" font-weight="bold"') +
+                `<line x1="${x}" y1="${y + 10}" x2="${fixed(x + width)}" y2="${y + 10}" stroke="#000" stroke-width="0.2"/>` +
+                rows.map(([label, value], i) =>
+                    text(x + 2, y + 14 + i * 5, `${label}:`, 2.5, 'font-weight="bold"') +
+                    text(x + 30, y + 14 + i * 5, value, 2.5)).join('');
+        }
+    };
+}
+
+function scheduleBlock(rows) {
+    const rowHeight = 4;
+    const headerHeight = 12;
+    const block = {
+        rows,
+        hidden: 0,
+        get height() {
+            return headerHeight + (this.rows.length + (this.hidden ? 1 : 0)) * rowHeight + 2;
+        },
+        // Keep as many rows as fit in the height, noting how many were left out
+        truncate(height) {
+            const fit = Math.max(0, Math.floor((height - headerHeight - 2) / rowHeight) - 1);
+            if (fit >= rows.length) return;
+            this.rows = rows.slice(0, fit);
+            this.hidden = rows.length - fit;
+        },
+        render(x, y, width) {
+            const columns = [x + 2, x + width * 0.22, x + width * 0.5, x + width * 0.78];
+            const parts = [
+                `<rect x="${x}" y="${y}" width="${fixed(width)}" height="${this.height}" fill="none" stroke="#000" stroke-width="0.4"/>`,
+                text(x + width / 2, y + 4.5, 'BEACON SCHEDULE', 3, 'text-anchor="middle" font-weight="bold"'),
+                text(columns[0], y + 10, 'Beacon', 2.2, 'font-weight="bold"'),
+                text(columns[1], y + 10, 'Easting (m)', 2.2, 'font-weight="bold"'),
+                text(columns[2], y + 10, 'Northing (m)', 2.2, 'font-weight="bold"'),
+                text(columns[3], y + 10, 'Description', 2.2, 'font-weight="bold"'),
+                `<line x1="${x}" y1="${y + headerHeight - 1}" x2="${fixed(x + width)}" y2="${y + headerHeight - 1}" stroke="#000" stroke-width="0.2"/>`
+            ];
+            this.rows.forEach((row, i) => {
+                const rowY = y + headerHeight + 2.5 + i * rowHeight;
+                parts.push(text(columns[0], rowY, row.name, 2.2));
+                parts.push(text(columns[1], rowY, row.easting.toFixed(2), 2.2));
+                parts.push(text(columns[2], rowY, row.northing.toFixed(2), 2.2));
+                parts.push(text(columns[3], rowY, row.description.slice(0, 18), 2.2));
+            });
+            if (this.hidden) {
+                parts.push(text(columns[0], y + headerHeight + 2.5 + this.rows.length * rowHeight,
+                    `... ${this.hidden} more beacon(s) not shown`, 2.2, 'font-style="italic"'));
+            }
+            return parts.join('');
+        }
+    };
+    return block;
+}
+
+function certificateBlock(certificate, width) {
+    const lines = wrapText(certificate.text, Math.floor(width / 1.3));
+    const height = 8 + lines.length * 3.2 + 12;
+    return {
+        height,
+        render(x, y, blockWidth) {
+            const signatureY = y + height - 4;
+            return `<rect x="${x}" y="${y}" width="${fixed(blockWidth)}" height="${fixed(height)}" fill="none" stroke="#000" stroke-width="0.4"/>` +
+                text(x + 2, y + 5, certificate.heading, 2.8, 'font-weight="bold"') +
+                lines.map((line, i) => text(x + 2, y + 9.5 + i * 3.2, line, 2.2)).join('') +
+                `<line x1="${x + 2}" y1="${fixed(signatureY - 3)}" x2="${fixed(x + blockWidth * 0.55)}" y2="${fixed(signatureY - 3)}" stroke="#000" stroke-width="0.2" stroke-dasharray="0.6 0.6"/>` +
+                `<line x1="${fixed(x + blockWidth * 0.62)}" y1="${fixed(signatureY - 3)}" x2="${fixed(x + blockWidth - 2)}" y2="${fixed(signatureY - 3)}" stroke="#000" stroke-width="0.2" stroke-dasharray="0.6 0.6"/>` +
+                text(x + 2, signatureY, certificate.signature || 'Signature', 2) +
+                text(x + blockWidth * 0.62, signatureY, 'Date', 2);
+        }
+    };
+}
+
+// Place blocks top to bottom, moving to the next column when one is full.
+// The beacon schedule is cut short rather than overflowing the last column.
+function flowBlocks(blocks, columns, warnings) {
+    const parts = [];
+    let column = 0;
+    let y = columns[0].y;
+    let overflow = false;
+
+    blocks.forEach((block, index) => {
+        while (column < columns.length) {
+            const bottom = columns[column].y + columns[column].height;
+            if (y + block.height <= bottom) break;
+            if (block.truncate && column === columns.length - 1) {
+                // Leave room for the blocks that follow
+                const following = blocks.slice(index + 1).reduce((sum, b) => sum + b.height + GAP, 0);
+                block.truncate(bottom - y - following);
+                if (block.hidden) warnings.push(`Beacon schedule shortened: ${block.hidden} beacon(s) do not fit on the sheet`);
+                break;
+            }
+            column++;
+            y = column < columns.length ? columns[column].y : y;
+        }
+        if (column >= columns.length) {
+            if (!overflow) warnings.push('Not all plan sheet panels fit on the sheet');
+            overflow = true;
+            return;
+        }
+
+        parts.push(block.render(columns[column].x, y, columns[column].width));
+        y += block.height + GAP;
+    });
+    return parts.join('');
+}
+
+// Lay out a survey plan sheet.
+// parcel: GeoJSON (object or JSON string) with the parcel polygon(s), WGS84.
+// Options:
+//   paper        'A4' (default) or 'A3'
+//   orientation  'landscape' (default) or 'portrait'
+//   scale        plan scale denominator (e.g. 1000), or 'auto' (default) for the
+//                largest standard scale at which the parcel fits
+//   beacons      survey point records naming the parcel corners in the schedule
+//   context      GeoJSON of neighbouring parcels, drawn in grey
+//   title        title block: {title, parcel, location, client, surveyor, date, drawingNumber}
+//   certificates [{heading, text, signature}] in place of the default placeholders
+//   crs          projected CRS of the plan grid (default UTM 35S)
+// Returns {svg, html, paper, orientation, width, height, scale, gridInterval, areaSqm,
+// beacons, warnings}.
+export function createPlanLayout(parcel, options = {}) {
+    const crs = options.crs || DEFAULT_CRS;
+    const paper = PAPER_SIZES[options.paper] ? options.paper : 'A4';
+    const orientation = options.orientation === 'portrait' ? 'portrait' : 'landscape';
+    const warnings = [];
+
+    const parcels = collectPolygons(parcel, crs);
+    if (parcels.length === 0) {
+        throw new Error('No parcel polygon to lay out');
+    }
+
+    const layout = sheetLayout(paper, orientation);
+    const { map } = layout;
+
+    const allPoints = parcels.flatMap(p => p.polygons.flat(2));
+    const extent = {
+        minX: Math.min(...allPoints.map(p => p[0])),
+        maxX: Math.max(...allPoints.map(p => p[0])),
+        minY: Math.min(...allPoints.map(p => p[1])),
+        maxY: Math.max(...allPoints.map(p => p[1]))
+    };
+
+    let scale = Number(options.scale);
+    if (!options.scale || options.scale === 'auto' || !Number.isFinite(scale) || scale <= 0) {
+        scale = fitScale(extent, map);
+        if (!scale) {
+            scale = STANDARD_SCALES[STANDARD_SCALES.length - 1];
+            warnings.push(`The parcel does not fit on ${paper} even at 1:${scale}`);
+        }
+    } else if ((extent.maxX - extent.minX) * 1000 / scale > map.width || (extent.maxY - extent.minY) * 1000 / scale > map.height) {
+        warnings.push(`The parcel does not fit on ${paper} ${orientation} at 1:${scale} and is cut off by the frame`);
+    }
+
+    // Ground metres to sheet millimetres, with the parcel centred in the map frame
+    const centreE = (extent.minX + extent.maxX) / 2;
+    const centreN = (extent.minY + extent.maxY) / 2;
+    const toPaper = (e, n) => [
+        map.x + map.width / 2 + (e - centreE) * 1000 / scale,
+        map.y + map.height / 2 - (n - centreN) * 1000 / scale
+    ];
+    const toGround = (x, y) => [
+        centreE + (x - map.x - map.width / 2) * scale / 1000,
+        centreN - (y - map.y - map.height / 2) * scale / 1000
+    ];
+
+    const schedule = beaconSchedule(parcels, options.beacons);
+    const areaSqm = parcels.reduce((sum, p) => sum + p.latLngPolygons.reduce((s, polygon) => {
+        const measurement = measurePolygon(polygon, crs);
+        return s + (measurement ? measurement.gridAreaSqm : 0);
+    }, 0), 0);
+
+    const vertices = parcels.flatMap(p => p.polygons.map(polygon => polygon[0])).flat();
+    const centre = [
+        vertices.reduce((sum, v) => sum + v[0], 0) / vertices.length,
+        vertices.reduce((sum, v) => sum + v[1], 0) / vertices.length
+    ];
+
+    const context = collectPolygons(options.context, crs);
+    const grid = gridTicks(layout, scale, toPaper, toGround);
+    const clipId = 'plan-map-frame';
+    const parcelId = parcels[0].id;
+    const [labelX, labelY] = toPaper(centre[0], centre[1]);
+
+    const mapContent = [
+        `<g fill="none" stroke="#888" stroke-width="0.2">${context.map(c => `<path d="${c.polygons.map(p => ringPath(p, toPaper)).join('')}"/>`).join('')}</g>`,
+        `<g fill="#888" font-size="2">${context.filter(c => c.id).map(c => {
+            const ring = c.polygons[0][0];
+            const [x, y] = toPaper(ring.reduce((s, v) => s + v[0], 0) / ring.length, ring.reduce((s, v) => s + v[1], 0) / ring.length);
+            return text(x, y, c.id, 2, 'text-anchor="middle"');
+        }).join('')}</g>`,
+        `<path d="${parcels.map(p => p.polygons.map(polygon => ringPath(polygon, toPaper)).join('')).join('')}" fill="none" stroke="#000" stroke-width="0.5" fill-rule="evenodd"/>`,
+        `<g fill="#000">${parcels.flatMap(p => p.polygons.flat()).map(ring => legLabels(ring, toPaper)).join('')}</g>`,
+        parcelId ? text(labelX, labelY - 1, parcelId, 4, 'text-anchor="middle" font-weight="bold"') : '',
+        text(labelX, labelY + 3.5, `${(areaSqm / 10000).toFixed(4)} ha`, 2.5, 'text-anchor="middle"'),
+        `<g>${beaconMarks(schedule, centre, toPaper)}</g>`
+    ].join('');
+
+    const titleOptions = options.title || {};
+    const blocks = [
+        titleBlock({
+            title: titleOptions.title || 'SURVEY PLAN',
+            rows: [
+                ['Parcel', titleOptions.parcel || parcelId],
+                ['Location', titleOptions.location],
+                ['Client', titleOptions.client],
+                ['Surveyor', titleOptions.surveyor],
+                ['Date', titleOptions.date || new Date().toISOString().slice(0, 10)],
+                ['Drawing No.', titleOptions.drawingNumber],
+                ['Area', `${areaSqm.toFixed(2)} m² (${(areaSqm / 10000).toFixed(4)} ha)`],
+                ['Scale', `1:${scale} on ${paper}`],
+                ['Grid', crs === DEFAULT_CRS ? 'UTM Zone 35S (WGS84), metres' : crs]
+            ]
+        }),
+        scheduleBlock(schedule),
+        ...(options.certificates || DEFAULT_CERTIFICATES).map(c => certificateBlock(c, layout.columns[0].width))
+    ];
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}mm" height="${layout.height}mm" ` +
+        `viewBox="0 0 ${layout.width} ${layout.height}" font-family="${FONT}">` +
+        `<defs><clipPath id="${clipId}"><rect x="${map.x}" y="${map.y}" width="${fixed(map.width)}" height="${fixed(map.height)}"/></clipPath></defs>` +
+        `<rect x="0" y="0" width="${layout.width}" height="${layout.height}" fill="#fff"/>` +
+        `<rect x="${MARGIN / 2}" y="${MARGIN / 2}" width="${layout.width - MARGIN}" height="${layout.height - MARGIN}" fill="none" stroke="#000" stroke-width="0.5"/>` +
+        `<g clip-path="url(#${clipId})">${mapContent}${grid.svg}</g>` +
+        `<rect x="${map.x}" y="${map.y}" width="${fixed(map.width)}" height="${fixed(map.height)}" fill="none" stroke="#000" stroke-width="0.35"/>` +
+        northArrow(map.x + map.width - 12, map.y + 8) +
+        scaleBar(map.x + 8, map.y + map.height - 20, scale) +
+        flowBlocks(blocks, layout.columns, warnings) +
+        '</svg>';
+
+    const title = escapeXml(titleOptions.title || `Survey plan ${parcelId || ''}`.trim());
+    const html = '<!DOCTYPE html>\n<html><head><meta charset="utf-8">' +
+        `<title>${title}</title>` +
+        `<style>@page { size: ${paper} ${orientation}; margin: 0; } ` +
+        'html, body { margin: 0; padding: 0; } ' +
+        `svg { display: block; width: ${layout.width}mm; height: ${layout.height}mm; }</style>` +
+        `</head><body>${svg}</body></html>\n`;
+
+    return {
+        svg,
+        html,
+        paper,
+        orientation,
+        width: layout.width,
+        height: layout.height,
+        scale,
+        gridInterval: grid.interval,
+        areaSqm,
+        beacons: schedule,
+        warnings
+    };
+}
@@ -0,0 +1,180 @@
+// Zoom-level point clustering for large survey point sets
+// Points are clustered once per zoom level, from the highest zoom down: at each
+// level the clusters of the level above that lie within the cluster radius (in
+// screen pixels at that zoom) are merged around a weighted centre. Each cluster
+// keeps a count per PointType and the zoom at which it splits apart again.
+
+const TILE_SIZE = 256;
+
+// Web Mercator position in the range 0 to 1
+function projectX(lng) {
+    return lng / 360 + 0.5;
+}
+
+function projectY(lat) {
+    const sin = Math.sin(lat * Math.PI / 180);
+    const y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+    return Math.min(Math.max(y, 0), 1);
+}
+
+function unprojectLng(x) {
+    return (x - 0.5) * 360;
+}
+
+function unprojectLat(y) {
+    const y2 = (180 - y * 360) * Math.PI / 180;
+    return 360 * Math.atan(Math.exp(y2)) / Math.PI - 90;
+}
+
+function addTypes(target, source) {
+    Object.keys(source).forEach(type => {
+        target[type] = (target[type] || 0) + source[type];
+    });
+}
+
+// Merge the nodes of one zoom level into clusters for the level below
+function clusterLevel(nodes, zoom, radius, createNode) {
+    const r = radius / (TILE_SIZE * Math.pow(2, zoom));
+    const cells = new Map();
+    const cellKey = (cx, cy) => `${cx}:${cy}`;
+    nodes.forEach((node, i) => {
+        const key = cellKey(Math.floor(node.x / r), Math.floor(node.y / r));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+    });
+
+    const merged = new Uint8Array(nodes.length);
+    const result = [];
+    nodes.forEach((node, i) => {
+        if (merged[i]) return;
+        merged[i] = 1;
+
+        const cx = Math.floor(node.x / r);
+        const cy = Math.floor(node.y / r);
+        const neighbours = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const cell = cells.get(cellKey(cx + dx, cy + dy));
+                if (!cell) continue;
+                cell.forEach(j => {
+                    if (merged[j]) return;
+                    const other = nodes[j];
+                    if ((other.x - node.x) * (other.x - node.x) + (other.y - node.y) * (other.y - node.y) <= r * r) {
+                        neighbours.push(j);
+                    }
+                });
+            }
+        }
+
+        if (neighbours.length === 0) {
+            result.push(node);
+            return;
+        }
+
+        let count = node.count;
+        let sumX = node.x * node.count;
+        let sumY = node.y * node.count;
+        const types = {};
+        addTypes(types, node.types);
+        const children = [node.id];
+        neighbours.forEach(j => {
+            merged[j] = 1;
+            const other = nodes[j];
+            count += other.count;
+            sumX += other.x * other.count;
+            sumY += other.y * other.count;
+            addTypes(types, other.types);
+            children.push(other.id);
+        });
+        result.push(createNode({
+            x: sumX / count,
+            y: sumY / count,
+            count,
+            types,
+            children,
+            // The cluster first splits at the level it was merged from
+            expansionZoom: zoom + 1
+        }));
+    });
+    return result;
+}
+
+// Build the cluster index.
+// points: [{lat, lng, pointType}] (other fields are kept and handed back by getClusters)
+// Options: radius (pixels, default 60), minZoom (default 0), maxZoom (highest zoom
+// that clusters, default 17; above it every point is shown).
+export function createClusterIndex(points, options = {}) {
+    const radius = options.radius || 60;
+    const minZoom = options.minZoom !== undefined ? options.minZoom : 0;
+    const maxZoom = options.maxZoom !== undefined ? options.maxZoom : 17;
+
+    const nodes = [];
+    const createNode = node => {
+        node.id = nodes.length;
+        nodes.push(node);
+        return node;
+    };
+
+    let level = [];
+    points.forEach((point, index) => {
+        const lat = Number(point.lat);
+        const lng = Number(point.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+        level.push(createNode({
+            x: projectX(lng),
+            y: projectY(lat),
+            count: 1,
+            types: { [point.pointType || 'Other']: 1 },
+            point: index
+        }));
+    });
+
+    const levels = {};
+    levels[maxZoom + 1] = level;
+    for (let z = maxZoom; z >= minZoom; z--) {
+        level = clusterLevel(level, z, radius, createNode);
+        levels[z] = level;
+    }
+
+    return { points, nodes, levels, minZoom, maxZoom, pointCount: levels[maxZoom + 1].length };
+}
+
+function toItem(index, node) {
+    const latLng = [unprojectLat(node.y), unprojectLng(node.x)];
+    if (node.point !== undefined) {
+        return { cluster: false, latLng, point: index.points[node.point], id: node.id };
+    }
+    return { cluster: true, latLng, count: node.count, types: node.types, expansionZoom: node.expansionZoom, id: node.id };
+}
+
+// Clusters and single points at a zoom level within bounds [west, south, east, north]
+// Returns [{cluster: true, latLng, count, types, expansionZoom, id}
+//          or {cluster: false, latLng, point, id}].
+export function getClusters(index, bounds, zoom) {
+    const z = Math.max(index.minZoom, Math.min(Math.floor(zoom), index.maxZoom + 1));
+    const [west, south, east, north] = bounds;
+    const minX = projectX(Math.max(west, -180));
+    const maxX = projectX(Math.min(east, 180));
+    const minY = projectY(Math.min(north, 90));
+    const maxY = projectY(Math.max(south, -90));
+
+    return index.levels[z]
+        .filter(node => node.x >= minX && node.x <= maxX && node.y >= minY && node.y <= maxY)
+        .map(node => toItem(index, node));
+}
+
+// The original points under a cluster
+export function getClusterPoints(index, clusterId) {
+    const result = [];
+    const stack = [index.nodes[clusterId]];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node) continue;
+        if (node.point !== undefined) {
+            result.push(index.points[node.point]);
+        } else {
+            node.children.forEach(id => stack.push(index.nodes[id]));
+        }
+    }
+    return result;
+}
@@ -0,0 +1,190 @@
+// Survey point symbology by accuracy class and point type
+// Classes follow the accuracy standards table (horizontal / vertical, metres):
+//   A  0.05 / 0.10   urban cadastral
+//   B  0.10 / 0.20   peri-urban
+//   C  0.20 / 0.30   rural cadastral
+//   D  0.50 / -      reconnaissance
+// A point takes the worse of its horizontal and vertical classes; points without
+// a horizontal accuracy, or outside class D, are unclassified.
+import { DEFAULT_CRS, toLatLng } from './projection.js';
+
+export const ACCURACY_CLASSES = [
+    { name: 'A', horizontal: 0.05, vertical: 0.10, color: '#2ecc71', useCase: 'Urban cadastral' },
+    { name: 'B', horizontal: 0.10, vertical: 0.20, color: '#3498db', useCase: 'Peri-urban' },
+    { name: 'C', horizontal: 0.20, vertical: 0.30, color: '#f39c12', useCase: 'Rural cadastral' },
+    { name: 'D', horizontal: 0.50, vertical: null, color: '#e74c3c', useCase: 'Reconnaissance' }
+];
+
+const UNCLASSIFIED_COLOR = '#7f8c8d';
+
+// Symbol shape per PointType; anything else is drawn as a diamond
+const TYPE_SHAPES = {
+    Control: 'triangle',
+    Boundary: 'circle',
+    Station: 'square'
+};
+
+function toAccuracy(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// Accuracy class name ('A' to 'D') from horizontal and vertical accuracies in
+// metres, or null when unclassified
+export function accuracyClass(horizontalAccuracy, verticalAccuracy = null) {
+    const horizontal = toAccuracy(horizontalAccuracy);
+    const vertical = toAccuracy(verticalAccuracy);
+    if (horizontal === null) return null;
+
+    const index = ACCURACY_CLASSES.findIndex(c =>
+        horizontal <= c.horizontal && (vertical === null || c.vertical === null || vertical <= c.vertical));
+    return index === -1 ? null : ACCURACY_CLASSES[index].name;
+}
+
+export function classColor(className) {
+    const match = ACCURACY_CLASSES.find(c => c.name === className);
+    return match ? match.color : UNCLASSIFIED_COLOR;
+}
+
+// SVG markup of the symbol for a point type, size pixels square
+export function pointSymbolSvg(pointType, color, size = 16) {
+    const shape = TYPE_SHAPES[pointType] || 'diamond';
+    const s = size;
+    const stroke = `fill="${color}" stroke="#fff" stroke-width="1.5"`;
+    let body;
+    switch (shape) {
+        case 'triangle':
+            body = `<polygon points="${s / 2},1.5 ${s - 1.5},${s - 1.5} 1.5,${s - 1.5}" ${stroke}/>` +
+                `<circle cx="${s / 2}" cy="${s * 0.62}" r="1.5" fill="#fff"/>`;
+            break;
+        case 'circle':
+            body = `<circle cx="${s / 2}" cy="${s / 2}" r="${s / 2 - 1.5}" ${stroke}/>`;
+            break;
+        case 'square':
+            body = `<rect x="2" y="2" width="${s - 4}" height="${s - 4}" ${stroke}/>`;
+            break;
+        default:
+            body = `<polygon points="${s / 2},1 ${s - 1},${s / 2} ${s / 2},${s - 1} 1,${s / 2}" ${stroke}/>`;
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${s}" height="${s}" viewBox="0 0 ${s} ${s}">${body}</svg>`;
+}
+
+// Ring colours for the PointType breakdown of a cluster
+const TYPE_COLORS = {
+    Control: '#e31a1c',
+    Boundary: '#1f78b4',
+    Station: '#33a02c',
+    Other: '#6a3d9a'
+};
+
+export function pointTypeColor(pointType) {
+    return TYPE_COLORS[pointType] || TYPE_COLORS.Other;
+}
+
+// SVG markup of a cluster: the point count inside a ring split by PointType.
+// types: {pointType: count}
+export function clusterSymbolSvg(count, types, size) {
+    const r = size / 2 - 3;
+    const circumference = 2 * Math.PI * r;
+    let offset = 0;
+    const segments = Object.keys(types)
+        .sort((a, b) => types[b] - types[a])
+        .map(type => {
+            const length = circumference * types[type] / count;
+            const segment = `<circle cx="${size / 2}" cy="${size / 2}" r="${r}" fill="none" stroke="${pointTypeColor(type)}" ` +
+                `stroke-width="5" stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" ` +
+                `transform="rotate(-90 ${size / 2} ${size / 2})"/>`;
+            offset += length;
+            return segment;
+        });
+    const label = count >= 10000 ? `${Math.round(count / 1000)}k` : count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+        `<circle cx="${size / 2}" cy="${size / 2}" r="${size / 2 - 1}" fill="#fff" fill-opacity="0.9"/>${segments.join('')}` +
+        `<text x="${size / 2}" y="${size / 2}" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" ` +
+        `font-size="${size < 40 ? 11 : 13}" font-weight="bold" fill="#333">${label}</text></svg>`;
+}
+
+// Legend markup: one row per accuracy class, then one per point type symbol
+export function legendHtml(options = {}) {
+    const types = options.pointTypes || [...Object.keys(TYPE_SHAPES), 'Other'];
+    const rows = ACCURACY_CLASSES.map(c =>
+        `<div><span style="display:inline-block;width:12px;height:12px;background:${c.color};margin-right:6px;vertical-align:middle;"></span>` +
+        `Class ${c.name} (H &le; ${Math.round(c.horizontal * 100)} cm${c.vertical !== null ? `, V &le; ${Math.round(c.vertical * 100)} cm` : ''})</div>`);
+    rows.push(`<div><span style="display:inline-block;width:12px;height:12px;background:${UNCLASSIFIED_COLOR};margin-right:6px;vertical-align:middle;"></span>Unclassified</div>`);
+
+    const typeRows = types.map(type =>
+        `<div><span style="margin-right:6px;vertical-align:middle;">${pointSymbolSvg(type, '#555', 12)}</span>${type}</div>`);
+    const circleRow = options.accuracyCircles
+        ? '<div><span style="display:inline-block;width:10px;height:10px;border:1px solid #555;border-radius:50%;margin-right:6px;vertical-align:middle;"></span>Horizontal accuracy (to scale)</div>'
+        : '';
+
+    return `<strong>Accuracy class</strong>${rows.join('')}<strong>Point type</strong>${typeRows.join('')}${circleRow}`;
+}
+
+// First defined property of a GeoJSON feature, trying camelCase then PascalCase
+function property(properties, name) {
+    if (!properties) return null;
+    const pascal = name.charAt(0).toUpperCase() + name.slice(1);
+    const value = properties[name] !== undefined ? properties[name] : properties[pascal];
+    return value === undefined ? null : value;
+}
+
+// Points to symbolise from survey point model records (PointNumber, Easting,
+// Northing, HorizontalAccuracy, ...) or GeoJSON (object or JSON string).
+// Returns [{latLng, pointNumber, pointType, description, elevation,
+// horizontalAccuracy, verticalAccuracy, accuracyClass, color}].
+export function readSymbolPoints(data, crs = DEFAULT_CRS) {
+    if (!data) return [];
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const points = [];
+    const add = (latLng, values) => {
+        const horizontal = toAccuracy(values.horizontalAccuracy);
+        const vertical = toAccuracy(values.verticalAccuracy);
+        const className = accuracyClass(horizontal, vertical);
+        points.push({
+            latLng,
+            pointNumber: values.pointNumber !== null && values.pointNumber !== undefined ? String(values.pointNumber) : null,
+            pointType: values.pointType || null,
+            description: values.description || null,
+            elevation: values.elevation !== null && values.elevation !== undefined ? Number(values.elevation) : null,
+            horizontalAccuracy: horizontal,
+            verticalAccuracy: vertical,
+            accuracyClass: className,
+            color: classColor(className)
+        });
+    };
+
+    if (Array.isArray(parsed)) {
+        parsed
+            .filter(p => p.Easting !== null && p.Easting !== undefined && p.Northing !== null && p.Northing !== undefined)
+            .forEach(p => add(toLatLng(Number(p.Easting), Number(p.Northing), crs), {
+                pointNumber: p.PointNumber,
+                pointType: p.PointType,
+                description: p.Description,
+                elevation: p.Elevation,
+                horizontalAccuracy: p.HorizontalAccuracy,
+                verticalAccuracy: p.VerticalAccuracy
+            }));
+        return points;
+    }
+
+    const features = parsed.type === 'FeatureCollection' ? parsed.features
+        : parsed.type === 'Feature' ? [parsed] : [];
+    features.forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+        const positions = geometry.type === 'Point' ? [geometry.coordinates]
+            : geometry.type === 'MultiPoint' ? geometry.coordinates : [];
+        const properties = feature.properties;
+        positions.forEach(([lng, lat, elevation]) => add([lat, lng], {
+            pointNumber: property(properties, 'pointNumber') !== null ? property(properties, 'pointNumber') : property(properties, 'name'),
+            pointType: property(properties, 'pointType'),
+            description: property(properties, 'description'),
+            elevation: property(properties, 'elevation') !== null ? property(properties, 'elevation') : elevation,
+            horizontalAccuracy: property(properties, 'horizontalAccuracy'),
+            verticalAccuracy: property(properties, 'verticalAccuracy')
+        }));
+    });
+    return points;
+}
@@ -0,0 +1,63 @@
+// Projection helpers for the Leaflet wrapper (requires proj4js)
+// Leaflet always displays WGS84; survey data arrives as easting/northing in a
+// projected CRS, UTM Zone 35S unless stated otherwise.
+
+export const DEFAULT_CRS = 'EPSG:32735';
+
+// Projected CRS definitions available out of the box (Zambia spans UTM 34S-36S)
+const builtInDefinitions = {
+    'EPSG:32734': '+proj=utm +zone=34 +south +datum=WGS84 +units=m +no_defs',
+    'EPSG:32735': '+proj=utm +zone=35 +south +datum=WGS84 +units=m +no_defs',
+    'EPSG:32736': '+proj=utm +zone=36 +south +datum=WGS84 +units=m +no_defs'
+};
+
+let definitionsLoaded = false;
+
+function ensureProj4() {
+    if (typeof proj4 === 'undefined') {
+        throw new Error('proj4 library not loaded');
+    }
+
+    if (!definitionsLoaded) {
+        for (const [code, definition] of Object.entries(builtInDefinitions)) {
+            proj4.defs(code, definition);
+        }
+        definitionsLoaded = true;
+    }
+}
+
+// Register (or replace) a projected CRS from a proj4 definition string
+export function registerCrs(code, definition) {
+    ensureProj4();
+    proj4.defs(code, definition);
+}
+
+// Projected easting/northing to [lat, lng]
+export function toLatLng(easting, northing, crs = DEFAULT_CRS) {
+    ensureProj4();
+    if (!proj4.defs(crs)) {
+        throw new Error(`Unknown CRS '${crs}'`);
+    }
+
+    const [lng, lat] = proj4(crs, 'EPSG:4326', [Number(easting), Number(northing)]);
+    return [lat, lng];
+}
+
+// [lat, lng] to projected [easting, northing]
+export function fromLatLng(lat, lng, crs = DEFAULT_CRS) {
+    ensureProj4();
+    if (!proj4.defs(crs)) {
+        throw new Error(`Unknown CRS '${crs}'`);
+    }
+
+    return proj4('EPSG:4326', crs, [Number(lng), Number(lat)]);
+}
+
+// Project a (possibly nested) array of [easting, northing] pairs to [lat, lng] pairs,
+// so polygons with holes and multi-part lines keep their structure
+export function toLatLngs(coordinates, crs = DEFAULT_CRS) {
+    if (Array.isArray(coordinates[0])) {
+        return coordinates.map(c => toLatLngs(c, crs));
+    }
+    return toLatLng(coordinates[0], coordinates[1], crs);
+}
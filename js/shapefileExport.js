@@ -0,0 +1,369 @@
+// ESRI shapefile writer: GeoJSON to a zipped .shp/.shx/.dbf/.prj/.cpg set
+// A shapefile holds one geometry type, so mixed GeoJSON is split into one set per
+// type (polygons, lines, points, multipoints). Coordinates are written in UTM 35S
+// (EPSG:32735) by default, as the Lands and Deeds office expects, or in WGS84.
+import { DEFAULT_CRS, fromLatLng } from './projection.js';
+import { createZip } from './zip.js';
+
+const SHAPE_POINT = 1;
+const SHAPE_POLYLINE = 3;
+const SHAPE_POLYGON = 5;
+const SHAPE_MULTIPOINT = 8;
+
+// File name suffix and shape type of each geometry group
+const shapeGroups = {
+    polygons: SHAPE_POLYGON,
+    lines: SHAPE_POLYLINE,
+    points: SHAPE_POINT,
+    multipoints: SHAPE_MULTIPOINT
+};
+
+const GEOGCS_WGS84 = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// ESRI WKT for WGS84 or a WGS84 UTM zone (EPSG:326xx north, 327xx south)
+export function prjForCrs(crs) {
+    if (crs === 'EPSG:4326') return GEOGCS_WGS84;
+
+    const match = /^EPSG:32([67])(\d{2})$/.exec(crs);
+    if (!match) return null;
+
+    const south = match[1] === '7';
+    const zone = Number(match[2]);
+    return `PROJCS["WGS_1984_UTM_Zone_${zone}${south ? 'S' : 'N'}",${GEOGCS_WGS84},` +
+        'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],' +
+        `PARAMETER["False_Northing",${south ? '10000000.0' : '0.0'}],PARAMETER["Central_Meridian",${zone * 6 - 183}.0],` +
+        'PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+}
+
+// Signed area of a ring of [x, y]; negative for clockwise rings
+function signedArea(ring) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return sum / 2;
+}
+
+function closeRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+// Shapefile rings: outer rings clockwise, holes counter-clockwise, always closed
+function orientRings(polygon) {
+    return polygon.map((ring, index) => {
+        const closed = closeRing(ring);
+        const clockwise = signedArea(closed) < 0;
+        return (index === 0) === clockwise ? closed : [...closed].reverse();
+    });
+}
+
+// Sort a feature into a geometry group with its coordinates converted to the
+// output CRS; returns null for geometries a shapefile cannot hold
+function toShape(geometry, convert) {
+    if (!geometry) return null;
+
+    const line = coordinates => coordinates.map(convert);
+    switch (geometry.type) {
+        case 'Point':
+            return { group: 'points', points: [convert(geometry.coordinates)] };
+        case 'MultiPoint':
+            return { group: 'multipoints', points: line(geometry.coordinates) };
+        case 'LineString':
+            return { group: 'lines', parts: [line(geometry.coordinates)] };
+        case 'MultiLineString':
+            return { group: 'lines', parts: geometry.coordinates.map(line) };
+        case 'Polygon':
+            return { group: 'polygons', parts: orientRings(geometry.coordinates.map(line)) };
+        case 'MultiPolygon':
+            return { group: 'polygons', parts: geometry.coordinates.flatMap(polygon => orientRings(polygon.map(line))) };
+        default:
+            return null;
+    }
+}
+
+function boundingBox(points) {
+    let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+    points.forEach(([x, y]) => {
+        xMin = Math.min(xMin, x);
+        yMin = Math.min(yMin, y);
+        xMax = Math.max(xMax, x);
+        yMax = Math.max(yMax, y);
+    });
+    return [xMin, yMin, xMax, yMax];
+}
+
+// Byte length of a record's content
+function contentLength(shapeType, shape) {
+    switch (shapeType) {
+        case SHAPE_POINT:
+            return 20;
+        case SHAPE_MULTIPOINT:
+            return 40 + shape.points.length * 16;
+        default: {
+            const pointCount = shape.parts.reduce((sum, part) => sum + part.length, 0);
+            return 44 + shape.parts.length * 4 + pointCount * 16;
+        }
+    }
+}
+
+function writeHeader(view, shapeType, fileLength, box) {
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, fileLength / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    box.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+}
+
+function writeBox(view, offset, box) {
+    box.forEach((value, i) => view.setFloat64(offset + i * 8, value, true));
+}
+
+// Write the .shp and .shx files for shapes of one type
+function writeShapes(shapeType, shapes) {
+    const lengths = shapes.map(shape => contentLength(shapeType, shape));
+    const shpLength = 100 + lengths.reduce((sum, length) => sum + 8 + length, 0);
+    const shxLength = 100 + shapes.length * 8;
+
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(shxLength));
+    const allPoints = shapes.flatMap(shape => shape.points || shape.parts.flat());
+    const box = allPoints.length > 0 ? boundingBox(allPoints) : [0, 0, 0, 0];
+
+    writeHeader(shp, shapeType, shpLength, box);
+    writeHeader(shx, shapeType, shxLength, box);
+
+    let offset = 100;
+    shapes.forEach((shape, index) => {
+        const length = lengths[index];
+        shx.setInt32(100 + index * 8, offset / 2, false);
+        shx.setInt32(104 + index * 8, length / 2, false);
+
+        shp.setInt32(offset, index + 1, false);
+        shp.setInt32(offset + 4, length / 2, false);
+        let position = offset + 8;
+        shp.setInt32(position, shapeType, true);
+        position += 4;
+
+        if (shapeType === SHAPE_POINT) {
+            shp.setFloat64(position, shape.points[0][0], true);
+            shp.setFloat64(position + 8, shape.points[0][1], true);
+        } else if (shapeType === SHAPE_MULTIPOINT) {
+            writeBox(shp, position, boundingBox(shape.points));
+            shp.setInt32(position + 32, shape.points.length, true);
+            position += 36;
+            shape.points.forEach(([x, y]) => {
+                shp.setFloat64(position, x, true);
+                shp.setFloat64(position + 8, y, true);
+                position += 16;
+            });
+        } else {
+            const points = shape.parts.flat();
+            writeBox(shp, position, boundingBox(points));
+            shp.setInt32(position + 32, shape.parts.length, true);
+            shp.setInt32(position + 36, points.length, true);
+            position += 40;
+
+            let start = 0;
+            shape.parts.forEach(part => {
+                shp.setInt32(position, start, true);
+                position += 4;
+                start += part.length;
+            });
+            points.forEach(([x, y]) => {
+                shp.setFloat64(position, x, true);
+                shp.setFloat64(position + 8, y, true);
+                position += 16;
+            });
+        }
+
+        offset += 8 + length;
+    });
+
+    return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+}
+
+// dBASE field definitions from the feature properties. Names are cut to the
+// 10 characters dBASE allows and made unique.
+function defineFields(propertiesList) {
+    const encoder = new TextEncoder();
+    const fields = [];
+    const byKey = new Map();
+    const usedNames = new Set();
+
+    propertiesList.forEach(properties => {
+        Object.entries(properties || {}).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                if (!byKey.has(key)) byKey.set(key, { key, type: null, length: 1, decimals: 0 });
+                return;
+            }
+
+            let field = byKey.get(key);
+            if (!field) {
+                field = { key, type: null, length: 1, decimals: 0 };
+                byKey.set(key, field);
+            }
+
+            const valueType = typeof value === 'number' ? 'N' : typeof value === 'boolean' ? 'L' : 'C';
+            if (field.type && field.type !== valueType) {
+                field.type = 'C';
+            } else if (!field.type) {
+                field.type = valueType;
+            }
+            if (valueType === 'N' && !Number.isInteger(value)) {
+                field.decimals = 6;
+            }
+            field.length = Math.max(field.length, encoder.encode(formatValue(value)).length);
+        });
+    });
+
+    byKey.forEach(field => {
+        if (!field.type) field.type = 'C';
+        if (field.type === 'N') {
+            field.length = 18;
+        } else if (field.type === 'L') {
+            field.length = 1;
+        } else {
+            field.length = Math.min(254, field.length);
+        }
+
+        let name = field.key.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'FIELD';
+        for (let n = 1; usedNames.has(name.toUpperCase()); n++) {
+            name = name.slice(0, 10 - String(n).length) + n;
+        }
+        usedNames.add(name.toUpperCase());
+        field.name = name;
+        fields.push(field);
+    });
+    return fields;
+}
+
+function formatValue(value) {
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Write the .dbf attribute table (UTF-8, declared in the .cpg file)
+function writeDbf(fields, propertiesList) {
+    const encoder = new TextEncoder();
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+    const bytes = new Uint8Array(headerLength + propertiesList.length * recordLength + 1);
+    const view = new DataView(bytes.buffer);
+    const today = new Date();
+
+    bytes[0] = 0x03;
+    bytes[1] = today.getFullYear() - 1900;
+    bytes[2] = today.getMonth() + 1;
+    bytes[3] = today.getDate();
+    view.setUint32(4, propertiesList.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, i) => {
+        const offset = 32 + i * 32;
+        bytes.set(encoder.encode(field.name), offset);
+        bytes[offset + 11] = field.type.charCodeAt(0);
+        bytes[offset + 16] = field.length;
+        bytes[offset + 17] = field.decimals;
+    });
+    bytes[headerLength - 1] = 0x0D;
+
+    propertiesList.forEach((properties, index) => {
+        let offset = headerLength + index * recordLength;
+        bytes[offset++] = 0x20; // not deleted
+
+        fields.forEach(field => {
+            const value = properties ? properties[field.key] : null;
+            let text = '';
+            if (value !== null && value !== undefined) {
+                if (field.type === 'N') {
+                    text = typeof value === 'number' && Number.isFinite(value) ? value.toFixed(field.decimals) : '';
+                    if (text.length > field.length) text = value.toExponential(8);
+                    text = text.padStart(field.length, ' ');
+                } else if (field.type === 'L') {
+                    text = value ? 'T' : 'F';
+                } else {
+                    text = formatValue(value);
+                }
+            }
+
+            // Truncate on the byte length, without splitting a UTF-8 character
+            let encoded = encoder.encode(text);
+            while (encoded.length > field.length) {
+                text = text.slice(0, -1);
+                encoded = encoder.encode(text);
+            }
+            bytes.fill(0x20, offset, offset + field.length);
+            bytes.set(encoded, offset);
+            offset += field.length;
+        });
+    });
+
+    bytes[bytes.length - 1] = 0x1A;
+    return bytes;
+}
+
+// Build a zipped shapefile set from GeoJSON (object or JSON string).
+// Options: crs ('EPSG:32735' by default, or 'EPSG:4326' for WGS84; any WGS84 UTM
+// zone works), prj (WKT to use instead of the built-in one).
+// Returns {zip (Uint8Array), files (names in the archive), featureCount,
+// skippedCount}.
+export function createShapefile(geoJson, name = 'export', options = {}) {
+    const data = typeof geoJson === 'string' ? JSON.parse(geoJson) : geoJson;
+    const crs = options.crs || DEFAULT_CRS;
+    const prj = options.prj || prjForCrs(crs);
+    if (!prj) {
+        throw new Error(`No .prj definition for '${crs}'; pass options.prj`);
+    }
+
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+        : [{ type: 'Feature', properties: {}, geometry: data }];
+
+    const convert = crs === 'EPSG:4326'
+        ? coordinate => [coordinate[0], coordinate[1]]
+        : coordinate => fromLatLng(coordinate[1], coordinate[0], crs);
+
+    const groups = {};
+    let skippedCount = 0;
+    features.forEach(feature => {
+        const shape = toShape(feature.geometry, convert);
+        if (!shape) {
+            skippedCount++;
+            return;
+        }
+        if (!groups[shape.group]) groups[shape.group] = { shapes: [], properties: [] };
+        groups[shape.group].shapes.push(shape);
+        groups[shape.group].properties.push(feature.properties || {});
+    });
+
+    const groupNames = Object.keys(shapeGroups).filter(group => groups[group]);
+    if (groupNames.length === 0) {
+        throw new Error('No features with a geometry a shapefile can hold');
+    }
+
+    const files = [];
+    groupNames.forEach(group => {
+        // A single geometry type keeps the plain name
+        const baseName = groupNames.length === 1 ? name : `${name}_${group}`;
+        const { shp, shx } = writeShapes(shapeGroups[group], groups[group].shapes);
+        const fields = defineFields(groups[group].properties);
+
+        files.push(
+            { name: `${baseName}.shp`, data: shp },
+            { name: `${baseName}.shx`, data: shx },
+            { name: `${baseName}.dbf`, data: writeDbf(fields, groups[group].properties) },
+            { name: `${baseName}.prj`, data: prj },
+            { name: `${baseName}.cpg`, data: 'UTF-8' });
+    });
+
+    return {
+        zip: createZip(files),
+        files: files.map(file => file.name),
+        featureCount: features.length - skippedCount,
+        skippedCount: skippedCount
+    };
+}
@@ -0,0 +1,129 @@
+// Vertex and edge snapping for the draw tools
+// Candidates are the vertices and edges of layers already on the map (GeoJSON
+// parcels, control point markers, drawn items). Distances are measured in screen
+// pixels at the current zoom; vertices win over edges within the tolerance.
+
+const defaultOptions = {
+    tolerance: 12,
+    vertices: true,
+    edges: true,
+    indicatorColor: '#ff6b00'
+};
+
+// Split Leaflet latLngs (flat, rings or multi-polygons) into flat parts
+function toParts(latLngs) {
+    if (latLngs.length === 0) return [];
+    return L.LineUtil.isFlat(latLngs) ? [latLngs] : latLngs.flatMap(toParts);
+}
+
+// Create a snapper for one map.
+// getLayers() returns the layers (or layer groups) to snap to; it is called on
+// every snap so newly added features are picked up.
+export function createSnapper(map, getLayers, options = {}) {
+    const settings = { ...defaultOptions, ...options };
+
+    const indicator = L.circleMarker([0, 0], {
+        radius: 7,
+        color: settings.indicatorColor,
+        weight: 2,
+        fill: false,
+        interactive: false
+    });
+
+    // Find the snap target near latlng.
+    // exclude.layer skips one layer, exclude.vertex skips any path containing that
+    // LatLng object (the vertex being dragged in edit mode).
+    function snap(latlng, exclude = {}) {
+        const zoom = map.getZoom();
+        const point = map.project(latlng, zoom);
+        const tolerance = settings.tolerance;
+        const searchBounds = L.latLngBounds(
+            map.unproject(point.subtract([tolerance, tolerance]), zoom),
+            map.unproject(point.add([tolerance, tolerance]), zoom));
+
+        let vertex = null;
+        let vertexDistance = tolerance;
+        let edgePoint = null;
+        let edgeDistance = tolerance;
+
+        function considerVertex(candidate) {
+            const distance = point.distanceTo(map.project(candidate, zoom));
+            if (distance <= vertexDistance) {
+                vertex = candidate;
+                vertexDistance = distance;
+            }
+        }
+
+        function visit(layer) {
+            if (layer === exclude.layer || layer === indicator) return;
+
+            if (layer instanceof L.LayerGroup) {
+                layer.eachLayer(visit);
+                return;
+            }
+
+            if (layer instanceof L.Marker || layer instanceof L.CircleMarker) {
+                if (settings.vertices) {
+                    considerVertex(layer.getLatLng());
+                }
+                return;
+            }
+
+            if (!(layer instanceof L.Polyline) || layer.isEmpty()) return;
+            if (!layer.getBounds().intersects(searchBounds)) return;
+
+            const parts = toParts(layer.getLatLngs());
+            if (exclude.vertex && parts.some(part => part.includes(exclude.vertex))) return;
+
+            const closed = layer instanceof L.Polygon;
+            parts.forEach(part => {
+                if (settings.vertices) {
+                    part.forEach(considerVertex);
+                }
+                if (!settings.edges) return;
+
+                const points = part.map(ll => map.project(ll, zoom));
+                const count = closed ? points.length : points.length - 1;
+                for (let i = 0; i < count; i++) {
+                    const closest = L.LineUtil.closestPointOnSegment(point, points[i], points[(i + 1) % points.length]);
+                    const distance = point.distanceTo(closest);
+                    if (distance <= edgeDistance) {
+                        edgePoint = closest;
+                        edgeDistance = distance;
+                    }
+                }
+            });
+        }
+
+        getLayers().forEach(visit);
+
+        // Copy the vertex so the new shape never shares a LatLng object with its neighbour
+        if (vertex) {
+            return { latlng: L.latLng(vertex.lat, vertex.lng), type: 'vertex', distance: vertexDistance };
+        }
+        if (edgePoint) {
+            return { latlng: map.unproject(edgePoint, zoom), type: 'edge', distance: edgeDistance };
+        }
+        return null;
+    }
+
+    // Show the indicator at a snap result, or hide it for null
+    function showIndicator(result) {
+        if (!result) {
+            indicator.remove();
+            return;
+        }
+
+        indicator.setLatLng(result.latlng);
+        indicator.setStyle({ dashArray: result.type === 'edge' ? '3,3' : null });
+        if (!map.hasLayer(indicator)) {
+            indicator.addTo(map);
+        }
+    }
+
+    function remove() {
+        indicator.remove();
+    }
+
+    return { options: settings, snap, showIndicator, remove };
+}
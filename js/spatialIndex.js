@@ -0,0 +1,295 @@
+// Spatial index and queries over GeoJSON features
+// Features are packed into an R-tree (sort-tile-recursive bulk load) on their
+// longitude/latitude bounding boxes. Distances are in metres on a local plane
+// around the query point, which is accurate at survey scales (well under 0.1%
+// within a few kilometres). Point features may carry a radius in metres
+// (properties.radius) and then behave as circles.
+
+const NODE_CAPACITY = 16;
+const METRES_PER_DEGREE = 6371008.8 * Math.PI / 180;
+
+// Bounding box [minX, minY, maxX, maxY] in degrees of a GeoJSON geometry
+function geometryBounds(geometry, radius) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const visit = coordinates => {
+        if (typeof coordinates[0] === 'number') {
+            bounds[0] = Math.min(bounds[0], coordinates[0]);
+            bounds[1] = Math.min(bounds[1], coordinates[1]);
+            bounds[2] = Math.max(bounds[2], coordinates[0]);
+            bounds[3] = Math.max(bounds[3], coordinates[1]);
+            return;
+        }
+        coordinates.forEach(visit);
+    };
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(g => visit(g.coordinates));
+    } else {
+        visit(geometry.coordinates);
+    }
+
+    if (radius > 0) {
+        const dLat = radius / METRES_PER_DEGREE;
+        const dLng = dLat / Math.max(Math.cos((bounds[1] + bounds[3]) / 2 * Math.PI / 180), 1e-6);
+        return [bounds[0] - dLng, bounds[1] - dLat, bounds[2] + dLng, bounds[3] + dLat];
+    }
+    return bounds;
+}
+
+// Pack items (each with bounds) into R-tree nodes
+function buildTree(items) {
+    let nodes = items.map(item => ({ bounds: item.bounds, item }));
+    if (nodes.length === 0) return null;
+
+    while (nodes.length > 1) {
+        const centre = (node, axis) => (node.bounds[axis] + node.bounds[axis + 2]) / 2;
+        const sliceCount = Math.ceil(Math.sqrt(Math.ceil(nodes.length / NODE_CAPACITY)));
+        const sliceSize = sliceCount * NODE_CAPACITY;
+        nodes.sort((a, b) => centre(a, 0) - centre(b, 0));
+
+        const parents = [];
+        for (let i = 0; i < nodes.length; i += sliceSize) {
+            const slice = nodes.slice(i, i + sliceSize).sort((a, b) => centre(a, 1) - centre(b, 1));
+            for (let j = 0; j < slice.length; j += NODE_CAPACITY) {
+                const children = slice.slice(j, j + NODE_CAPACITY);
+                const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+                children.forEach(child => {
+                    bounds[0] = Math.min(bounds[0], child.bounds[0]);
+                    bounds[1] = Math.min(bounds[1], child.bounds[1]);
+                    bounds[2] = Math.max(bounds[2], child.bounds[2]);
+                    bounds[3] = Math.max(bounds[3], child.bounds[3]);
+                });
+                parents.push({ bounds, children });
+            }
+        }
+        nodes = parents;
+    }
+    return nodes[0];
+}
+
+function boundsIntersect(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function searchTree(node, bounds, result) {
+    if (!node || !boundsIntersect(node.bounds, bounds)) return result;
+    if (node.item) {
+        result.push(node.item);
+    } else {
+        node.children.forEach(child => searchTree(child, bounds, result));
+    }
+    return result;
+}
+
+// Local plane in metres centred on a longitude/latitude
+function localPlane(lng, lat) {
+    const kx = METRES_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+    const ky = METRES_PER_DEGREE;
+    return {
+        x: value => (value - lng) * kx,
+        y: value => (value - lat) * ky,
+        // Least distance in metres from the centre to a bounding box
+        boxDistance: b => {
+            const dx = Math.max(b[0] - lng, 0, lng - b[2]) * kx;
+            const dy = Math.max(b[1] - lat, 0, lat - b[3]) * ky;
+            return Math.sqrt(dx * dx + dy * dy);
+        }
+    };
+}
+
+function segmentDistance(px, py, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function ringContains(ring, lng, lat) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Polygon rings: inside the outer ring and outside every hole
+function polygonContains(rings, lng, lat) {
+    return ringContains(rings[0], lng, lat) && !rings.slice(1).some(hole => ringContains(hole, lng, lat));
+}
+
+// Simple geometries (no multi-parts) of a geometry
+function parts(geometry) {
+    switch (geometry.type) {
+        case 'MultiPoint': return geometry.coordinates.map(c => ({ type: 'Point', coordinates: c }));
+        case 'MultiLineString': return geometry.coordinates.map(c => ({ type: 'LineString', coordinates: c }));
+        case 'MultiPolygon': return geometry.coordinates.map(c => ({ type: 'Polygon', coordinates: c }));
+        case 'GeometryCollection': return geometry.geometries.flatMap(parts);
+        default: return [geometry];
+    }
+}
+
+// Distance in metres from a point to a geometry (0 inside polygons and circles)
+function geometryDistance(geometry, radius, lng, lat) {
+    const plane = localPlane(lng, lat);
+    const lines = (coordinates, closed) => {
+        let best = Infinity;
+        for (let i = 0; i < coordinates.length - 1; i++) {
+            best = Math.min(best, segmentDistance(0, 0,
+                plane.x(coordinates[i][0]), plane.y(coordinates[i][1]),
+                plane.x(coordinates[i + 1][0]), plane.y(coordinates[i + 1][1])));
+        }
+        if (coordinates.length === 1 || (closed && coordinates.length > 0)) {
+            best = Math.min(best, Math.hypot(plane.x(coordinates[0][0]), plane.y(coordinates[0][1])));
+        }
+        return best;
+    };
+
+    return Math.min(...parts(geometry).map(part => {
+        switch (part.type) {
+            case 'Point':
+                return Math.max(Math.hypot(plane.x(part.coordinates[0]), plane.y(part.coordinates[1])) - (radius || 0), 0);
+            case 'LineString':
+                return lines(part.coordinates, false);
+            case 'Polygon':
+                if (polygonContains(part.coordinates, lng, lat)) return 0;
+                return Math.min(...part.coordinates.map(ring => lines(ring, true)));
+            default:
+                return Infinity;
+        }
+    }));
+}
+
+// Whether segment a-b crosses the box [minX, minY, maxX, maxY] (Liang-Barsky clip)
+function segmentIntersectsBox(a, b, box) {
+    let t0 = 0;
+    let t1 = 1;
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const checks = [[-dx, a[0] - box[0]], [dx, box[2] - a[0]], [-dy, a[1] - box[1]], [dy, box[3] - a[1]]];
+    for (const [p, q] of checks) {
+        if (p === 0) {
+            if (q < 0) return false;
+        } else {
+            const t = q / p;
+            if (p < 0) t0 = Math.max(t0, t);
+            else t1 = Math.min(t1, t);
+            if (t0 > t1) return false;
+        }
+    }
+    return true;
+}
+
+function geometryIntersectsBox(geometry, radius, box) {
+    const pointIn = ([x, y]) => x >= box[0] && x <= box[2] && y >= box[1] && y <= box[3];
+    const lineHits = coordinates => coordinates.some(pointIn) ||
+        coordinates.slice(1).some((c, i) => segmentIntersectsBox(coordinates[i], c, box));
+
+    return parts(geometry).some(part => {
+        switch (part.type) {
+            case 'Point': {
+                if (!radius) return pointIn(part.coordinates);
+                // Circle: distance from its centre to the nearest point of the box
+                const [x, y] = part.coordinates;
+                const nearest = [Math.max(box[0], Math.min(x, box[2])), Math.max(box[1], Math.min(y, box[3]))];
+                const plane = localPlane(x, y);
+                return Math.hypot(plane.x(nearest[0]), plane.y(nearest[1])) <= radius;
+            }
+            case 'LineString':
+                return lineHits(part.coordinates);
+            case 'Polygon':
+                return part.coordinates.some(lineHits) ||
+                    polygonContains(part.coordinates, (box[0] + box[2]) / 2, (box[1] + box[3]) / 2);
+            default:
+                return false;
+        }
+    });
+}
+
+function featureRadius(feature) {
+    const radius = feature.properties ? Number(feature.properties.radius) : NaN;
+    return feature.geometry.type === 'Point' && radius > 0 ? radius : 0;
+}
+
+// Build an index over GeoJSON features (FeatureCollection, Feature array or string).
+// Features without geometry are left out.
+export function createFeatureIndex(geoJson) {
+    const parsed = typeof geoJson === 'string' ? JSON.parse(geoJson) : geoJson;
+    const features = Array.isArray(parsed) ? parsed
+        : parsed && parsed.type === 'FeatureCollection' ? parsed.features
+            : parsed && parsed.type === 'Feature' ? [parsed] : [];
+
+    const items = [];
+    features.forEach(feature => {
+        if (!feature || !feature.geometry) return;
+        const radius = featureRadius(feature);
+        const bounds = geometryBounds(feature.geometry, radius);
+        if (!Number.isFinite(bounds[0])) return;
+        items.push({ feature, radius, bounds });
+    });
+    return { root: buildTree(items), size: items.length };
+}
+
+// Polygons (and circles) containing a point
+export function featuresAtPoint(index, lat, lng) {
+    return searchTree(index.root, [lng, lat, lng, lat], [])
+        .filter(item => parts(item.feature.geometry).some(part =>
+            (part.type === 'Polygon' && polygonContains(part.coordinates, lng, lat)) ||
+            (part.type === 'Point' && item.radius > 0 && geometryDistance(part, item.radius, lng, lat) === 0)))
+        .map(item => ({ feature: item.feature }));
+}
+
+// Features that intersect bounds [[south, west], [north, east]]
+export function featuresInBounds(index, bounds) {
+    const [[south, west], [north, east]] = bounds;
+    const box = [Math.min(west, east), Math.min(south, north), Math.max(west, east), Math.max(south, north)];
+    return searchTree(index.root, box, [])
+        .filter(item => geometryIntersectsBox(item.feature.geometry, item.radius, box))
+        .map(item => ({ feature: item.feature }));
+}
+
+// Features within a distance in metres of a point, nearest first
+export function featuresWithinDistance(index, lat, lng, distance) {
+    const dLat = distance / METRES_PER_DEGREE;
+    const dLng = dLat / Math.max(Math.cos(lat * Math.PI / 180), 1e-6);
+    return searchTree(index.root, [lng - dLng, lat - dLat, lng + dLng, lat + dLat], [])
+        .map(item => ({ feature: item.feature, distance: geometryDistance(item.feature.geometry, item.radius, lng, lat) }))
+        .filter(result => result.distance <= distance)
+        .sort((a, b) => a.distance - b.distance);
+}
+
+// The count nearest features to a point, nearest first, optionally no further
+// than maxDistance metres. Best-first search: boxes are opened in order of their
+// least possible distance, so the search stops once count features are closer
+// than every unopened box.
+export function nearestFeatures(index, lat, lng, count = 1, maxDistance = Infinity) {
+    if (!index.root || count <= 0) return [];
+    const plane = localPlane(lng, lat);
+    const queue = [{ distance: plane.boxDistance(index.root.bounds), node: index.root }];
+    const result = [];
+
+    while (queue.length > 0 && result.length < count) {
+        // The queue stays small, so a sorted insert is enough
+        const { distance, node, item } = queue.shift();
+        if (distance > maxDistance) break;
+
+        if (item) {
+            result.push({ feature: item.feature, distance });
+            continue;
+        }
+
+        const entries = node.item
+            ? [{ distance: geometryDistance(node.item.feature.geometry, node.item.radius, lng, lat), item: node.item }]
+            : node.children.map(child => ({ distance: plane.boxDistance(child.bounds), node: child }));
+        entries.forEach(entry => {
+            let i = queue.findIndex(queued => queued.distance > entry.distance);
+            if (i === -1) i = queue.length;
+            queue.splice(i, 0, entry);
+        });
+    }
+    return result;
+}
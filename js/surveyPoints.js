@@ -0,0 +1,54 @@
+// Survey point model shared by the importers
+// Matches the CSV import columns of the Survey Data Import page:
+//   PointNumber,Easting,Northing,Elevation,HorizontalAccuracy,VerticalAccuracy,PointType,Description
+import { DEFAULT_CRS, toLatLng } from './projection.js';
+
+export const POINT_FIELDS = [
+    'PointNumber', 'Easting', 'Northing', 'Elevation',
+    'HorizontalAccuracy', 'VerticalAccuracy', 'PointType', 'Description'
+];
+
+// Build a point with every field present (missing values are null)
+export function createPoint(values = {}) {
+    const point = {};
+    POINT_FIELDS.forEach(field => {
+        point[field] = values[field] !== undefined ? values[field] : null;
+    });
+    return point;
+}
+
+// Survey points as a GeoJSON FeatureCollection in lng/lat, with the same
+// properties as the GeoJSON import (pointNumber, pointType, ...). Points that
+// cannot be projected are left out.
+export function pointsToGeoJson(points, crs = DEFAULT_CRS) {
+    const features = [];
+    points.forEach(point => {
+        if (point.Easting === null || point.Northing === null) return;
+
+        let lat, lng;
+        try {
+            [lat, lng] = toLatLng(point.Easting, point.Northing, crs);
+        } catch (e) {
+            return;
+        }
+
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: point.Elevation !== null ? [lng, lat, point.Elevation] : [lng, lat]
+            },
+            properties: {
+                pointNumber: point.PointNumber,
+                pointType: point.PointType,
+                easting: point.Easting,
+                northing: point.Northing,
+                elevation: point.Elevation,
+                horizontalAccuracy: point.HorizontalAccuracy,
+                verticalAccuracy: point.VerticalAccuracy,
+                description: point.Description
+            }
+        });
+    });
+    return { type: 'FeatureCollection', features: features };
+}
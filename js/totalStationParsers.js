@@ -0,0 +1,401 @@
+// Trimble and Topcon total station file parsers
+// Supported layouts, detected from the file content:
+//   trimble-dc   Trimble DC job file: 4-character record headers followed by
+//                16-character fields (08 coordinates, 02 station, 03 target
+//                height, 07 backsight, 09 observations)
+//   topcon-gts7  Topcon GTS-7 raw data: keyword records (STN, XYZ, NEZ, BKB, BS,
+//                SS, FS, SD, HD, HV)
+//   ascii-pnezd  Point,Northing,Easting,Elevation,Description (Trimble and Topcon
+//   ascii-penzd  Point,Easting,Northing,Elevation,Description  coordinate exports;
+//                comma, tab or space delimited)
+// Raw observations are reduced to coordinates from the occupied station, so every
+// layout ends up in the survey point model of the CSV import.
+import { DEFAULT_CRS } from './projection.js';
+import { createPoint, pointsToGeoJson } from './surveyPoints.js';
+
+const DEFAULT_POINT_TYPE = 'Boundary';
+
+const gts7Keywords = [
+    'JOB', 'INST', 'UNITS', 'DATE', 'TIME', 'NOTE', 'CO', 'SCALE', 'ATMOS',
+    'STN', 'XYZ', 'NEZ', 'BKB', 'BS', 'SS', 'FS', 'SD', 'HD', 'HV'
+];
+
+const dcRecordPattern = /^\d{2}[A-Z0-9]{2}/;
+
+function toNumber(text) {
+    if (text === undefined || text === null || String(text).trim() === '') return null;
+    const value = Number(text);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Angle in decimal degrees. 'dms' is the packed DDD.MMSS form used by the
+// instruments; 'gons' is 400 gon to the circle.
+function toDegrees(value, angleUnit) {
+    if (value === null) return null;
+    switch (angleUnit) {
+        case 'dms': {
+            const sign = value < 0 ? -1 : 1;
+            const packed = Math.abs(value);
+            const degrees = Math.floor(packed);
+            const minutesPart = Math.round((packed - degrees) * 1000000) / 10000;
+            const minutes = Math.floor(minutesPart);
+            const seconds = (minutesPart - minutes) * 100;
+            return sign * (degrees + minutes / 60 + seconds / 3600);
+        }
+        case 'gons':
+            return value * 0.9;
+        default:
+            return value;
+    }
+}
+
+// Guess the layout of a file from its first lines (null if none fits)
+export function detectTotalStationFormat(text) {
+    const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(l => l !== '').slice(0, 200);
+    if (lines.length === 0) return null;
+
+    const share = predicate => lines.filter(predicate).length / lines.length;
+
+    if (lines[0].startsWith('00NM') || share(l => dcRecordPattern.test(l) && l.length > 4) > 0.8) {
+        return 'trimble-dc';
+    }
+    if (share(l => gts7Keywords.includes(l.split(/[\s,]/)[0].toUpperCase())) > 0.5) {
+        return 'topcon-gts7';
+    }
+
+    const rows = lines.map(splitAsciiRow).filter(fields => fields && fields.length >= 4 &&
+        fields.slice(1, 4).every(f => toNumber(f) !== null));
+    if (rows.length / lines.length > 0.5) {
+        // Southern hemisphere UTM northings are far larger than eastings; on a local
+        // grid the order cannot be told apart and PNEZD (the Trimble default) is used
+        const median = values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+        const second = median(rows.map(f => Number(f[1])));
+        const third = median(rows.map(f => Number(f[2])));
+        return third > second * 2 ? 'ascii-penzd' : 'ascii-pnezd';
+    }
+    return null;
+}
+
+function splitAsciiRow(line) {
+    if (line.includes(',')) return line.split(',').map(f => f.trim());
+    if (line.includes('\t')) return line.split('\t').map(f => f.trim());
+    return line.split(/\s+/);
+}
+
+// Reduces raw observations to coordinates and collects the resulting points
+function createReducer(options, report) {
+    const points = new Map();
+    let station = null;
+    let targetHeight = 0;
+
+    function addPoint(name, easting, northing, elevation, pointType, description) {
+        points.set(name, createPoint({
+            PointNumber: name,
+            Easting: easting,
+            Northing: northing,
+            Elevation: elevation,
+            PointType: pointType,
+            Description: description || null
+        }));
+    }
+
+    function warn(line, message) {
+        report.warnings.push({ line: line, message: message });
+    }
+
+    return {
+        points: points,
+        addPoint: addPoint,
+        warn: warn,
+
+        // The station's coordinates may follow (GTS-7 XYZ after STN)
+        setStation(name, instrumentHeight) {
+            station = { name: name, instrumentHeight: instrumentHeight || 0, orientation: null };
+            const known = points.get(name);
+            if (known) {
+                known.PointType = 'Station';
+            }
+        },
+
+        setTargetHeight(height) {
+            targetHeight = height || 0;
+        },
+
+        // Orientation from a backsight azimuth and the circle reading on it
+        setOrientation(azimuth, horizontalAngle) {
+            if (station && azimuth !== null && horizontalAngle !== null) {
+                station.orientation = azimuth - horizontalAngle;
+            }
+        },
+
+        // horizontalAngle and zenithAngle in degrees; either slopeDistance, or
+        // horizontalDistance with an optional verticalDistance
+        observe(target, measurement, line) {
+            const from = station ? points.get(station.name) : null;
+            if (!from) {
+                warn(line, `Observation to ${target.name} skipped: no station with coordinates`);
+                return;
+            }
+
+            const { horizontalAngle, zenithAngle, slopeDistance } = measurement;
+            let { horizontalDistance, verticalDistance } = measurement;
+            if (slopeDistance !== null && slopeDistance !== undefined && zenithAngle !== null && zenithAngle !== undefined) {
+                const zenith = zenithAngle * Math.PI / 180;
+                horizontalDistance = slopeDistance * Math.sin(zenith);
+                verticalDistance = slopeDistance * Math.cos(zenith);
+            }
+
+            // Without an orientation, the first observation to a known point is the backsight
+            if (station.orientation === null) {
+                const known = points.get(target.name);
+                if (known && target.name !== station.name) {
+                    const azimuth = Math.atan2(known.Easting - from.Easting, known.Northing - from.Northing) * 180 / Math.PI;
+                    station.orientation = azimuth - horizontalAngle;
+                    return;
+                }
+                warn(line, `Observation to ${target.name} skipped: station ${station.name} has no backsight`);
+                return;
+            }
+            if (target.isBacksight) return;
+
+            if (horizontalDistance === null || horizontalDistance === undefined) {
+                warn(line, `Observation to ${target.name} skipped: no distance`);
+                return;
+            }
+
+            const azimuth = (horizontalAngle + station.orientation) * Math.PI / 180;
+            const elevation = from.Elevation !== null && verticalDistance !== null && verticalDistance !== undefined
+                ? from.Elevation + station.instrumentHeight + verticalDistance - targetHeight
+                : null;
+
+            addPoint(
+                target.name,
+                from.Easting + horizontalDistance * Math.sin(azimuth),
+                from.Northing + horizontalDistance * Math.cos(azimuth),
+                elevation,
+                options.pointType,
+                target.code);
+        }
+    };
+}
+
+// Trimble DC: 2-digit record type, 2 flag characters, then 16-character fields
+function parseTrimbleDc(lines, options, report) {
+    const reducer = createReducer(options, report);
+
+    lines.forEach(({ text, line }) => {
+        if (!dcRecordPattern.test(text)) {
+            report.skippedLines.push({ line: line, text: text, reason: 'Not a DC record' });
+            return;
+        }
+
+        const recordType = text.slice(0, 2);
+        const flags = text.slice(2, 4);
+        const fields = [];
+        for (let i = 4; i < text.length; i += 16) {
+            fields.push(text.slice(i, i + 16).trim());
+        }
+
+        switch (recordType) {
+            case '08': {
+                const northing = toNumber(fields[1]);
+                const easting = toNumber(fields[2]);
+                if (!fields[0] || northing === null || easting === null) {
+                    report.skippedLines.push({ line: line, text: text, reason: 'Coordinate record without name or coordinates' });
+                    return;
+                }
+                // KI: keyed in, i.e. known control
+                reducer.addPoint(fields[0], easting, northing, toNumber(fields[3]),
+                    flags === 'KI' ? 'Control' : options.pointType, fields[4]);
+                break;
+            }
+            case '02': {
+                // Station name; the instrument height is the last numeric field
+                const heights = fields.slice(1).map(toNumber).filter(v => v !== null);
+                reducer.setStation(fields[0], heights.length > 0 ? heights[heights.length - 1] : 0);
+                break;
+            }
+            case '03':
+                reducer.setTargetHeight(toNumber(fields[0]));
+                break;
+            case '07':
+                reducer.setOrientation(toDegrees(toNumber(fields[2]), options.angleUnit), toDegrees(toNumber(fields[3]), options.angleUnit));
+                break;
+            case '09': {
+                const horizontalAngle = toDegrees(toNumber(fields[3]), options.angleUnit);
+                if (!fields[1] || horizontalAngle === null) {
+                    report.skippedLines.push({ line: line, text: text, reason: 'Observation without target or horizontal angle' });
+                    return;
+                }
+                reducer.observe({ name: fields[1], code: fields[2] }, {
+                    horizontalAngle: horizontalAngle,
+                    zenithAngle: toDegrees(toNumber(fields[4]), options.angleUnit),
+                    slopeDistance: toNumber(fields[5])
+                }, line);
+                break;
+            }
+            default:
+                // Job, units, notes and other records carry no point data
+                break;
+        }
+    });
+
+    return [...reducer.points.values()];
+}
+
+// Topcon GTS-7: KEYWORD value,value,...
+function parseTopconGts7(lines, options, report) {
+    const reducer = createReducer(options, report);
+    let lastName = null;
+    let target = null;
+
+    lines.forEach(({ text, line }) => {
+        const match = /^([A-Za-z]+)[\s,]*(.*)$/.exec(text);
+        const keyword = match ? match[1].toUpperCase() : null;
+        if (!keyword || !gts7Keywords.includes(keyword)) {
+            report.skippedLines.push({ line: line, text: text, reason: 'Unknown GTS-7 record' });
+            return;
+        }
+        const values = match[2].split(',').map(v => v.trim());
+
+        switch (keyword) {
+            case 'STN':
+                lastName = values[0];
+                target = null;
+                reducer.setStation(values[0], toNumber(values[1]));
+                break;
+            case 'XYZ':
+            case 'NEZ': {
+                // XYZ is easting, northing, elevation; NEZ is northing first
+                const [first, second, elevation] = values.map(toNumber);
+                const easting = keyword === 'XYZ' ? first : second;
+                const northing = keyword === 'XYZ' ? second : first;
+                if (!lastName || easting === null || northing === null) {
+                    report.skippedLines.push({ line: line, text: text, reason: 'Coordinates without a point' });
+                    return;
+                }
+                const existing = reducer.points.get(lastName);
+                reducer.addPoint(lastName, easting, northing, elevation,
+                    existing ? existing.PointType : (target ? options.pointType : 'Station'),
+                    existing ? existing.Description : (target ? target.code : null));
+                break;
+            }
+            case 'BKB':
+                reducer.setOrientation(toDegrees(toNumber(values[1]), options.angleUnit), toDegrees(toNumber(values[2]), options.angleUnit));
+                break;
+            case 'BS':
+            case 'SS':
+            case 'FS':
+                lastName = values[0];
+                target = { name: values[0], code: values[2] || null, isBacksight: keyword === 'BS' };
+                reducer.setTargetHeight(toNumber(values[1]));
+                break;
+            case 'SD':
+            case 'HD':
+            case 'HV': {
+                if (!target) {
+                    reducer.warn(line, `${keyword} record without a target`);
+                    return;
+                }
+                const [a, b, c] = values.map(toNumber);
+                const horizontalAngle = toDegrees(a, options.angleUnit);
+                if (horizontalAngle === null) {
+                    report.skippedLines.push({ line: line, text: text, reason: 'Observation without horizontal angle' });
+                    return;
+                }
+                reducer.observe(target, keyword === 'HD'
+                    ? { horizontalAngle: horizontalAngle, horizontalDistance: b, verticalDistance: c }
+                    : { horizontalAngle: horizontalAngle, zenithAngle: toDegrees(b, options.angleUnit), slopeDistance: keyword === 'SD' ? c : null },
+                line);
+                break;
+            }
+            default:
+                // Job, instrument, units and notes carry no point data
+                break;
+        }
+    });
+
+    return [...reducer.points.values()];
+}
+
+// Delimited coordinate list; lines that do not start with a name and three numbers
+// (headers, notes) are reported and skipped. In comma or tab separated rows the
+// fifth column is the description and later columns, which have no place in the
+// point model, are reported as warnings. In space separated rows everything after
+// the elevation is the description, so multi-word descriptions stay whole.
+function parseAsciiCoordinates(lines, options, report, northingFirst) {
+    const points = [];
+    lines.forEach(({ text, line }) => {
+        const fields = splitAsciiRow(text);
+        const isDelimited = text.includes(',') || text.includes('\t');
+        const values = fields.slice(1, 4).map(toNumber);
+        if (fields.length < 3 || !fields[0] || values[0] === null || values[1] === null) {
+            report.skippedLines.push({ line: line, text: text, reason: 'Not a coordinate row' });
+            return;
+        }
+
+        points.push(createPoint({
+            PointNumber: fields[0],
+            Easting: northingFirst ? values[1] : values[0],
+            Northing: northingFirst ? values[0] : values[1],
+            Elevation: values[2] !== undefined ? values[2] : null,
+            PointType: options.pointType,
+            Description: (isDelimited ? fields[4] : fields.slice(4).join(' ')) || null
+        }));
+
+        const extra = isDelimited ? fields.slice(5).filter(f => f !== '') : [];
+        if (extra.length > 0) {
+            report.warnings.push({ line: line, message: `Extra columns ignored: ${extra.join(', ')}` });
+        }
+    });
+    return points;
+}
+
+// Parse a Trimble or Topcon export into survey points.
+// Options: format (default: detected), angleUnit of raw observations ('degrees',
+// 'dms' packed DDD.MMSS or 'gons'; default 'degrees' for DC and 'dms' for GTS-7),
+// pointType for measured points (default 'Boundary'), crs (for the GeoJSON).
+// Returns {format, points, geoJson, report}.
+export function parseTotalStation(text, options = {}) {
+    const format = options.format || detectTotalStationFormat(text);
+    const settings = {
+        pointType: options.pointType || DEFAULT_POINT_TYPE,
+        angleUnit: options.angleUnit || (format === 'topcon-gts7' ? 'dms' : 'degrees')
+    };
+    const report = { format: format, lineCount: 0, pointCount: 0, skippedLines: [], warnings: [], error: null };
+
+    const lines = [];
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        // DC fields are fixed width, so only the line end may be trimmed
+        const trimmed = format === 'trimble-dc' ? rawLine.replace(/\s+$/, '') : rawLine.trim();
+        if (trimmed !== '') {
+            lines.push({ text: trimmed, line: index + 1 });
+        }
+    });
+    report.lineCount = lines.length;
+
+    let points = [];
+    switch (format) {
+        case 'trimble-dc':
+            points = parseTrimbleDc(lines, settings, report);
+            break;
+        case 'topcon-gts7':
+            points = parseTopconGts7(lines, settings, report);
+            break;
+        case 'ascii-pnezd':
+        case 'ascii-penzd':
+            points = parseAsciiCoordinates(lines, settings, report, format === 'ascii-pnezd');
+            break;
+        default:
+            report.error = format ? `Unknown format '${format}'` : 'File layout not recognised';
+            break;
+    }
+
+    report.pointCount = points.length;
+    return {
+        format: format,
+        points: points,
+        geoJson: pointsToGeoJson(points, options.crs || DEFAULT_CRS),
+        report: report
+    };
+}
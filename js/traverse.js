@@ -0,0 +1,202 @@
+// Traverse closure and adjustment (Bowditch / compass rule and Transit rule)
+// Legs are grid bearings and horizontal distances, or angles observed clockwise
+// from the backsight with distances. Angular misclosure is shared equally between
+// the angles; the linear misclosure is then distributed by the chosen rule.
+import { parseBearing, inverse, computeTraverse } from './cogo.js';
+
+// Closure ratios (1 : N) by traverse accuracy class, best first
+const ACCURACY_CLASSES = [
+    { name: 'First order', ratio: 100000 },
+    { name: 'Second order, class I', ratio: 50000 },
+    { name: 'Second order, class II', ratio: 20000 },
+    { name: 'Third order, class I', ratio: 10000 },
+    { name: 'Third order, class II', ratio: 5000 }
+];
+
+// Survey standard for cadastral traverses
+const DEFAULT_MINIMUM_RATIO = 5000;
+
+// Allowed angular misclosure in seconds: tolerance times the square root of the angle count
+const DEFAULT_ANGULAR_TOLERANCE = 10;
+
+function normalise(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// Difference of two bearings in degrees, in the range -180 to 180
+function bearingDifference(a, b) {
+    const difference = normalise(a - b);
+    return difference > 180 ? difference - 360 : difference;
+}
+
+// Accuracy class for a closure ratio, or null below the lowest class
+export function accuracyClass(ratio) {
+    if (ratio === null) return ACCURACY_CLASSES[0].name;
+    const match = ACCURACY_CLASSES.find(c => ratio >= c.ratio);
+    return match ? match.name : null;
+}
+
+function readDistance(value, index) {
+    const distance = Number(value);
+    if (!Number.isFinite(distance) || distance <= 0) {
+        throw new Error(`Leg ${index + 1}: invalid distance '${value}'`);
+    }
+    return distance;
+}
+
+function readAngle(value, label, angleUnit) {
+    const angle = parseBearing(value, angleUnit);
+    if (angle === null) {
+        throw new Error(`${label}: invalid angle '${value}'`);
+    }
+    return angle;
+}
+
+// Bearings from observed angles: each foresight bearing is the back bearing plus
+// the angle, and the back bearing at the next station is the foresight reversed.
+// With a closing angle and bearing the angular misclosure is found and removed.
+function bearingsFromAngles(legs, options) {
+    const angleUnit = options.angleUnit || 'degrees';
+    const backsight = parseBearing(options.backsightBearing, angleUnit);
+    if (backsight === null) {
+        throw new Error('A backsight bearing is required for observed angles');
+    }
+
+    const angles = legs.map((leg, i) => readAngle(leg.angle, `Leg ${i + 1}`, angleUnit));
+    const bearings = [];
+    let backBearing = backsight;
+    angles.forEach(angle => {
+        const bearing = normalise(backBearing + angle);
+        bearings.push(bearing);
+        backBearing = normalise(bearing + 180);
+    });
+
+    if (options.closingAngle === undefined || options.closingAngle === null) {
+        return { bearings, angular: null };
+    }
+
+    const closingBearing = parseBearing(options.closingBearing !== undefined && options.closingBearing !== null
+        ? options.closingBearing
+        : options.backsightBearing, angleUnit);
+    if (closingBearing === null) {
+        throw new Error(`Invalid closing bearing '${options.closingBearing}'`);
+    }
+
+    const computed = normalise(backBearing + readAngle(options.closingAngle, 'Closing angle', angleUnit));
+    const count = angles.length + 1;
+    const misclosure = bearingDifference(computed, closingBearing) * 3600;
+    const tolerance = options.angularTolerance !== undefined ? options.angularTolerance : DEFAULT_ANGULAR_TOLERANCE;
+    const allowable = tolerance * Math.sqrt(count);
+
+    return {
+        // Each angle takes an equal share, so the n-th bearing moves by n shares
+        bearings: bearings.map((bearing, i) => normalise(bearing - misclosure / 3600 * (i + 1) / count)),
+        angular: {
+            misclosureSeconds: misclosure,
+            correctionPerAngleSeconds: -misclosure / count,
+            angleCount: count,
+            allowableSeconds: allowable,
+            withinTolerance: Math.abs(misclosure) <= allowable
+        }
+    };
+}
+
+// Compute and adjust a traverse from a start [easting, northing].
+// legs: {bearing, distance} or [bearing, distance], or {angle, distance} for angles
+// observed clockwise from the backsight (bearings and angles as decimal degrees or DMS).
+// Options:
+//   angleUnit         how plain-number bearings and angles are read: 'degrees'
+//                     (default) or 'dms' for packed DDD.MMSS
+//   closeTo           [easting, northing] the traverse should end on; default the
+//                     start (a closed loop)
+//   method            'bowditch' (default) or 'transit'
+//   backsightBearing  bearing from the start to the backsight, for observed angles
+//   closingAngle      angle observed at the last station to the closing reference
+//   closingBearing    known bearing to that reference (default the backsight bearing)
+//   angularTolerance  seconds per square root of the angle count (default 10)
+//   minimumRatio      closure required by the standard, 1 : N (default 5000)
+// Returns {method, totalDistance, angular, misclosure{deltaEasting, deltaNorthing,
+// linear, bearing, precision, ratio}, accuracyClass, meetsStandard, minimumRatio,
+// legs, unadjustedPoints, adjustedPoints}.
+export function adjustTraverse(start, legs, options = {}) {
+    if (!Array.isArray(legs) || legs.length === 0) {
+        throw new Error('At least one leg is required');
+    }
+
+    const method = options.method === 'transit' ? 'transit' : 'bowditch';
+    const closeTo = options.closeTo ? [Number(options.closeTo[0]), Number(options.closeTo[1])] : [Number(start[0]), Number(start[1])];
+    const minimumRatio = options.minimumRatio || DEFAULT_MINIMUM_RATIO;
+
+    let bearingLegs = legs;
+    let angular = null;
+    const observedAngles = legs.some(leg => leg && !Array.isArray(leg) && leg.angle !== undefined);
+    if (observedAngles) {
+        const result = bearingsFromAngles(legs, options);
+        angular = result.angular;
+        bearingLegs = legs.map((leg, i) => ({ bearing: result.bearings[i], distance: readDistance(leg.distance, i) }));
+    }
+
+    // Bearings worked out from observed angles are already decimal degrees
+    const traverse = computeTraverse(start, bearingLegs, closeTo, observedAngles ? 'degrees' : (options.angleUnit || 'degrees'));
+    const { deltaEasting, deltaNorthing, linear, bearing } = traverse.misclosure;
+    // Sub-micrometre misclosures are floating point noise
+    const precision = linear < 1e-6 ? null : traverse.misclosure.precision;
+
+    const deltas = traverse.legs.map(leg => {
+        const radians = leg.bearing * Math.PI / 180;
+        return [leg.distance * Math.sin(radians), leg.distance * Math.cos(radians)];
+    });
+    const sumAbsEasting = deltas.reduce((sum, d) => sum + Math.abs(d[0]), 0);
+    const sumAbsNorthing = deltas.reduce((sum, d) => sum + Math.abs(d[1]), 0);
+
+    const adjustedPoints = [traverse.points[0].slice()];
+    const adjustedLegs = traverse.legs.map((leg, i) => {
+        const [dE, dN] = deltas[i];
+        // Bowditch shares by leg length, Transit by the size of each coordinate difference
+        const correctionEasting = method === 'bowditch'
+            ? -deltaEasting * leg.distance / traverse.totalDistance
+            : (sumAbsEasting > 0 ? -deltaEasting * Math.abs(dE) / sumAbsEasting : 0);
+        const correctionNorthing = method === 'bowditch'
+            ? -deltaNorthing * leg.distance / traverse.totalDistance
+            : (sumAbsNorthing > 0 ? -deltaNorthing * Math.abs(dN) / sumAbsNorthing : 0);
+
+        const previous = adjustedPoints[adjustedPoints.length - 1];
+        const next = [previous[0] + dE + correctionEasting, previous[1] + dN + correctionNorthing];
+        adjustedPoints.push(next);
+
+        const adjusted = inverse(previous, next);
+        return {
+            bearing: leg.bearing,
+            distance: leg.distance,
+            deltaEasting: dE,
+            deltaNorthing: dN,
+            correctionEasting,
+            correctionNorthing,
+            adjustedBearing: adjusted.bearing,
+            adjustedDistance: adjusted.distance
+        };
+    });
+
+    // Remove rounding drift so the adjusted traverse ends exactly on the closing point
+    adjustedPoints[adjustedPoints.length - 1] = closeTo.slice();
+
+    return {
+        method,
+        totalDistance: traverse.totalDistance,
+        angular,
+        misclosure: {
+            deltaEasting,
+            deltaNorthing,
+            linear,
+            bearing,
+            precision,
+            ratio: precision === null ? 'Perfect closure' : `1:${Math.round(precision)}`
+        },
+        accuracyClass: accuracyClass(precision),
+        meetsStandard: (precision === null || precision >= minimumRatio) && (!angular || angular.withinTolerance),
+        minimumRatio,
+        legs: adjustedLegs,
+        unadjustedPoints: traverse.points,
+        adjustedPoints
+    };
+}
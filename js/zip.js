@@ -0,0 +1,153 @@
+// Minimal ZIP reader and writer for browser-side imports and exports
+// Exported files (shapefile sets, KMZ) are written as stored entries: they are
+// small enough that compression is not worth a dependency, and every unzip tool
+// and GIS package reads them. Imported archives may also use deflate.
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Date and time in MS-DOS format
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Build a ZIP archive from [{name, data}], data being a string (stored as UTF-8)
+// or a Uint8Array. Returns the archive as a Uint8Array.
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const buffer = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+
+    // Local file headers followed by the data
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true);           // version needed
+        view.setUint16(offset + 6, 0x0800, true);       // UTF-8 names
+        view.setUint16(offset + 8, 0, true);            // stored
+        view.setUint16(offset + 10, time, true);
+        view.setUint16(offset + 12, date, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        buffer.set(entry.name, offset + 30);
+        buffer.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    // Central directory
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);           // version made by
+        view.setUint16(offset + 6, 20, true);           // version needed
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, time, true);
+        view.setUint16(offset + 14, date, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        view.setUint32(offset + 42, entry.offset, true);
+        buffer.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    // End of central directory record
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return buffer;
+}
+
+// Read the entries of a ZIP archive (stored or deflated) into [{name, data}].
+// Deflated entries need DecompressionStream ('deflate-raw'), available in
+// current browsers.
+export async function readZip(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const decoder = new TextDecoder();
+
+    // Find the end of central directory record (it may be followed by a comment)
+    let end = -1;
+    for (let i = data.length - 22; i >= Math.max(0, data.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const start = localOffset + 30 + localNameLength + localExtraLength;
+        const raw = data.subarray(start, start + compressedSize);
+
+        if (method === 0) {
+            files.push({ name, data: raw });
+        } else if (method === 8) {
+            const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            files.push({ name, data: new Uint8Array(await new Response(stream).arrayBuffer()) });
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for '${name}'`);
+        }
+    }
+    return files;
+}